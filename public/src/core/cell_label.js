@@ -28,3 +28,39 @@ export function cell_to_label(cell) {
   const col_number = cell.q + 1;
   return row_letter + String(col_number);
 }
+
+/**
+ * Convert Excel-style row letter(s) back to a row index: A→0, Z→25, AA→26, etc.
+ * Inverse of row_index_to_letter; returns null for anything it cannot produce.
+ *
+ * @param {string} row_letters
+ * @returns {number | null}
+ */
+function letter_to_row_index(row_letters) {
+  if (/^[A-Z]$/.test(row_letters)) {
+    return row_letters.charCodeAt(0) - 65;
+  }
+  if (/^[A-Z][A-Z]$/.test(row_letters)) {
+    return (row_letters.charCodeAt(0) - 64) * 26 + (row_letters.charCodeAt(1) - 65);
+  }
+  return null;
+}
+
+/**
+ * Parse a display label back to a cell: "A1" → { q: 0, r: 0 }, "AA3" → { q: 2, r: 26 }.
+ * Returns null when the label is malformed.
+ *
+ * @param {string} label
+ * @returns {{ q: number, r: number } | null}
+ */
+export function label_to_cell(label) {
+  const label_match = /^([A-Z]+)([1-9][0-9]*)$/.exec(label);
+  if (!label_match) {
+    return null;
+  }
+  const row_index = letter_to_row_index(label_match[1]);
+  if (row_index === null) {
+    return null;
+  }
+  return { q: Number(label_match[2]) - 1, r: row_index };
+}
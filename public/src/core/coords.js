@@ -8,6 +8,42 @@
  * @typedef {{ x: number, y: number }} WorldPoint
  */
 
+/**
+ * "flat" is the original layout with rows running left to right. "pointy" is the same
+ * board turned 90° counterclockwise, so rows run bottom to top: wide boards become tall.
+ * A turn (not a mirror) keeps clockwise cycles clockwise on screen.
+ *
+ * @typedef {"flat" | "pointy"} HexOrientation
+ */
+
+/** @type {HexOrientation[]} */
+export const HEX_ORIENTATIONS = ["flat", "pointy"];
+
+/**
+ * Turn a flat-layout offset into the given orientation.
+ *
+ * @param {WorldPoint} point
+ * @param {HexOrientation} orientation
+ * @returns {WorldPoint}
+ */
+function orient_point(point, orientation) {
+  return orientation === "pointy" ? { x: point.y, y: -point.x } : point;
+}
+
+/**
+ * Half the width and height of one hex of size `tile_size_px`.
+ *
+ * @param {number} tile_size_px
+ * @param {HexOrientation} [orientation]
+ * @returns {{ half_width: number, half_height: number }}
+ */
+export function get_hex_half_extents(tile_size_px, orientation = "flat") {
+  const half_width = (Math.sqrt(3) / 2) * tile_size_px;
+  return orientation === "pointy"
+    ? { half_width: tile_size_px, half_height: half_width }
+    : { half_width, half_height: tile_size_px };
+}
+
 /**
  * @param {Cell} cell
  * @returns {string}
@@ -26,6 +62,9 @@ export function parse_cell_key(key) {
 }
 
 /**
+ * Directions are in cell terms and do not depend on the orientation: 0 is east in the
+ * flat layout and north in the pointy one, and indices always step counterclockwise.
+ *
  * @param {Cell} cell
  * @param {number} direction_index
  * @returns {Cell}
@@ -60,19 +99,25 @@ export function neighbor_cell(cell, direction_index) {
 
 /**
  * @param {number} tile_size_px
+ * @param {HexOrientation} [orientation]
  * @returns {WorldPoint[]}
  */
-export function create_hex_points(tile_size_px) {
+export function create_hex_points(tile_size_px, orientation = "flat") {
   /** @type {WorldPoint[]} */
   const points = [];
   const angle_offset_radians = Math.PI / 6;
   for (let index = 0; index < 6; index += 1) {
     // Offset by 30° so polygon width/height match grid spacing math.
     const angle_radians = (Math.PI / 3) * index + angle_offset_radians;
-    points.push({
-      x: tile_size_px * Math.cos(angle_radians),
-      y: tile_size_px * Math.sin(angle_radians)
-    });
+    points.push(
+      orient_point(
+        {
+          x: tile_size_px * Math.cos(angle_radians),
+          y: tile_size_px * Math.sin(angle_radians)
+        },
+        orientation
+      )
+    );
   }
   return points;
 }
@@ -81,15 +126,177 @@ export function create_hex_points(tile_size_px) {
  * @param {Cell} cell
  * @param {number} tile_size_px
  * @param {WorldPoint} board_origin
+ * @param {HexOrientation} [orientation]
  * @returns {WorldPoint}
  */
-export function world_from_cell(cell, tile_size_px, board_origin) {
+export function world_from_cell(cell, tile_size_px, board_origin, orientation = "flat") {
   const hex_width = Math.sqrt(3) * tile_size_px;
   const row_step_y = 1.5 * tile_size_px;
   const row_offset_x = cell.r % 2 === 0 ? hex_width / 2 : 0;
+  const offset = orient_point({ x: cell.q * hex_width + row_offset_x, y: cell.r * row_step_y }, orientation);
   return {
-    x: board_origin.x + cell.q * hex_width + row_offset_x,
-    y: board_origin.y + cell.r * row_step_y
+    x: board_origin.x + offset.x,
+    y: board_origin.y + offset.y
   };
 }
 
+
+/**
+ * Cube coordinates with a + r + s = 0. `r` is the offset row; `a` runs along rows like
+ * `q` but without the alternating even-row shift, so the six neighbors differ by
+ * (+1, 0), (+1, -1), (0, -1), (-1, 0), (-1, +1) and (0, +1) in (a, r).
+ *
+ * @typedef {{ a: number, r: number, s: number }} Cube
+ */
+
+/**
+ * @param {Cell} cell
+ * @returns {Cube}
+ */
+export function cube_from_cell(cell) {
+  // Even rows are shifted right, so they lose one more column than the odd row above.
+  const a = cell.q - Math.floor((cell.r - 1) / 2);
+  return { a, r: cell.r, s: -a - cell.r };
+}
+
+/**
+ * Only `a` and `r` are read, so axial coordinates work too.
+ *
+ * @param {{ a: number, r: number }} cube
+ * @returns {Cell}
+ */
+export function cell_from_cube(cube) {
+  return { q: cube.a + Math.floor((cube.r - 1) / 2), r: cube.r };
+}
+
+/**
+ * Round fractional cube coordinates to the containing hex: round each component, then
+ * recompute the one that moved most so the sum stays 0.
+ *
+ * @param {Cube} cube
+ * @returns {Cube}
+ */
+export function round_cube(cube) {
+  let a = Math.round(cube.a);
+  let r = Math.round(cube.r);
+  let s = Math.round(cube.s);
+  const a_delta = Math.abs(a - cube.a);
+  const r_delta = Math.abs(r - cube.r);
+  const s_delta = Math.abs(s - cube.s);
+  if (a_delta > r_delta && a_delta > s_delta) {
+    a = -r - s;
+  } else if (r_delta > s_delta) {
+    r = -a - s;
+  } else {
+    s = -a - r;
+  }
+  // Normalize -0 so cell keys never read "-0".
+  return { a: a + 0, r: r + 0, s: s + 0 };
+}
+
+/**
+ * Inverse of world_from_cell: the cell whose hex contains `world_point`. The cell may
+ * lie outside the grid; check it with `grid.has_cell`.
+ *
+ * @param {WorldPoint} world_point
+ * @param {number} tile_size_px
+ * @param {WorldPoint} board_origin
+ * @param {HexOrientation} [orientation]
+ * @returns {Cell}
+ */
+export function cell_from_world(world_point, tile_size_px, board_origin, orientation = "flat") {
+  const offset_x = world_point.x - board_origin.x;
+  const offset_y = world_point.y - board_origin.y;
+  // Undo the pointy turn: (x, y) -> (y, -x) is inverted by (x, y) -> (-y, x).
+  const flat_x = orientation === "pointy" ? -offset_y : offset_x;
+  const flat_y = orientation === "pointy" ? offset_x : offset_y;
+  const r = flat_y / (1.5 * tile_size_px);
+  // world_from_cell puts cell centers at x = hex_width * (a + r / 2 - 1 / 2).
+  const a = flat_x / (Math.sqrt(3) * tile_size_px) - r / 2 + 1 / 2;
+  return cell_from_cube(round_cube({ a, r, s: -a - r }));
+}
+
+/**
+ * Number of single steps between two cells.
+ *
+ * @param {Cell} from_cell
+ * @param {Cell} to_cell
+ * @returns {number}
+ */
+export function get_cell_distance(from_cell, to_cell) {
+  const from_cube = cube_from_cell(from_cell);
+  const to_cube = cube_from_cell(to_cell);
+  return Math.max(
+    Math.abs(to_cube.a - from_cube.a),
+    Math.abs(to_cube.r - from_cube.r),
+    Math.abs(to_cube.s - from_cube.s)
+  );
+}
+
+/**
+ * Cells at exactly `radius` steps from `center_cell`, walking counterclockwise (by
+ * neighbor direction order) from the cell `radius` steps along direction 4.
+ * Radius 0 gives the center alone.
+ *
+ * @param {Cell} center_cell
+ * @param {number} radius
+ * @returns {Cell[]}
+ */
+export function get_ring_cells(center_cell, radius) {
+  if (radius === 0) {
+    return [center_cell];
+  }
+  /** @type {Cell[]} */
+  const ring_cells = [];
+  let cell = center_cell;
+  for (let step_index = 0; step_index < radius; step_index += 1) {
+    cell = neighbor_cell(cell, 4);
+  }
+  for (let direction_index = 0; direction_index < 6; direction_index += 1) {
+    for (let step_index = 0; step_index < radius; step_index += 1) {
+      ring_cells.push(cell);
+      cell = neighbor_cell(cell, direction_index);
+    }
+  }
+  return ring_cells;
+}
+
+/**
+ * Every cell within `radius` steps, ring by ring outward from the center.
+ *
+ * @param {Cell} center_cell
+ * @param {number} radius
+ * @returns {Cell[]}
+ */
+export function get_spiral_cells(center_cell, radius) {
+  /** @type {Cell[]} */
+  const spiral_cells = [];
+  for (let ring_radius = 0; ring_radius <= radius; ring_radius += 1) {
+    spiral_cells.push(...get_ring_cells(center_cell, ring_radius));
+  }
+  return spiral_cells;
+}
+
+/**
+ * Cells on the straight line between two cells, both ends included, one per step.
+ * Sample points are nudged off hex edges so ties always round the same way.
+ *
+ * @param {Cell} from_cell
+ * @param {Cell} to_cell
+ * @returns {Cell[]}
+ */
+export function get_line_cells(from_cell, to_cell) {
+  const step_count = get_cell_distance(from_cell, to_cell);
+  const from_cube = cube_from_cell(from_cell);
+  const to_cube = cube_from_cell(to_cell);
+  const nudge = 1e-6;
+  /** @type {Cell[]} */
+  const line_cells = [];
+  for (let step_index = 0; step_index <= step_count; step_index += 1) {
+    const t = step_count === 0 ? 0 : step_index / step_count;
+    const a = from_cube.a + nudge + (to_cube.a - from_cube.a) * t;
+    const r = from_cube.r + nudge + (to_cube.r - from_cube.r) * t;
+    line_cells.push(cell_from_cube(round_cube({ a, r, s: -a - r })));
+  }
+  return line_cells;
+}
@@ -1,5 +1,7 @@
 // @ts-check
 
+import { create_shaped_grid, get_grid_extent_in_s } from "./grid.js";
+
 /**
  * @typedef {{
  *   x: number,
@@ -9,6 +11,20 @@
  * }} Rect
  */
 
+/**
+ * @typedef {import("./grid.js").GridShape} GridShape
+ */
+
+/**
+ * @typedef {import("./coords.js").HexOrientation} HexOrientation
+ */
+
+/**
+ * Board width and height in tile-size units, without padding (see get_grid_extent_in_s).
+ *
+ * @typedef {{ width: number, height: number }} GridExtent
+ */
+
 /**
  * @param {number} grid_w
  * @param {number} grid_h
@@ -49,6 +65,47 @@ export function get_board_aspect(grid_w, grid_h, padding_in_tile_units) {
   );
 }
 
+/**
+ * @param {GridExtent} grid_extent_in_s
+ * @param {number} padding_in_tile_units
+ * @returns {GridExtent}
+ */
+function get_padded_extent_in_s(grid_extent_in_s, padding_in_tile_units) {
+  return {
+    width: grid_extent_in_s.width + 2 * padding_in_tile_units,
+    height: grid_extent_in_s.height + 2 * padding_in_tile_units
+  };
+}
+
+/**
+ * Candidate sizes for the non-row shapes with their cell counts; masks have no size to derive.
+ *
+ * @param {Exclude<GridShape["kind"], "rows">} shape_kind
+ * @returns {{ shape: GridShape, cell_count: number }[]}
+ */
+function get_shape_candidates(shape_kind) {
+  /** @type {{ shape: GridShape, cell_count: number }[]} */
+  const candidates = [];
+  if (shape_kind === "hexagon") {
+    for (let radius = 1; radius <= 15; radius += 1) {
+      candidates.push({ shape: { kind: "hexagon", radius }, cell_count: 3 * radius * (radius + 1) + 1 });
+    }
+  } else if (shape_kind === "triangle") {
+    for (let size = 2; size <= 30; size += 1) {
+      candidates.push({ shape: { kind: "triangle", size }, cell_count: (size * (size + 1)) / 2 });
+    }
+  } else if (shape_kind === "parallelogram") {
+    for (let h = 1; h <= 35; h += 1) {
+      for (let w = 1; w <= 50; w += 1) {
+        candidates.push({ shape: { kind: "parallelogram", w, h }, cell_count: w * h });
+      }
+    }
+  } else {
+    throw new Error("Mask-defined boards have a fixed size; there is nothing to derive.");
+  }
+  return candidates;
+}
+
 /**
  * @param {number} source_width
  * @param {number} source_height
@@ -69,16 +126,55 @@ export function get_contain_rect(source_width, source_height, target_width, targ
 }
 
 /**
+ * Pick the size of a board shape closest to the target cell count, breaking ties by
+ * how well the padded board matches the image aspect. In the pointy orientation the
+ * board is turned, so its width and height swap.
+ *
  * @param {{
  *   target_cell_count: number,
  *   image_aspect: number,
  *   padding_in_tile_units: number,
+ *   shape_kind?: GridShape["kind"],
+ *   hex_orientation?: HexOrientation,
  *   candidate_h_min?: number,
  *   candidate_h_max?: number
  * }} options
- * @returns {{ grid_w: number, grid_h: number, cell_count: number, board_aspect: number }}
+ * @returns {{ shape: GridShape, cell_count: number, board_aspect: number }}
  */
 export function derive_grid_shape(options) {
+  const shape_kind = options.shape_kind ?? "rows";
+  const hex_orientation = options.hex_orientation ?? "flat";
+  if (shape_kind !== "rows") {
+    const candidates = get_shape_candidates(shape_kind);
+    const best_cell_delta = Math.min(
+      ...candidates.map((candidate) => Math.abs(candidate.cell_count - options.target_cell_count))
+    );
+    /** @type {{ shape: GridShape, cell_count: number, board_aspect: number, aspect_delta: number } | null} */
+    let best_shape_match = null;
+    for (const candidate of candidates) {
+      if (Math.abs(candidate.cell_count - options.target_cell_count) !== best_cell_delta) {
+        continue;
+      }
+      const padded_extent_in_s = get_padded_extent_in_s(
+        get_grid_extent_in_s(create_shaped_grid(candidate.shape), hex_orientation),
+        options.padding_in_tile_units
+      );
+      const board_aspect = padded_extent_in_s.width / padded_extent_in_s.height;
+      const aspect_delta = Math.abs(board_aspect - options.image_aspect);
+      if (!best_shape_match || aspect_delta < best_shape_match.aspect_delta) {
+        best_shape_match = { ...candidate, board_aspect, aspect_delta };
+      }
+    }
+    if (!best_shape_match) {
+      throw new Error(`Could not derive a ${shape_kind} grid size.`);
+    }
+    return {
+      shape: best_shape_match.shape,
+      cell_count: best_shape_match.cell_count,
+      board_aspect: best_shape_match.board_aspect
+    };
+  }
+
   const candidate_h_min = options.candidate_h_min ?? 3;
   const candidate_h_max = options.candidate_h_max ?? 35;
   /** @type {{ grid_w: number, grid_h: number, cell_count: number, board_aspect: number, cell_delta: number, aspect_delta: number } | null} */
@@ -87,7 +183,8 @@ export function derive_grid_shape(options) {
   for (let grid_h = candidate_h_min; grid_h <= candidate_h_max; grid_h += 2) {
     for (let grid_w = 1; grid_w <= 50; grid_w += 1) {
       const cell_count = get_cell_count_for_shape(grid_w, grid_h);
-      const board_aspect = get_board_aspect(grid_w, grid_h, options.padding_in_tile_units);
+      const flat_board_aspect = get_board_aspect(grid_w, grid_h, options.padding_in_tile_units);
+      const board_aspect = hex_orientation === "pointy" ? 1 / flat_board_aspect : flat_board_aspect;
       const cell_delta = Math.abs(cell_count - options.target_cell_count);
       const aspect_delta = Math.abs(board_aspect - options.image_aspect);
       const candidate = {
@@ -120,8 +217,7 @@ export function derive_grid_shape(options) {
   }
 
   return {
-    grid_w: best_match.grid_w,
-    grid_h: best_match.grid_h,
+    shape: { kind: "rows", w: best_match.grid_w, h: best_match.grid_h },
     cell_count: best_match.cell_count,
     board_aspect: best_match.board_aspect
   };
@@ -133,8 +229,7 @@ export function derive_grid_shape(options) {
  *   viewport_height: number,
  *   image_width: number,
  *   image_height: number,
- *   grid_w: number,
- *   grid_h: number,
+ *   grid_extent_in_s: GridExtent,
  *   padding_in_tile_units: number,
  *   viewport_margin_px: number
  * }} options
@@ -156,8 +251,9 @@ export function derive_tile_size(options) {
     height: image_rect_unoffset.height
   };
 
-  const padded_width_in_s = get_padded_width_in_s(options.grid_w, options.padding_in_tile_units);
-  const padded_height_in_s = get_padded_height_in_s(options.grid_h, options.padding_in_tile_units);
+  const padded_extent_in_s = get_padded_extent_in_s(options.grid_extent_in_s, options.padding_in_tile_units);
+  const padded_width_in_s = padded_extent_in_s.width;
+  const padded_height_in_s = padded_extent_in_s.height;
 
   const tile_size_from_viewport = Math.min(
     usable_viewport_width / padded_width_in_s,
@@ -174,6 +270,26 @@ export function derive_tile_size(options) {
   };
 }
 
+/**
+ * Tile size in source-image pixels when the padded board is fit to the image, the most
+ * detail a baked tile can carry.
+ *
+ * @param {{
+ *   image_width: number,
+ *   image_height: number,
+ *   grid_extent_in_s: GridExtent,
+ *   padding_in_tile_units: number
+ * }} options
+ * @returns {number}
+ */
+export function get_source_tile_size_px(options) {
+  const padded_extent_in_s = get_padded_extent_in_s(options.grid_extent_in_s, options.padding_in_tile_units);
+  return Math.min(
+    options.image_width / padded_extent_in_s.width,
+    options.image_height / padded_extent_in_s.height
+  );
+}
+
 /**
  * @typedef {{ x: number, y: number }} WorldPoint
  */
@@ -185,8 +301,7 @@ export function derive_tile_size(options) {
  * @param {{
  *   viewport_width: number,
  *   viewport_height: number,
- *   grid_w: number,
- *   grid_h: number,
+ *   grid_extent_in_s: GridExtent,
  *   padding_in_tile_units: number,
  *   viewport_margin_px: number
  * }} options
@@ -202,14 +317,12 @@ export function derive_tile_size_and_origin_viewport_only(options, get_bounds_ce
     1,
     options.viewport_height - 2 * options.viewport_margin_px
   );
-  const padded_width_in_s = get_padded_width_in_s(
-    options.grid_w,
-    options.padding_in_tile_units
-  );
-  const padded_height_in_s = get_padded_height_in_s(
-    options.grid_h,
+  const padded_extent_in_s = get_padded_extent_in_s(
+    options.grid_extent_in_s,
     options.padding_in_tile_units
   );
+  const padded_width_in_s = padded_extent_in_s.width;
+  const padded_height_in_s = padded_extent_in_s.height;
   const tile_size_px = Math.max(
     1,
     Math.min(
@@ -0,0 +1,120 @@
+// @ts-check
+
+import { is_plain_object } from "./serialize.js";
+
+/**
+ * `image_path` is resolved against the manifest's folder, so it matches the paths
+ * autosaves and recordings already use (e.g. `./assets/<file>`).
+ *
+ * @typedef {{
+ *   id: string,
+ *   title: string,
+ *   artist: string,
+ *   image_path: string
+ * }} Painting
+ */
+
+/**
+ * @typedef {{
+ *   default_id: string,
+ *   paintings: Painting[]
+ * }} GalleryManifest
+ */
+
+export const GALLERY_MANIFEST_FORMAT = "rothex-gallery";
+export const GALLERY_MANIFEST_VERSION = 1;
+
+const PAINTING_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+function is_non_empty_string(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * @param {string} manifest_path
+ * @returns {string}
+ */
+function get_folder_path(manifest_path) {
+  const slash_index = manifest_path.lastIndexOf("/");
+  return slash_index === -1 ? "." : manifest_path.slice(0, slash_index);
+}
+
+/**
+ * Parse the list of bundled paintings. Each entry needs a URL-safe `id`, a `title`,
+ * an `artist` and a `file` next to the manifest.
+ *
+ * @param {string} json_text
+ * @param {string} manifest_path
+ * @returns {GalleryManifest}
+ */
+export function parse_gallery_manifest(json_text, manifest_path) {
+  /** @type {unknown} */
+  let raw_manifest;
+  try {
+    raw_manifest = JSON.parse(json_text);
+  } catch (error) {
+    throw new Error(`Gallery manifest is not valid JSON: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  if (!is_plain_object(raw_manifest)) {
+    throw new Error("Gallery manifest must be a JSON object.");
+  }
+  if (raw_manifest.format !== GALLERY_MANIFEST_FORMAT) {
+    throw new Error(
+      `Gallery manifest format must be '${GALLERY_MANIFEST_FORMAT}' (received '${String(raw_manifest.format)}').`
+    );
+  }
+  if (raw_manifest.version !== GALLERY_MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported gallery manifest version ${String(raw_manifest.version)} (expected ${GALLERY_MANIFEST_VERSION}).`
+    );
+  }
+  if (!Array.isArray(raw_manifest.paintings) || raw_manifest.paintings.length === 0) {
+    throw new Error("Gallery manifest 'paintings' must be a non-empty array.");
+  }
+  const folder_path = get_folder_path(manifest_path);
+  /** @type {Set<string>} */
+  const seen_ids = new Set();
+  const paintings = raw_manifest.paintings.map((raw_painting, painting_index) => {
+    if (
+      !is_plain_object(raw_painting) ||
+      !is_non_empty_string(raw_painting.title) ||
+      !is_non_empty_string(raw_painting.artist) ||
+      !is_non_empty_string(raw_painting.file)
+    ) {
+      throw new Error(`Gallery painting ${painting_index} must have non-empty title, artist and file strings.`);
+    }
+    if (typeof raw_painting.id !== "string" || !PAINTING_ID_PATTERN.test(raw_painting.id)) {
+      throw new Error(
+        `Gallery painting ${painting_index} id must be lowercase letters, digits, '-' or '_' (received '${String(raw_painting.id)}').`
+      );
+    }
+    if (seen_ids.has(raw_painting.id)) {
+      throw new Error(`Gallery painting id '${raw_painting.id}' is used more than once.`);
+    }
+    seen_ids.add(raw_painting.id);
+    return {
+      id: raw_painting.id,
+      title: raw_painting.title,
+      artist: raw_painting.artist,
+      image_path: `${folder_path}/${raw_painting.file}`
+    };
+  });
+  const default_id = raw_manifest.default_id ?? paintings[0].id;
+  if (typeof default_id !== "string" || !seen_ids.has(default_id)) {
+    throw new Error(`Gallery manifest default_id '${String(default_id)}' is not one of its paintings.`);
+  }
+  return { default_id, paintings };
+}
+
+/**
+ * @param {GalleryManifest} manifest
+ * @param {string | null} painting_id
+ * @returns {Painting | null}
+ */
+export function find_painting(manifest, painting_id) {
+  return manifest.paintings.find((painting) => painting.id === painting_id) ?? null;
+}
@@ -1,6 +1,6 @@
 // @ts-check
 
-import { cell_key, world_from_cell } from "./coords.js";
+import { cell_from_cube, cell_key, get_hex_half_extents, world_from_cell } from "./coords.js";
 
 /**
  * @typedef {{ q: number, r: number }} Cell
@@ -11,41 +11,260 @@ import { cell_key, world_from_cell } from "./coords.js";
  */
 
 /**
+ * @typedef {import("./coords.js").HexOrientation} HexOrientation
+ */
+
+/**
+ * Board shape description. "rows" is the original layout (odd h, rows alternating
+ * between w and w + 1 cells); the others are laid out in axial coordinates and then
+ * converted to offset cells. Mask rows use "#" for a cell, "o" for a hole, "*" for a
+ * pinned tile and "." for empty space, in offset layout (even rows are drawn half a
+ * tile to the right).
+ *
+ * @typedef {{ kind: "rows", w: number, h: number }
+ *   | { kind: "hexagon", radius: number }
+ *   | { kind: "parallelogram", w: number, h: number }
+ *   | { kind: "triangle", size: number }
+ *   | { kind: "mask", rows: string[] }} GridShape
+ */
+
+/**
+ * "open" cells hold tiles that move; a "pinned" cell holds a tile that never moves; a
+ * "hole" is part of the board but holds no tile. Operators never touch holes or pins.
+ *
+ * @typedef {"open" | "pinned" | "hole"} CellKind
+ */
+
+/**
+ * Cells to block on top of the shape, as cell keys.
+ *
+ * @typedef {{ hole_keys?: string[], pinned_keys?: string[] }} BlockedCells
+ */
+
+/**
+ * `w`/`h` are the column and row extents of the cells. `shape_key` identifies the
+ * shape (and its blocked cells) in save slots and state documents. `all_cells` and
+ * `has_cell` cover the cells that hold a tile (open and pinned); holes are listed in
+ * `hole_cells`. `get_cell_kind` returns null outside the board.
+ *
  * @typedef {{
  *   w: number,
  *   h: number,
+ *   shape: GridShape,
+ *   shape_key: string,
  *   all_cells: Cell[],
- *   has_cell: (cell: Cell) => boolean
+ *   hole_cells: Cell[],
+ *   has_cell: (cell: Cell) => boolean,
+ *   get_cell_kind: (cell: Cell) => CellKind | null
  * }} Grid
  */
 
+/** @type {GridShape["kind"][]} */
+export const GRID_SHAPE_KINDS = ["rows", "hexagon", "parallelogram", "triangle", "mask"];
+const MASK_CELL_CHAR = "#";
+const MASK_EMPTY_CHAR = ".";
+const MASK_HOLE_CHAR = "o";
+const MASK_PINNED_CHAR = "*";
+/** @type {Map<string, CellKind>} */
+const CELL_KIND_BY_MASK_CHAR = new Map([
+  [MASK_CELL_CHAR, "open"],
+  [MASK_HOLE_CHAR, "hole"],
+  [MASK_PINNED_CHAR, "pinned"]
+]);
+
 /**
  * @param {number} grid_w
  * @param {number} grid_h
  * @returns {Grid}
  */
 export function create_grid(grid_w, grid_h) {
+  return create_shaped_grid({ kind: "rows", w: grid_w, h: grid_h });
+}
+
+/**
+ * @param {number} grid_w
+ * @param {number} grid_h
+ * @returns {Cell[]}
+ */
+function get_row_shape_cells(grid_w, grid_h) {
   if (grid_h % 2 === 0) {
     throw new Error("GRID_H must be odd.");
   }
   /** @type {Cell[]} */
   const all_cells = [];
-  const playable_cells = new Set();
 
   for (let row_index = 0; row_index < grid_h; row_index += 1) {
     const row_length = row_index % 2 === 0 ? grid_w : grid_w + 1;
     for (let column_index = 0; column_index < row_length; column_index += 1) {
-      const cell = { q: column_index, r: row_index };
-      all_cells.push(cell);
-      playable_cells.add(cell_key(cell));
+      all_cells.push({ q: column_index, r: row_index });
+    }
+  }
+  return all_cells;
+}
+
+/**
+ * Short stable hash so long masks still give compact shape keys.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function hash_text(text) {
+  // 32-bit FNV-1a.
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * @param {GridShape} shape
+ * @returns {string}
+ */
+function get_shape_key(shape) {
+  switch (shape.kind) {
+    case "rows":
+      return `${shape.w}x${shape.h}`;
+    case "hexagon":
+      return `hexagon-${shape.radius}`;
+    case "parallelogram":
+      return `parallelogram-${shape.w}x${shape.h}`;
+    case "triangle":
+      return `triangle-${shape.size}`;
+    case "mask":
+      return `mask-${hash_text(shape.rows.join("/"))}`;
+  }
+}
+
+/**
+ * Axial cells (a, r) for the non-row shapes. Axial neighbors of (a, r) are
+ * (a ± 1, r), (a, r - 1), (a + 1, r - 1), (a - 1, r + 1) and (a, r + 1).
+ *
+ * @param {Exclude<GridShape, { kind: "rows" } | { kind: "mask" }>} shape
+ * @returns {{ a: number, r: number }[]}
+ */
+function get_axial_shape_cells(shape) {
+  /** @type {{ a: number, r: number }[]} */
+  const axial_cells = [];
+  if (shape.kind === "hexagon") {
+    for (let r = -shape.radius; r <= shape.radius; r += 1) {
+      for (let a = -shape.radius; a <= shape.radius; a += 1) {
+        if (Math.abs(a + r) <= shape.radius) {
+          axial_cells.push({ a, r });
+        }
+      }
     }
+  } else if (shape.kind === "parallelogram") {
+    for (let r = 0; r < shape.h; r += 1) {
+      for (let a = 0; a < shape.w; a += 1) {
+        axial_cells.push({ a, r });
+      }
+    }
+  } else {
+    for (let r = 0; r < shape.size; r += 1) {
+      for (let a = 0; a < shape.size - r; a += 1) {
+        axial_cells.push({ a, r });
+      }
+    }
+  }
+  return axial_cells;
+}
+
+/**
+ * @param {GridShape} shape
+ * @returns {{ cell: Cell, kind: CellKind }[]}
+ */
+function get_offset_shape_cells(shape) {
+  if (shape.kind === "mask") {
+    /** @type {{ cell: Cell, kind: CellKind }[]} */
+    const mask_cells = [];
+    shape.rows.forEach((row_text, r) => {
+      [...row_text].forEach((mask_char, q) => {
+        const kind = CELL_KIND_BY_MASK_CHAR.get(mask_char);
+        if (kind) {
+          mask_cells.push({ cell: { q, r }, kind });
+        } else if (mask_char !== MASK_EMPTY_CHAR) {
+          throw new Error(
+            `Grid mask row ${r + 1} has '${mask_char}'; use '${MASK_CELL_CHAR}' for a cell, '${MASK_HOLE_CHAR}' for a hole, '${MASK_PINNED_CHAR}' for a pinned tile and '${MASK_EMPTY_CHAR}' for empty space.`
+          );
+        }
+      });
+    });
+    return mask_cells;
   }
+  if (shape.kind === "rows") {
+    return get_row_shape_cells(shape.w, shape.h).map((cell) => ({ cell, kind: "open" }));
+  }
+  const axial_cells = get_axial_shape_cells(shape);
+  // Any axial translation is a lattice translation, so shift rows to start at 0 first
+  // and then convert.
+  const min_r = Math.min(...axial_cells.map((axial_cell) => axial_cell.r));
+  const offset_cells = axial_cells.map((axial_cell) =>
+    cell_from_cube({ a: axial_cell.a, r: axial_cell.r - min_r })
+  );
+  const min_q = Math.min(...offset_cells.map((cell) => cell.q));
+  return offset_cells.map((cell) => ({ cell: { q: cell.q - min_q, r: cell.r }, kind: "open" }));
+}
 
+/**
+ * Build a grid of any supported shape, optionally turning some of its cells into holes
+ * or pinned tiles. Cells are listed row by row, left to right.
+ *
+ * @param {GridShape} shape
+ * @param {BlockedCells} [blocked_cells]
+ * @returns {Grid}
+ */
+export function create_shaped_grid(shape, blocked_cells = {}) {
+  const shape_cells = get_offset_shape_cells(shape).sort((a, b) => a.cell.r - b.cell.r || a.cell.q - b.cell.q);
+  if (shape_cells.length === 0) {
+    throw new Error(`Grid shape ${get_shape_key(shape)} has no cells.`);
+  }
+  /** @type {Map<string, CellKind>} */
+  const cell_kinds = new Map(shape_cells.map((shape_cell) => [cell_key(shape_cell.cell), shape_cell.kind]));
+  /** @type {[string[], CellKind][]} */
+  const blocked_lists = [
+    [blocked_cells.hole_keys ?? [], "hole"],
+    [blocked_cells.pinned_keys ?? [], "pinned"]
+  ];
+  for (const [blocked_keys, kind] of blocked_lists) {
+    for (const blocked_key of blocked_keys) {
+      const current_kind = cell_kinds.get(blocked_key);
+      if (current_kind === undefined) {
+        throw new Error(`Grid ${get_shape_key(shape)} has no cell ${blocked_key} to make ${kind}.`);
+      }
+      if (current_kind !== "open") {
+        throw new Error(`Grid cell ${blocked_key} cannot be both ${current_kind} and ${kind}.`);
+      }
+      cell_kinds.set(blocked_key, kind);
+    }
+  }
+  const all_cells = shape_cells
+    .filter((shape_cell) => cell_kinds.get(cell_key(shape_cell.cell)) !== "hole")
+    .map((shape_cell) => shape_cell.cell);
+  const hole_cells = shape_cells
+    .filter((shape_cell) => cell_kinds.get(cell_key(shape_cell.cell)) === "hole")
+    .map((shape_cell) => shape_cell.cell);
+  if (all_cells.length === 0) {
+    throw new Error(`Grid ${get_shape_key(shape)} has only holes.`);
+  }
+  const playable_cells = new Set(all_cells.map((cell) => cell_key(cell)));
+  // Masks already encode their blocked cells; anything added on top changes the key.
+  const blocked_keys = [
+    ...[...(blocked_cells.hole_keys ?? [])].sort(),
+    "|",
+    ...[...(blocked_cells.pinned_keys ?? [])].sort()
+  ];
+  const blocked_suffix = blocked_keys.length > 1 ? `-blocked-${hash_text(blocked_keys.join(";"))}` : "";
   return {
-    w: grid_w,
-    h: grid_h,
+    w: shape.kind === "rows" ? shape.w : Math.max(...shape_cells.map((shape_cell) => shape_cell.cell.q)) + 1,
+    h: shape.kind === "rows" ? shape.h : Math.max(...shape_cells.map((shape_cell) => shape_cell.cell.r)) + 1,
+    shape,
+    shape_key: `${get_shape_key(shape)}${blocked_suffix}`,
     all_cells,
-    has_cell: (cell) => playable_cells.has(cell_key(cell))
+    hole_cells,
+    has_cell: (cell) => playable_cells.has(cell_key(cell)),
+    get_cell_kind: (cell) => cell_kinds.get(cell_key(cell)) ?? null
   };
 }
 
@@ -57,26 +276,39 @@ export function get_cell_count(grid) {
   return grid.all_cells.length;
 }
 
+/**
+ * Board width and height in tile-size units (tile size 1), without padding.
+ *
+ * @param {Grid} grid
+ * @param {HexOrientation} [orientation]
+ * @returns {{ width: number, height: number }}
+ */
+export function get_grid_extent_in_s(grid, orientation = "flat") {
+  const bounds = get_grid_bounds(grid, 1, { x: 0, y: 0 }, orientation);
+  return { width: bounds.width, height: bounds.height };
+}
+
 /**
  * @param {Grid} grid
  * @param {number} tile_size_px
  * @param {WorldPoint} board_origin
+ * @param {HexOrientation} [orientation]
  * @returns {{ min_x: number, max_x: number, min_y: number, max_y: number, center_x: number, center_y: number, width: number, height: number }}
  */
-export function get_grid_bounds(grid, tile_size_px, board_origin) {
-  const hex_width = Math.sqrt(3) * tile_size_px;
-  const hex_height = 2 * tile_size_px;
+export function get_grid_bounds(grid, tile_size_px, board_origin, orientation = "flat") {
+  const { half_width, half_height } = get_hex_half_extents(tile_size_px, orientation);
   let min_x = Number.POSITIVE_INFINITY;
   let max_x = Number.NEGATIVE_INFINITY;
   let min_y = Number.POSITIVE_INFINITY;
   let max_y = Number.NEGATIVE_INFINITY;
 
-  for (const cell of grid.all_cells) {
-    const center_point = world_from_cell(cell, tile_size_px, board_origin);
-    min_x = Math.min(min_x, center_point.x - hex_width / 2);
-    max_x = Math.max(max_x, center_point.x + hex_width / 2);
-    min_y = Math.min(min_y, center_point.y - hex_height / 2);
-    max_y = Math.max(max_y, center_point.y + hex_height / 2);
+  // Holes are part of the board outline even though they hold no tile.
+  for (const cell of [...grid.all_cells, ...grid.hole_cells]) {
+    const center_point = world_from_cell(cell, tile_size_px, board_origin, orientation);
+    min_x = Math.min(min_x, center_point.x - half_width);
+    max_x = Math.max(max_x, center_point.x + half_width);
+    min_y = Math.min(min_y, center_point.y - half_height);
+    max_y = Math.max(max_y, center_point.y + half_height);
   }
 
   return {
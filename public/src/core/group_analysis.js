@@ -0,0 +1,561 @@
+// @ts-check
+
+import { create_seeded_random } from "./random.js";
+
+/**
+ * Puzzle-group analysis for a grid and operator set.
+ *
+ * Each tile slot is expanded into 6 "oriented points" (cell index * 6 + rot), so a move is
+ * a plain permutation of 6N points: cycle tiles change cell and rotation, spin tiles only
+ * rotation. A board state is the permutation (home, k) -> (current cell, k + rot), the
+ * solved state is the identity, and a state is reachable exactly when it belongs to the
+ * group generated by the moves.
+ *
+ * The stabilizer chain is built with the randomized Schreier–Sims algorithm. It stops after
+ * a run of random group elements all sift to the identity, so the order it reports is exact
+ * with overwhelming probability (an error could only make it too small).
+ */
+
+/**
+ * @typedef {{
+ *   cell_to_tile_id: Map<string, string>,
+ *   tile_id_to_cell: Map<string, string>,
+ *   tile_rot: Map<string, number>,
+ *   tile_home_cell: Map<string, string>
+ * }} BoardState
+ */
+
+/**
+ * @typedef {{
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   anchor_world: { x: number, y: number },
+ *   cells: string[],
+ *   spin_cells?: string[],
+ *   permutation_steps_cw?: number,
+ *   rotation_steps_cw: number
+ * }} AnchorInstance
+ */
+
+/**
+ * @typedef {{
+ *   base_point: number,
+ *   generators: Uint16Array[],
+ *   generator_inverses: Uint16Array[],
+ *   inverse_transversal: Map<number, Uint16Array>
+ * }} ChainLevel
+ */
+
+/**
+ * @typedef {{
+ *   cell_keys: string[],
+ *   cell_orbits: string[][],
+ *   generator_count: number,
+ *   parity_rotation_classes: [number, number][],
+ *   is_parity_invariant: boolean,
+ *   rotation_sum_modulus: number,
+ *   group_order: bigint | null,
+ *   permutation_group_order: bigint | null,
+ *   chain: ChainLevel[] | null
+ * }} GroupAnalysis
+ */
+
+/**
+ * @typedef {{ is_reachable: boolean, reason: string }} ReachabilityResult
+ */
+
+const ORIENTATION_COUNT = 6;
+const DEFAULT_MAX_CELLS = 100;
+const SIFT_SUCCESS_RUN = 48;
+const PRODUCT_REPLACEMENT_SLOTS = 10;
+const PRODUCT_REPLACEMENT_WARMUP = 60;
+
+/**
+ * @param {number} value
+ * @param {number} modulus
+ * @returns {number}
+ */
+function positive_mod(value, modulus) {
+  return ((value % modulus) + modulus) % modulus;
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function greatest_common_divisor(a, b) {
+  return b === 0 ? Math.abs(a) : greatest_common_divisor(b, a % b);
+}
+
+/**
+ * @param {number} point_count
+ * @returns {Uint16Array}
+ */
+function identity_permutation(point_count) {
+  const permutation = new Uint16Array(point_count);
+  for (let point = 0; point < point_count; point += 1) {
+    permutation[point] = point;
+  }
+  return permutation;
+}
+
+/**
+ * Apply `first`, then `second`.
+ *
+ * @param {Uint16Array} first
+ * @param {Uint16Array} second
+ * @returns {Uint16Array}
+ */
+function compose(first, second) {
+  const result = new Uint16Array(first.length);
+  for (let point = 0; point < first.length; point += 1) {
+    result[point] = second[first[point]];
+  }
+  return result;
+}
+
+/**
+ * @param {Uint16Array} permutation
+ * @returns {Uint16Array}
+ */
+function invert(permutation) {
+  const result = new Uint16Array(permutation.length);
+  for (let point = 0; point < permutation.length; point += 1) {
+    result[permutation[point]] = point;
+  }
+  return result;
+}
+
+/**
+ * @param {Uint16Array} permutation
+ * @returns {boolean}
+ */
+function is_identity(permutation) {
+  for (let point = 0; point < permutation.length; point += 1) {
+    if (permutation[point] !== point) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * @param {ArrayLike<number>} permutation
+ * @returns {number} 0 for even, 1 for odd
+ */
+function permutation_parity(permutation) {
+  const visited = new Uint8Array(permutation.length);
+  let parity = 0;
+  for (let start = 0; start < permutation.length; start += 1) {
+    if (visited[start]) {
+      continue;
+    }
+    let cycle_length = 0;
+    for (let point = start; !visited[point]; point = permutation[point]) {
+      visited[point] = 1;
+      cycle_length += 1;
+    }
+    parity ^= (cycle_length - 1) & 1;
+  }
+  return parity;
+}
+
+/**
+ * Oriented-point permutation for one CW move of an anchor instance.
+ *
+ * @param {AnchorInstance} anchor_instance
+ * @param {Map<string, number>} cell_index_by_key
+ * @returns {{ oriented: Uint16Array, cells: Uint16Array, rotation_sum_delta: number }}
+ */
+function create_move_generator(anchor_instance, cell_index_by_key) {
+  const cell_count = cell_index_by_key.size;
+  const oriented = identity_permutation(cell_count * ORIENTATION_COUNT);
+  const cells = identity_permutation(cell_count);
+  const cycle_indices = anchor_instance.cells.map((key) => {
+    const cell_index = cell_index_by_key.get(key);
+    if (cell_index === undefined) {
+      throw new Error(`Anchor ${anchor_instance.anchor_id} touches unknown cell ${key}.`);
+    }
+    return cell_index;
+  });
+  const spin_indices = (anchor_instance.spin_cells ?? []).map((key) => cell_index_by_key.get(key) ?? -1);
+  const permutation_steps_cw = anchor_instance.permutation_steps_cw ?? 1;
+  const rotation_delta = -anchor_instance.rotation_steps_cw;
+
+  cycle_indices.forEach((source_index, cycle_position) => {
+    const destination_index =
+      cycle_indices[(cycle_position + permutation_steps_cw) % cycle_indices.length];
+    cells[source_index] = destination_index;
+    for (let rot = 0; rot < ORIENTATION_COUNT; rot += 1) {
+      oriented[source_index * ORIENTATION_COUNT + rot] =
+        destination_index * ORIENTATION_COUNT + positive_mod(rot + rotation_delta, ORIENTATION_COUNT);
+    }
+  });
+  for (const spin_index of spin_indices) {
+    if (spin_index < 0) {
+      continue;
+    }
+    for (let rot = 0; rot < ORIENTATION_COUNT; rot += 1) {
+      oriented[spin_index * ORIENTATION_COUNT + rot] =
+        spin_index * ORIENTATION_COUNT + positive_mod(rot + rotation_delta, ORIENTATION_COUNT);
+    }
+  }
+  const moved_tile_count = cycle_indices.length + spin_indices.filter((index) => index >= 0).length;
+  return {
+    oriented,
+    cells,
+    rotation_sum_delta: positive_mod(rotation_delta * moved_tile_count, ORIENTATION_COUNT)
+  };
+}
+
+/**
+ * Extend a level's orbit after `new_generator_count` generators were appended.
+ *
+ * @param {ChainLevel} level
+ * @param {number} new_generator_count
+ */
+function extend_orbit(level, new_generator_count) {
+  const first_new_generator = level.generators.length - new_generator_count;
+  /** @type {number[]} */
+  const queue = [];
+  // Existing orbit points only need the new generators; newly found points need all of them.
+  for (const [orbit_point, inverse_transversal] of [...level.inverse_transversal.entries()]) {
+    for (let generator_index = first_new_generator; generator_index < level.generators.length; generator_index += 1) {
+      const image_point = level.generators[generator_index][orbit_point];
+      if (!level.inverse_transversal.has(image_point)) {
+        level.inverse_transversal.set(
+          image_point,
+          compose(level.generator_inverses[generator_index], inverse_transversal)
+        );
+        queue.push(image_point);
+      }
+    }
+  }
+  while (queue.length > 0) {
+    const orbit_point = /** @type {number} */ (queue.pop());
+    const inverse_transversal = /** @type {Uint16Array} */ (level.inverse_transversal.get(orbit_point));
+    for (let generator_index = 0; generator_index < level.generators.length; generator_index += 1) {
+      const image_point = level.generators[generator_index][orbit_point];
+      if (!level.inverse_transversal.has(image_point)) {
+        level.inverse_transversal.set(
+          image_point,
+          compose(level.generator_inverses[generator_index], inverse_transversal)
+        );
+        queue.push(image_point);
+      }
+    }
+  }
+}
+
+/**
+ * @param {ChainLevel[]} chain
+ * @param {Uint16Array} element
+ * @returns {{ residue: Uint16Array, level_index: number }}
+ */
+function sift(chain, element) {
+  let residue = element;
+  for (let level_index = 0; level_index < chain.length; level_index += 1) {
+    const level = chain[level_index];
+    const inverse_transversal = level.inverse_transversal.get(residue[level.base_point]);
+    if (!inverse_transversal) {
+      return { residue, level_index };
+    }
+    residue = compose(residue, inverse_transversal);
+  }
+  return { residue, level_index: chain.length };
+}
+
+/**
+ * @param {ChainLevel[]} chain
+ * @param {Uint16Array} element
+ * @returns {boolean} true when the element was new and the chain grew
+ */
+function sift_and_extend(chain, element) {
+  const { residue, level_index } = sift(chain, element);
+  if (is_identity(residue)) {
+    return false;
+  }
+  if (level_index === chain.length) {
+    let moved_point = 0;
+    while (residue[moved_point] === moved_point) {
+      moved_point += 1;
+    }
+    chain.push({
+      base_point: moved_point,
+      generators: [],
+      generator_inverses: [],
+      inverse_transversal: new Map([[moved_point, identity_permutation(residue.length)]])
+    });
+  }
+  // The residue fixes every earlier base point, so it belongs to each of those stabilizers.
+  const residue_inverse = invert(residue);
+  for (let target_level = 0; target_level <= level_index; target_level += 1) {
+    chain[target_level].generators.push(residue);
+    chain[target_level].generator_inverses.push(residue_inverse);
+    extend_orbit(chain[target_level], 1);
+  }
+  return true;
+}
+
+/**
+ * @param {Uint16Array[]} generators
+ * @param {number} point_count
+ * @param {number} seed
+ * @returns {ChainLevel[]}
+ */
+function build_stabilizer_chain(generators, point_count, seed) {
+  /** @type {ChainLevel[]} */
+  const chain = [];
+  for (const generator of generators) {
+    sift_and_extend(chain, generator);
+  }
+  if (generators.length === 0) {
+    return chain;
+  }
+
+  const random = create_seeded_random(seed);
+  /** @type {Uint16Array[]} */
+  const slots = [];
+  for (let slot_index = 0; slot_index < PRODUCT_REPLACEMENT_SLOTS; slot_index += 1) {
+    slots.push(generators[slot_index % generators.length]);
+  }
+  let accumulator = identity_permutation(point_count);
+
+  /**
+   * Product replacement ("rattle") step; returns a roughly uniform random element.
+   *
+   * @returns {Uint16Array}
+   */
+  function next_random_element() {
+    const slot_a = random.next_int(0, slots.length - 1);
+    let slot_b = random.next_int(0, slots.length - 2);
+    if (slot_b >= slot_a) {
+      slot_b += 1;
+    }
+    slots[slot_a] =
+      random.next_sign() === 1 ? compose(slots[slot_a], slots[slot_b]) : compose(slots[slot_a], invert(slots[slot_b]));
+    accumulator = compose(accumulator, slots[slot_a]);
+    return accumulator;
+  }
+
+  for (let warmup_index = 0; warmup_index < PRODUCT_REPLACEMENT_WARMUP; warmup_index += 1) {
+    next_random_element();
+  }
+  let success_run = 0;
+  while (success_run < SIFT_SUCCESS_RUN) {
+    success_run = sift_and_extend(chain, next_random_element()) ? 0 : success_run + 1;
+  }
+  return chain;
+}
+
+/**
+ * @param {ChainLevel[]} chain
+ * @returns {bigint}
+ */
+function get_chain_order(chain) {
+  let order = 1n;
+  for (const level of chain) {
+    order *= BigInt(level.inverse_transversal.size);
+  }
+  return order;
+}
+
+/**
+ * Subgroup of Z2 x Z6 generated by (cell-permutation parity, rotation-sum delta) of each move.
+ *
+ * @param {{ parity: number, rotation_sum_delta: number }[]} generator_classes
+ * @returns {[number, number][]}
+ */
+function close_parity_rotation_classes(generator_classes) {
+  /** @type {Set<string>} */
+  const seen = new Set(["0,0"]);
+  /** @type {[number, number][]} */
+  const classes = [[0, 0]];
+  for (let class_index = 0; class_index < classes.length; class_index += 1) {
+    const [parity, rotation_sum] = classes[class_index];
+    for (const generator_class of generator_classes) {
+      const next_class = /** @type {[number, number]} */ ([
+        parity ^ generator_class.parity,
+        (rotation_sum + generator_class.rotation_sum_delta) % ORIENTATION_COUNT
+      ]);
+      const next_key = next_class.join(",");
+      if (!seen.has(next_key)) {
+        seen.add(next_key);
+        classes.push(next_class);
+      }
+    }
+  }
+  return classes.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+/**
+ * Find the group generated by all anchor instances and its invariants.
+ * The stabilizer chain (group order, exact membership) is only built for boards of at most
+ * `max_cells` cells; the orbit, parity and rotation-sum invariants are always computed.
+ *
+ * @param {string[]} cell_keys cells that hold tiles
+ * @param {AnchorInstance[]} instances every anchor instance of every active operator
+ * @param {{ max_cells?: number, seed?: number }} [options]
+ * @returns {GroupAnalysis}
+ */
+export function analyze_puzzle_group(cell_keys, instances, options = {}) {
+  const max_cells = options.max_cells ?? DEFAULT_MAX_CELLS;
+  const cell_index_by_key = new Map(cell_keys.map((key, index) => [key, index]));
+  const move_generators = instances.map((instance) => create_move_generator(instance, cell_index_by_key));
+
+  // Cell orbits under the permutation part: tiles can never leave their orbit.
+  const orbit_parent = cell_keys.map((_key, index) => index);
+  /**
+   * @param {number} index
+   * @returns {number}
+   */
+  function find_orbit_root(index) {
+    while (orbit_parent[index] !== index) {
+      orbit_parent[index] = orbit_parent[orbit_parent[index]];
+      index = orbit_parent[index];
+    }
+    return index;
+  }
+  for (const move_generator of move_generators) {
+    move_generator.cells.forEach((destination_index, source_index) => {
+      orbit_parent[find_orbit_root(source_index)] = find_orbit_root(destination_index);
+    });
+  }
+  /** @type {Map<number, string[]>} */
+  const orbits_by_root = new Map();
+  cell_keys.forEach((key, index) => {
+    const root = find_orbit_root(index);
+    const orbit = orbits_by_root.get(root) ?? [];
+    orbit.push(key);
+    orbits_by_root.set(root, orbit);
+  });
+
+  const generator_classes = move_generators.map((move_generator) => ({
+    parity: permutation_parity(move_generator.cells),
+    rotation_sum_delta: move_generator.rotation_sum_delta
+  }));
+  const parity_rotation_classes = close_parity_rotation_classes(generator_classes);
+  const rotation_sum_modulus = generator_classes.reduce(
+    (modulus, generator_class) => greatest_common_divisor(modulus, generator_class.rotation_sum_delta),
+    ORIENTATION_COUNT
+  );
+
+  /** @type {ChainLevel[] | null} */
+  let chain = null;
+  /** @type {bigint | null} */
+  let permutation_group_order = null;
+  if (cell_keys.length <= max_cells) {
+    const seed = options.seed ?? 1;
+    chain = build_stabilizer_chain(
+      move_generators.map((move_generator) => move_generator.oriented),
+      cell_keys.length * ORIENTATION_COUNT,
+      seed
+    );
+    permutation_group_order = get_chain_order(
+      build_stabilizer_chain(
+        move_generators.map((move_generator) => move_generator.cells),
+        cell_keys.length,
+        seed
+      )
+    );
+  }
+
+  return {
+    cell_keys: [...cell_keys],
+    cell_orbits: [...orbits_by_root.values()],
+    generator_count: move_generators.length,
+    parity_rotation_classes,
+    is_parity_invariant: parity_rotation_classes.every(([parity]) => parity === 0),
+    rotation_sum_modulus: rotation_sum_modulus === 0 ? ORIENTATION_COUNT : rotation_sum_modulus,
+    group_order: chain ? get_chain_order(chain) : null,
+    permutation_group_order,
+    chain
+  };
+}
+
+/**
+ * Decide whether a board state can be reached from the solved state.
+ * Without a stabilizer chain the answer only reflects the orbit, parity and rotation-sum
+ * invariants, which are necessary but not sufficient.
+ *
+ * @param {GroupAnalysis} analysis
+ * @param {BoardState} state
+ * @returns {ReachabilityResult}
+ */
+export function check_state_reachable(analysis, state) {
+  const cell_index_by_key = new Map(analysis.cell_keys.map((key, index) => [key, index]));
+  const cell_count = analysis.cell_keys.length;
+  const cell_permutation = new Uint16Array(cell_count);
+  const oriented_permutation = new Uint16Array(cell_count * ORIENTATION_COUNT);
+  let rotation_sum = 0;
+
+  for (const [tile_id, home_key] of state.tile_home_cell.entries()) {
+    const home_index = cell_index_by_key.get(home_key);
+    const current_index = cell_index_by_key.get(state.tile_id_to_cell.get(tile_id) ?? "");
+    if (home_index === undefined || current_index === undefined) {
+      return { is_reachable: false, reason: `Tile ${tile_id} is not on an analyzed cell.` };
+    }
+    const rot = state.tile_rot.get(tile_id) ?? 0;
+    rotation_sum += rot;
+    cell_permutation[home_index] = current_index;
+    for (let k = 0; k < ORIENTATION_COUNT; k += 1) {
+      oriented_permutation[home_index * ORIENTATION_COUNT + k] =
+        current_index * ORIENTATION_COUNT + positive_mod(k + rot, ORIENTATION_COUNT);
+    }
+  }
+
+  for (const orbit of analysis.cell_orbits) {
+    const orbit_set = new Set(orbit);
+    for (const home_key of orbit) {
+      const home_index = /** @type {number} */ (cell_index_by_key.get(home_key));
+      const current_key = analysis.cell_keys[cell_permutation[home_index]];
+      if (!orbit_set.has(current_key)) {
+        return {
+          is_reachable: false,
+          reason: `Tile from ${home_key} sits at ${current_key}, outside the cells it can ever reach.`
+        };
+      }
+    }
+  }
+
+  const state_class_key = `${permutation_parity(cell_permutation)},${rotation_sum % ORIENTATION_COUNT}`;
+  if (!analysis.parity_rotation_classes.some((state_class) => state_class.join(",") === state_class_key)) {
+    return {
+      is_reachable: false,
+      reason:
+        `Permutation parity and rotation sum (${state_class_key}) are not among the reachable ` +
+        `classes ${analysis.parity_rotation_classes.map((state_class) => `(${state_class.join(",")})`).join(" ")}.`
+    };
+  }
+
+  if (!analysis.chain) {
+    return {
+      is_reachable: true,
+      reason: "Orbit, parity and rotation-sum invariants hold (board too large for a full membership test)."
+    };
+  }
+  const { residue } = sift(analysis.chain, oriented_permutation);
+  return is_identity(residue)
+    ? { is_reachable: true, reason: "State is in the puzzle group." }
+    : { is_reachable: false, reason: "State is not in the group generated by the active operators." };
+}
+
+/**
+ * Plain summary for logs and messages.
+ *
+ * @param {GroupAnalysis} analysis
+ * @returns {Record<string, unknown>}
+ */
+export function summarize_group_analysis(analysis) {
+  return {
+    cell_count: analysis.cell_keys.length,
+    generator_count: analysis.generator_count,
+    cell_orbit_sizes: analysis.cell_orbits.map((orbit) => orbit.length),
+    group_order: analysis.group_order?.toString() ?? "not computed",
+    permutation_group_order: analysis.permutation_group_order?.toString() ?? "not computed",
+    permutation_parity_invariant: analysis.is_parity_invariant,
+    rotation_sum_invariant_modulus: analysis.rotation_sum_modulus > 1 ? analysis.rotation_sum_modulus : null,
+    parity_rotation_classes: analysis.parity_rotation_classes.map((state_class) => state_class.join(","))
+  };
+}
@@ -0,0 +1,194 @@
+// @ts-check
+
+import { get_cell_distance, parse_cell_key } from "./coords.js";
+import { apply_move } from "./move.js";
+
+/**
+ * @typedef {{
+ *   cell_to_tile_id: Map<string, string>,
+ *   tile_id_to_cell: Map<string, string>,
+ *   tile_rot: Map<string, number>,
+ *   tile_home_cell: Map<string, string>
+ * }} BoardState
+ */
+
+/**
+ * @typedef {{
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   anchor_world: { x: number, y: number },
+ *   cells: string[],
+ *   spin_cells?: string[],
+ *   permutation_steps_cw?: number,
+ *   rotation_steps_cw: number
+ * }} AnchorInstance
+ */
+
+/**
+ * @typedef {{
+ *   anchor_instance: AnchorInstance,
+ *   direction_sign: 1 | -1,
+ *   score_before: number,
+ *   best_score: number,
+ *   is_improvement: boolean
+ * }} Hint
+ */
+
+// A tile sitting home with rot 0 is worth this many cells of distance.
+const HOME_TILE_SCORE = 2;
+
+/**
+ * @param {BoardState} state
+ * @param {string} tile_id
+ * @returns {number}
+ */
+function get_tile_score(state, tile_id) {
+  const home_key = state.tile_home_cell.get(tile_id) ?? "";
+  const current_key = state.tile_id_to_cell.get(tile_id) ?? home_key;
+  if (current_key === home_key && (state.tile_rot.get(tile_id) ?? 0) === 0) {
+    return HOME_TILE_SCORE;
+  }
+  return -get_cell_distance(parse_cell_key(current_key), parse_cell_key(home_key));
+}
+
+/**
+ * Higher is better: tiles at home with rot 0 count for, distance from home counts against.
+ *
+ * @param {BoardState} state
+ * @returns {number}
+ */
+export function get_board_score(state) {
+  let score = 0;
+  for (const tile_id of state.tile_home_cell.keys()) {
+    score += get_tile_score(state, tile_id);
+  }
+  return score;
+}
+
+/**
+ * @param {BoardState} state
+ * @returns {BoardState}
+ */
+function clone_board_state(state) {
+  return {
+    cell_to_tile_id: new Map(state.cell_to_tile_id),
+    tile_id_to_cell: new Map(state.tile_id_to_cell),
+    tile_rot: new Map(state.tile_rot),
+    tile_home_cell: new Map(state.tile_home_cell)
+  };
+}
+
+/**
+ * Apply a move to a scratch state and return the score change.
+ *
+ * @param {BoardState} state
+ * @param {AnchorInstance} anchor_instance
+ * @param {1 | -1} direction_sign
+ * @returns {number}
+ */
+function apply_scored_move(state, anchor_instance, direction_sign) {
+  const touched_tile_ids = [...anchor_instance.cells, ...(anchor_instance.spin_cells ?? [])]
+    .map((key) => state.cell_to_tile_id.get(key))
+    .filter((tile_id) => typeof tile_id === "string");
+  let score_delta = 0;
+  for (const tile_id of touched_tile_ids) {
+    score_delta -= get_tile_score(state, tile_id);
+  }
+  apply_move(state, anchor_instance, direction_sign);
+  for (const tile_id of touched_tile_ids) {
+    score_delta += get_tile_score(state, tile_id);
+  }
+  return score_delta;
+}
+
+/**
+ * Look two moves ahead and suggest the first move of the best-scoring line; lines that
+ * reach the same score sooner win ties. A second move that shares no cell with the first
+ * scores exactly as it would on its own, so only overlapping second moves are searched.
+ * Returns null when there are no moves.
+ *
+ * @param {BoardState} state
+ * @param {AnchorInstance[]} instances every anchor instance of every active operator
+ * @returns {Hint | null}
+ */
+export function find_hint(state, instances) {
+  const scratch_state = clone_board_state(state);
+  const score_before = get_board_score(state);
+  const moves = instances.flatMap((anchor_instance) =>
+    /** @type {(1 | -1)[]} */ ([-1, 1]).map((direction_sign) => ({ anchor_instance, direction_sign }))
+  );
+  /** @type {Map<string, number[]>} */
+  const move_indices_by_cell = new Map();
+  moves.forEach((move, move_index) => {
+    for (const key of [...move.anchor_instance.cells, ...(move.anchor_instance.spin_cells ?? [])]) {
+      const move_indices = move_indices_by_cell.get(key) ?? [];
+      move_indices.push(move_index);
+      move_indices_by_cell.set(key, move_indices);
+    }
+  });
+
+  /**
+   * @param {number} move_index
+   * @returns {number}
+   */
+  function apply_indexed_move(move_index) {
+    return apply_scored_move(scratch_state, moves[move_index].anchor_instance, moves[move_index].direction_sign);
+  }
+  /**
+   * @param {number} move_index
+   */
+  function undo_indexed_move(move_index) {
+    apply_move(scratch_state, moves[move_index].anchor_instance, moves[move_index].direction_sign === 1 ? -1 : 1);
+  }
+
+  const single_deltas = moves.map((_move, move_index) => {
+    const move_delta = apply_indexed_move(move_index);
+    undo_indexed_move(move_index);
+    return move_delta;
+  });
+  const ranked_move_indices = moves
+    .map((_move, move_index) => move_index)
+    .sort((a, b) => single_deltas[b] - single_deltas[a]);
+
+  /** @type {Hint | null} */
+  let best_hint = null;
+  let best_line_delta = -Infinity;
+  let best_move_delta = -Infinity;
+  moves.forEach((move, move_index) => {
+    const move_delta = apply_indexed_move(move_index);
+    /** @type {Set<number>} */
+    const overlapping_move_indices = new Set();
+    for (const key of [...move.anchor_instance.cells, ...(move.anchor_instance.spin_cells ?? [])]) {
+      for (const other_move_index of move_indices_by_cell.get(key) ?? []) {
+        overlapping_move_indices.add(other_move_index);
+      }
+    }
+    // Stopping after the first move is also a line.
+    let second_delta = 0;
+    for (const other_move_index of overlapping_move_indices) {
+      second_delta = Math.max(second_delta, apply_indexed_move(other_move_index));
+      undo_indexed_move(other_move_index);
+    }
+    const best_disjoint_move_index = ranked_move_indices.find(
+      (other_move_index) => !overlapping_move_indices.has(other_move_index)
+    );
+    if (best_disjoint_move_index !== undefined) {
+      second_delta = Math.max(second_delta, single_deltas[best_disjoint_move_index]);
+    }
+    undo_indexed_move(move_index);
+
+    const line_delta = move_delta + second_delta;
+    if (line_delta > best_line_delta || (line_delta === best_line_delta && move_delta > best_move_delta)) {
+      best_line_delta = line_delta;
+      best_move_delta = move_delta;
+      best_hint = {
+        anchor_instance: move.anchor_instance,
+        direction_sign: move.direction_sign,
+        score_before,
+        best_score: score_before + line_delta,
+        is_improvement: line_delta > 0
+      };
+    }
+  });
+  return best_hint;
+}
@@ -0,0 +1,123 @@
+// @ts-check
+
+/**
+ * @typedef {{
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   direction_sign: 1 | -1
+ * }} MoveRecord
+ */
+
+/**
+ * @typedef {{
+ *   move_records: MoveRecord[],
+ *   cursor: number
+ * }} MoveHistorySnapshot
+ */
+
+/**
+ * @typedef {{
+ *   push: (move_record: MoveRecord) => void,
+ *   undo: () => MoveRecord | null,
+ *   redo: () => MoveRecord | null,
+ *   can_undo: () => boolean,
+ *   can_redo: () => boolean,
+ *   clear: () => void,
+ *   get_snapshot: () => MoveHistorySnapshot,
+ *   restore: (snapshot: MoveHistorySnapshot) => void
+ * }} MoveHistory
+ */
+
+/**
+ * Linear move history with a cursor.
+ * Entries before the cursor are undoable, entries at/after it are redoable.
+ *
+ * @returns {MoveHistory}
+ */
+export function create_move_history() {
+  /** @type {MoveRecord[]} */
+  const move_records = [];
+  let cursor = 0;
+
+  return {
+    /**
+     * Record a new move; drops the redo branch.
+     *
+     * @param {MoveRecord} move_record
+     */
+    push(move_record) {
+      move_records.length = cursor;
+      move_records.push({ ...move_record });
+      cursor = move_records.length;
+    },
+    /**
+     * Step back one move. The caller replays it with the inverted direction_sign.
+     *
+     * @returns {MoveRecord | null}
+     */
+    undo() {
+      if (cursor === 0) {
+        return null;
+      }
+      cursor -= 1;
+      return { ...move_records[cursor] };
+    },
+    /**
+     * Step forward one move. The caller replays it with the recorded direction_sign.
+     *
+     * @returns {MoveRecord | null}
+     */
+    redo() {
+      if (cursor === move_records.length) {
+        return null;
+      }
+      const move_record = move_records[cursor];
+      cursor += 1;
+      return { ...move_record };
+    },
+    /**
+     * @returns {boolean}
+     */
+    can_undo() {
+      return cursor > 0;
+    },
+    /**
+     * @returns {boolean}
+     */
+    can_redo() {
+      return cursor < move_records.length;
+    },
+    clear() {
+      move_records.length = 0;
+      cursor = 0;
+    },
+    /**
+     * @returns {MoveHistorySnapshot}
+     */
+    get_snapshot() {
+      return {
+        move_records: move_records.map((move_record) => ({ ...move_record })),
+        cursor
+      };
+    },
+    /**
+     * @param {MoveHistorySnapshot} snapshot
+     */
+    restore(snapshot) {
+      if (
+        !Number.isInteger(snapshot.cursor) ||
+        snapshot.cursor < 0 ||
+        snapshot.cursor > snapshot.move_records.length
+      ) {
+        throw new Error(
+          `History cursor ${snapshot.cursor} is outside [0, ${snapshot.move_records.length}].`
+        );
+      }
+      move_records.length = 0;
+      for (const move_record of snapshot.move_records) {
+        move_records.push({ ...move_record });
+      }
+      cursor = snapshot.cursor;
+    }
+  };
+}
@@ -30,6 +30,18 @@ function positive_mod(value, modulus) {
   return ((value % modulus) + modulus) % modulus;
 }
 
+/**
+ * How far (in 60° steps) cycle tiles revolve around the pivot for one move.
+ * This can differ from rotation_steps_cw, which is how far each tile spins.
+ *
+ * @param {AnchorInstance} anchor_instance
+ * @returns {number}
+ */
+export function get_revolution_steps_cw(anchor_instance) {
+  const permutation_steps_cw = anchor_instance.permutation_steps_cw ?? 1;
+  return (permutation_steps_cw * 6) / anchor_instance.cells.length;
+}
+
 /**
  * @param {BoardState} state
  * @param {AnchorInstance} anchor_instance
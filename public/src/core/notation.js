@@ -0,0 +1,219 @@
+// @ts-check
+
+import { cell_to_label, label_to_cell } from "./cell_label.js";
+import { cell_key, parse_cell_key } from "./coords.js";
+
+/**
+ * Move notation: operator letter, pivot cells as display labels, optional direction mark.
+ *
+ *   V(B3,B4,C4)   vertex move with direction_sign 1
+ *   E(A1,A2)'     edge move with direction_sign -1
+ *
+ * Cells may be listed in any order; the formatter writes them in the instance's cycle order.
+ * A sequence is moves separated by whitespace.
+ */
+
+/**
+ * @typedef {{
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   anchor_world: { x: number, y: number },
+ *   cells: string[],
+ *   spin_cells?: string[],
+ *   permutation_steps_cw?: number,
+ *   rotation_steps_cw: number
+ * }} AnchorInstance
+ */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   notation_letter: string
+ * }} NotationOperatorDef
+ */
+
+/**
+ * @typedef {{
+ *   anchor_instance: AnchorInstance,
+ *   direction_sign: 1 | -1
+ * }} ParsedMove
+ */
+
+const INVERSE_MARK = "'";
+
+/**
+ * @param {AnchorInstance} anchor_instance
+ * @param {1 | -1} direction_sign
+ * @param {NotationOperatorDef[]} operator_defs
+ * @returns {string}
+ */
+export function format_move_notation(anchor_instance, direction_sign, operator_defs) {
+  const operator_def = operator_defs.find(
+    (definition) => definition.id === anchor_instance.operator_id
+  );
+  if (!operator_def) {
+    throw new Error(`No notation letter for operator id: ${anchor_instance.operator_id}`);
+  }
+  const cell_labels = anchor_instance.cells.map((key) => cell_to_label(parse_cell_key(key)));
+  const direction_mark = direction_sign === -1 ? INVERSE_MARK : "";
+  return `${operator_def.notation_letter}(${cell_labels.join(",")})${direction_mark}`;
+}
+
+/**
+ * @param {string} message
+ * @param {string} notation
+ * @param {number} position 0-based character index
+ * @returns {Error}
+ */
+function create_notation_error(message, notation, position) {
+  return new Error(`Move notation error at column ${position + 1} in '${notation}': ${message}`);
+}
+
+/**
+ * @param {string[]} cell_keys
+ * @returns {string}
+ */
+function cell_set_key(cell_keys) {
+  return [...cell_keys].sort().join("|");
+}
+
+/**
+ * Parse a whitespace-separated sequence of moves.
+ *
+ * @param {string} notation
+ * @param {NotationOperatorDef[]} operator_defs
+ * @param {(operator_id: string) => AnchorInstance[]} get_instances
+ * @returns {ParsedMove[]}
+ */
+export function parse_move_sequence(notation, operator_defs, get_instances) {
+  /** @type {ParsedMove[]} */
+  const parsed_moves = [];
+  let position = 0;
+
+  function skip_whitespace() {
+    while (position < notation.length && /\s/.test(notation[position])) {
+      position += 1;
+    }
+  }
+
+  /**
+   * @returns {{ label: string, start: number }}
+   */
+  function read_label() {
+    skip_whitespace();
+    const start = position;
+    while (position < notation.length && /[A-Za-z0-9]/.test(notation[position])) {
+      position += 1;
+    }
+    if (start === position) {
+      const found = position < notation.length ? `'${notation[position]}'` : "end of input";
+      throw create_notation_error(`expected a cell label such as 'B3', found ${found}.`, notation, start);
+    }
+    return { label: notation.slice(start, position), start };
+  }
+
+  skip_whitespace();
+  while (position < notation.length) {
+    const move_start = position;
+    const letter = notation[position];
+    const operator_def = operator_defs.find((definition) => definition.notation_letter === letter);
+    if (!operator_def) {
+      const known_letters = operator_defs.map((definition) => definition.notation_letter).join(", ");
+      throw create_notation_error(
+        `unknown operator letter '${letter}' (expected one of ${known_letters}).`,
+        notation,
+        position
+      );
+    }
+    position += 1;
+    if (notation[position] !== "(") {
+      throw create_notation_error(
+        `expected '(' after operator letter '${letter}'.`,
+        notation,
+        position
+      );
+    }
+    position += 1;
+
+    /** @type {string[]} */
+    const cell_keys = [];
+    /** @type {string[]} */
+    const cell_labels = [];
+    for (;;) {
+      const { label, start } = read_label();
+      const cell = label_to_cell(label.toUpperCase());
+      if (!cell) {
+        throw create_notation_error(
+          `'${label}' is not a cell label (expected row letters then a 1-based column, e.g. 'B3').`,
+          notation,
+          start
+        );
+      }
+      const key = cell_key(cell);
+      if (cell_keys.includes(key)) {
+        throw create_notation_error(`cell '${label}' is listed twice.`, notation, start);
+      }
+      cell_keys.push(key);
+      cell_labels.push(cell_to_label(cell));
+      skip_whitespace();
+      if (notation[position] === ",") {
+        position += 1;
+        continue;
+      }
+      if (notation[position] === ")") {
+        position += 1;
+        break;
+      }
+      const found = position < notation.length ? `'${notation[position]}'` : "end of input";
+      throw create_notation_error(`expected ',' or ')', found ${found}.`, notation, position);
+    }
+
+    /** @type {1 | -1} */
+    let direction_sign = 1;
+    if (notation[position] === INVERSE_MARK) {
+      direction_sign = -1;
+      position += 1;
+    }
+    if (position < notation.length && !/\s/.test(notation[position])) {
+      throw create_notation_error(
+        `expected whitespace or end of input after move, found '${notation[position]}'.`,
+        notation,
+        position
+      );
+    }
+
+    const target_set_key = cell_set_key(cell_keys);
+    const anchor_instance = get_instances(operator_def.id).find(
+      (instance) => cell_set_key(instance.cells) === target_set_key
+    );
+    if (!anchor_instance) {
+      throw create_notation_error(
+        `no ${operator_def.id} pivot covers exactly the cells ${cell_labels.join(",")}.`,
+        notation,
+        move_start
+      );
+    }
+    parsed_moves.push({ anchor_instance, direction_sign });
+    skip_whitespace();
+  }
+
+  return parsed_moves;
+}
+
+/**
+ * Parse exactly one move.
+ *
+ * @param {string} notation
+ * @param {NotationOperatorDef[]} operator_defs
+ * @param {(operator_id: string) => AnchorInstance[]} get_instances
+ * @returns {ParsedMove}
+ */
+export function parse_move_notation(notation, operator_defs, get_instances) {
+  const parsed_moves = parse_move_sequence(notation, operator_defs, get_instances);
+  if (parsed_moves.length !== 1) {
+    throw new Error(
+      `Move notation error in '${notation}': expected exactly one move, found ${parsed_moves.length}.`
+    );
+  }
+  return parsed_moves[0];
+}
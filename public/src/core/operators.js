@@ -15,7 +15,8 @@ import { cell_key, create_hex_points, neighbor_cell } from "./coords.js";
  *   w: number,
  *   h: number,
  *   all_cells: Cell[],
- *   has_cell: (cell: Cell) => boolean
+ *   has_cell: (cell: Cell) => boolean,
+ *   get_cell_kind: (cell: Cell) => "open" | "pinned" | "hole" | null
  * }} Grid
  */
 
@@ -32,137 +33,378 @@ import { cell_key, create_hex_points, neighbor_cell } from "./coords.js";
  */
 
 /**
+ * Path from an anchor's base cell, as neighbor direction steps in the anchor's frame.
+ * `[]` is the base cell itself; `[0]` (or just `0`) is its direction-0 neighbor;
+ * `[0, 1]` is the direction-1 neighbor of that neighbor.
+ *
+ * @typedef {number[]} CellOffset
+ */
+
+/**
+ * Declarative operator definition.
+ *
+ * Anchor kinds and their frames:
+ * - "cell": one anchor per grid cell; the base cell is the anchor cell.
+ * - "edge": one anchor per pair of adjacent cells; the base cell's partner is
+ *   direction 0 of the frame.
+ * - "vertex": one anchor per point where three cells meet; the other two cells
+ *   are directions 0 and 1 of the frame.
+ * Edge and vertex frames are rotated per anchor, so offsets are written once for the
+ * canonical frame. Cell anchors keep the canonical frame: all orientations would share
+ * one pivot point, which a click cannot tell apart, so a cell-anchored move has a fixed
+ * orientation on the board.
+ *
  * @typedef {{
  *   id: string,
+ *   notation_letter: string,
+ *   description: string,
+ *   anchor_kind: "cell" | "edge" | "vertex",
+ *   cycle: CellOffset[],
+ *   spin_cells: CellOffset[],
+ *   permutation_steps_cw: number,
  *   rotation_steps_cw: number
  * }} OperatorDef
  */
 
+export const DEFAULT_OPERATOR_IDS = ["adjacent2_180", "vertex3_120"];
+
+const ANCHOR_KINDS = ["cell", "edge", "vertex"];
+
 /**
- * @param {Cell} cell
- * @param {number[]} direction_indices
- * @returns {Cell[]}
+ * Frame orientations enumerated per base cell; each anchor is visited exactly once.
+ * Every edge has one endpoint that sees the other in directions 0..2, and every
+ * vertex has one cell that sees it between directions 0/1 or 1/2. Cell anchors use
+ * only the canonical frame (see OperatorDef).
+ *
+ * @type {Record<OperatorDef["anchor_kind"], number[]>}
  */
-function collect_direction_cells(cell, direction_indices) {
-  return direction_indices.map((direction_index) => neighbor_cell(cell, direction_index));
-}
+const FRAME_ORIENTATIONS_BY_KIND = {
+  cell: [0],
+  edge: [0, 1, 2],
+  vertex: [0, 1]
+};
 
 /**
- * @param {Grid} grid
- * @param {Cell[]} cells
- * @returns {boolean}
+ * All built-in operators, in default key order.
+ *
+ * @returns {OperatorDef[]}
  */
-function all_cells_exist(grid, cells) {
-  for (const cell of cells) {
-    if (!grid.has_cell(cell)) {
-      return false;
+export function get_operator_defs() {
+  return [
+    {
+      id: "adjacent2_180",
+      notation_letter: "E",
+      description: "2 adjacent tiles, 180°",
+      anchor_kind: "edge",
+      cycle: [[], [0]],
+      spin_cells: [],
+      permutation_steps_cw: 1,
+      rotation_steps_cw: 3
+    },
+    {
+      id: "vertex3_120",
+      notation_letter: "V",
+      description: "3 tiles, 120°",
+      anchor_kind: "vertex",
+      cycle: [[], [0], [1]],
+      spin_cells: [],
+      permutation_steps_cw: 1,
+      rotation_steps_cw: 2
+    },
+    {
+      id: "ring6_60",
+      notation_letter: "R",
+      description: "6-tile ring, revolve 120°, spin 60°",
+      anchor_kind: "cell",
+      cycle: [[0], [1], [2], [3], [4], [5]],
+      spin_cells: [[]],
+      // Ring revolution step is decoupled from rotation step: 2-step permutation (120° revolve).
+      permutation_steps_cw: 2,
+      rotation_steps_cw: 1
+    },
+    {
+      id: "alt3_even_120",
+      notation_letter: "A",
+      description: "3 alternating neighbors (even), 120°",
+      anchor_kind: "cell",
+      cycle: [[0], [2], [4]],
+      spin_cells: [[]],
+      permutation_steps_cw: 1,
+      rotation_steps_cw: 2
+    },
+    {
+      id: "alt3_odd_120",
+      notation_letter: "B",
+      description: "3 alternating neighbors (odd), 120°",
+      anchor_kind: "cell",
+      cycle: [[1], [3], [5]],
+      spin_cells: [[]],
+      permutation_steps_cw: 1,
+      rotation_steps_cw: 2
     }
+  ];
+}
+
+/**
+ * @param {unknown} raw_offset
+ * @param {string} context_label
+ * @returns {CellOffset}
+ */
+function read_cell_offset(raw_offset, context_label) {
+  const steps = typeof raw_offset === "number" ? [raw_offset] : raw_offset;
+  if (
+    !Array.isArray(steps) ||
+    steps.some((step) => typeof step !== "number" || !Number.isInteger(step) || step < 0 || step > 5)
+  ) {
+    throw new Error(
+      `${context_label} must be a direction 0..5 or an array of directions 0..5 (received ${JSON.stringify(raw_offset)}).`
+    );
   }
-  return true;
+  return [...steps];
+}
+
+/**
+ * Validate one JSON operator definition and fill in defaults.
+ *
+ * @param {unknown} raw_definition
+ * @param {number} definition_index
+ * @returns {OperatorDef}
+ */
+export function parse_operator_definition(raw_definition, definition_index) {
+  const context_label = `Operator definition ${definition_index}`;
+  if (typeof raw_definition !== "object" || raw_definition === null || Array.isArray(raw_definition)) {
+    throw new Error(`${context_label} must be an object.`);
+  }
+  const definition = /** @type {Record<string, unknown>} */ (raw_definition);
+  const { id, notation_letter, description, anchor_kind } = definition;
+  if (typeof id !== "string" || !/^[A-Za-z0-9_]+$/.test(id)) {
+    throw new Error(`${context_label} needs an 'id' of letters, digits and underscores.`);
+  }
+  const id_label = `Operator '${id}'`;
+  if (typeof notation_letter !== "string" || !/^[A-Z]$/.test(notation_letter)) {
+    throw new Error(`${id_label} needs a single uppercase 'notation_letter'.`);
+  }
+  if (description !== undefined && typeof description !== "string") {
+    throw new Error(`${id_label} 'description' must be a string.`);
+  }
+  if (typeof anchor_kind !== "string" || !ANCHOR_KINDS.includes(anchor_kind)) {
+    throw new Error(`${id_label} 'anchor_kind' must be one of ${ANCHOR_KINDS.join(", ")}.`);
+  }
+  if (!Array.isArray(definition.cycle) || definition.cycle.length < 2) {
+    throw new Error(`${id_label} 'cycle' must list at least 2 cell offsets.`);
+  }
+  const cycle = definition.cycle.map((raw_offset, offset_index) =>
+    read_cell_offset(raw_offset, `${id_label} cycle[${offset_index}]`)
+  );
+  const raw_spin_cells = definition.spin_cells ?? [];
+  if (!Array.isArray(raw_spin_cells)) {
+    throw new Error(`${id_label} 'spin_cells' must be an array of cell offsets.`);
+  }
+  const spin_cells = raw_spin_cells.map((raw_offset, offset_index) =>
+    read_cell_offset(raw_offset, `${id_label} spin_cells[${offset_index}]`)
+  );
+  const permutation_steps_cw = definition.permutation_steps_cw ?? 1;
+  if (
+    typeof permutation_steps_cw !== "number" ||
+    !Number.isInteger(permutation_steps_cw) ||
+    permutation_steps_cw < 1 ||
+    permutation_steps_cw >= cycle.length
+  ) {
+    throw new Error(
+      `${id_label} 'permutation_steps_cw' must be an integer in [1, ${cycle.length - 1}].`
+    );
+  }
+  const rotation_steps_cw = definition.rotation_steps_cw;
+  if (
+    typeof rotation_steps_cw !== "number" ||
+    !Number.isInteger(rotation_steps_cw) ||
+    rotation_steps_cw < 0 ||
+    rotation_steps_cw > 5
+  ) {
+    throw new Error(`${id_label} 'rotation_steps_cw' must be an integer in [0, 5].`);
+  }
+  return {
+    id,
+    notation_letter,
+    description: description ?? id,
+    anchor_kind: /** @type {OperatorDef["anchor_kind"]} */ (anchor_kind),
+    cycle,
+    spin_cells,
+    permutation_steps_cw,
+    rotation_steps_cw
+  };
 }
 
 /**
+ * Parse a custom operator file: `{ "operators": [...] }` or a bare array.
+ * Ids and notation letters must not clash with each other or with `existing_defs`.
+ *
+ * @param {unknown} raw_document
+ * @param {OperatorDef[]} existing_defs
  * @returns {OperatorDef[]}
  */
-export function get_operator_defs() {
-  return [
-    { id: "adjacent2_180", rotation_steps_cw: 3 },
-    { id: "vertex3_120", rotation_steps_cw: 2 }
-  ];
+export function parse_operator_definitions(raw_document, existing_defs) {
+  const raw_definitions = Array.isArray(raw_document)
+    ? raw_document
+    : typeof raw_document === "object" && raw_document !== null
+      ? /** @type {Record<string, unknown>} */ (raw_document).operators
+      : undefined;
+  if (!Array.isArray(raw_definitions)) {
+    throw new Error("Operator file must be an array or an object with an 'operators' array.");
+  }
+  /** @type {OperatorDef[]} */
+  const parsed_defs = [];
+  raw_definitions.forEach((raw_definition, definition_index) => {
+    const operator_def = parse_operator_definition(raw_definition, definition_index);
+    for (const other_def of [...existing_defs, ...parsed_defs]) {
+      if (other_def.id === operator_def.id) {
+        throw new Error(`Operator id '${operator_def.id}' is defined more than once.`);
+      }
+      if (other_def.notation_letter === operator_def.notation_letter) {
+        throw new Error(
+          `Operators '${other_def.id}' and '${operator_def.id}' share notation letter '${operator_def.notation_letter}'.`
+        );
+      }
+    }
+    parsed_defs.push(operator_def);
+  });
+  return parsed_defs;
 }
 
 /**
- * @param {Grid} grid
- * @param {string} operator_id
- * @param {(cell: Cell) => WorldPoint} get_cell_world
- * @param {number} tile_size_px
- * @returns {AnchorInstance[]}
+ * Resolve an ordered operator selection (ids or notation letters) to definitions.
+ *
+ * @param {string[]} operator_tokens
+ * @param {OperatorDef[]} [available_defs]
+ * @returns {OperatorDef[]}
  */
-export function build_anchor_instances(grid, operator_id, get_cell_world, tile_size_px) {
-  if (operator_id === "adjacent2_180") {
-    return build_adjacent_edge_instances(grid, get_cell_world);
+export function select_operator_defs(operator_tokens, available_defs = get_operator_defs()) {
+  /** @type {OperatorDef[]} */
+  const selected_defs = [];
+  for (const operator_token of operator_tokens) {
+    const operator_def = available_defs.find(
+      (definition) =>
+        definition.id === operator_token || definition.notation_letter === operator_token
+    );
+    if (!operator_def) {
+      const known_ids = available_defs
+        .map((definition) => `${definition.id} (${definition.notation_letter})`)
+        .join(", ");
+      throw new Error(`Unknown operator '${operator_token}'. Known operators: ${known_ids}.`);
+    }
+    if (selected_defs.includes(operator_def)) {
+      throw new Error(`Operator '${operator_def.id}' is selected more than once.`);
+    }
+    selected_defs.push(operator_def);
   }
-  if (operator_id === "vertex3_120") {
-    return build_vertex_instances(grid, get_cell_world, tile_size_px);
+  return selected_defs;
+}
+
+/**
+ * @param {Cell} base_cell
+ * @param {CellOffset} cell_offset
+ * @param {number} frame_orientation
+ * @returns {Cell}
+ */
+function resolve_cell_offset(base_cell, cell_offset, frame_orientation) {
+  let cell = base_cell;
+  for (const direction_index of cell_offset) {
+    cell = neighbor_cell(cell, direction_index + frame_orientation);
   }
-  throw new Error(`Unknown operator id: ${operator_id}`);
+  return cell;
 }
 
 /**
+ * Holes and pinned tiles never move, so only open cells may take part in a move.
+ *
  * @param {Grid} grid
- * @param {string} operator_id
- * @param {number[]} direction_indices
- * @param {number} rotation_steps_cw
- * @param {(cell: Cell) => WorldPoint} get_cell_world
- * @returns {AnchorInstance[]}
+ * @param {Cell[]} cells
+ * @returns {boolean}
  */
-function build_cell_operator_instances(
-  grid,
-  operator_id,
-  direction_indices,
-  rotation_steps_cw,
-  get_cell_world
-) {
-  /** @type {AnchorInstance[]} */
-  const instances = [];
-  // CHANGE NOTE (ring6): ring revolution step is now decoupled from rotation step.
-  // ring6 uses 2-step permutation (120° revolve), others stay at 1-step.
-  // ROLLBACK: replace with `const permutation_steps_cw = 1;`.
-  const permutation_steps_cw = operator_id === "ring6_60" ? 2 : 1;
-  for (const anchor_cell of grid.all_cells) {
-    const target_cells = collect_direction_cells(anchor_cell, direction_indices);
-    if (!all_cells_exist(grid, target_cells)) {
-      continue;
+function all_cells_open(grid, cells) {
+  for (const cell of cells) {
+    if (grid.get_cell_kind(cell) !== "open") {
+      return false;
     }
-    const anchor_suffix =
-      operator_id === "alt3_even_120" ? ":even" : operator_id === "alt3_odd_120" ? ":odd" : "";
-    instances.push({
-      operator_id,
-      anchor_id: `cell:${cell_key(anchor_cell)}${anchor_suffix}`,
-      anchor_world: get_cell_world(anchor_cell),
-      cells: target_cells.map((cell) => cell_key(cell)),
-      spin_cells: [cell_key(anchor_cell)],
-      permutation_steps_cw,
-      rotation_steps_cw
-    });
   }
-  return instances;
+  return true;
 }
 
 /**
+ * Generic builder: turn an operator definition into anchor instances on a grid.
+ * `hex_orientation` must match the layout behind `get_cell_world`; it is used to find
+ * the shared corner of vertex anchors.
+ * An anchor is kept only when every cycle and spin cell exists and is open (not a hole
+ * or a pinned tile).
+ *
  * @param {Grid} grid
+ * @param {OperatorDef} operator_def
  * @param {(cell: Cell) => WorldPoint} get_cell_world
+ * @param {number} tile_size_px
+ * @param {import("./coords.js").HexOrientation} [hex_orientation]
  * @returns {AnchorInstance[]}
  */
-function build_adjacent_edge_instances(grid, get_cell_world) {
+export function build_anchor_instances(grid, operator_def, get_cell_world, tile_size_px, hex_orientation = "flat") {
   /** @type {AnchorInstance[]} */
   const instances = [];
-  const dedup_anchor_ids = new Set();
-  for (const anchor_cell of grid.all_cells) {
-    for (let direction_index = 0; direction_index < 6; direction_index += 1) {
-      const neighbor = neighbor_cell(anchor_cell, direction_index);
-      if (!all_cells_exist(grid, [anchor_cell, neighbor])) {
+  const frame_orientations = FRAME_ORIENTATIONS_BY_KIND[operator_def.anchor_kind];
+  if (!frame_orientations) {
+    throw new Error(`Unknown anchor kind for operator ${operator_def.id}: ${operator_def.anchor_kind}`);
+  }
+  const get_shared_vertex_world = create_shared_vertex_resolver(get_cell_world, tile_size_px, hex_orientation);
+
+  for (const base_cell of grid.all_cells) {
+    for (const frame_orientation of frame_orientations) {
+      const cycle_cells = operator_def.cycle.map((cell_offset) =>
+        resolve_cell_offset(base_cell, cell_offset, frame_orientation)
+      );
+      const spin_cells = operator_def.spin_cells.map((cell_offset) =>
+        resolve_cell_offset(base_cell, cell_offset, frame_orientation)
+      );
+      if (!all_cells_open(grid, [...cycle_cells, ...spin_cells])) {
         continue;
       }
-      const cell_a_key = cell_key(anchor_cell);
-      const cell_b_key = cell_key(neighbor);
-      const sorted_cell_keys = [cell_a_key, cell_b_key].sort();
-      const anchor_id = `edge:${sorted_cell_keys.join("|")}`;
-      if (dedup_anchor_ids.has(anchor_id)) {
-        continue;
+      const cycle_cell_keys = cycle_cells.map((cell) => cell_key(cell));
+      const spin_cell_keys = spin_cells.map((cell) => cell_key(cell));
+      if (new Set([...cycle_cell_keys, ...spin_cell_keys]).size !== cycle_cell_keys.length + spin_cell_keys.length) {
+        throw new Error(`Operator ${operator_def.id} lists the same cell more than once.`);
       }
-      dedup_anchor_ids.add(anchor_id);
-      const anchor_cell_world = get_cell_world(anchor_cell);
-      const neighbor_world = get_cell_world(neighbor);
+
+      /** @type {{ anchor_id: string, anchor_world: WorldPoint }} */
+      let anchor;
+      if (operator_def.anchor_kind === "cell") {
+        anchor = {
+          anchor_id: `cell:${cell_key(base_cell)}`,
+          anchor_world: get_cell_world(base_cell)
+        };
+      } else if (operator_def.anchor_kind === "edge") {
+        const partner_cell = neighbor_cell(base_cell, frame_orientation);
+        const base_world = get_cell_world(base_cell);
+        const partner_world = get_cell_world(partner_cell);
+        anchor = {
+          anchor_id: `edge:${[cell_key(base_cell), cell_key(partner_cell)].sort().join("|")}`,
+          anchor_world: {
+            x: (base_world.x + partner_world.x) / 2,
+            y: (base_world.y + partner_world.y) / 2
+          }
+        };
+      } else {
+        const cell_b = neighbor_cell(base_cell, frame_orientation);
+        const cell_d = neighbor_cell(base_cell, frame_orientation + 1);
+        anchor = {
+          anchor_id: `vtx:${[base_cell, cell_b, cell_d].map((cell) => cell_key(cell)).sort().join("|")}`,
+          anchor_world: get_shared_vertex_world(base_cell, cell_b, cell_d)
+        };
+      }
+
       instances.push({
-        operator_id: "adjacent2_180",
-        anchor_id,
-        anchor_world: {
-          x: (anchor_cell_world.x + neighbor_world.x) / 2,
-          y: (anchor_cell_world.y + neighbor_world.y) / 2
-        },
-        cells: [cell_a_key, cell_b_key],
-        rotation_steps_cw: 3
+        operator_id: operator_def.id,
+        anchor_id: anchor.anchor_id,
+        anchor_world: anchor.anchor_world,
+        cells: cycle_cell_keys,
+        ...(spin_cell_keys.length > 0 ? { spin_cells: spin_cell_keys } : {}),
+        permutation_steps_cw: operator_def.permutation_steps_cw,
+        rotation_steps_cw: operator_def.rotation_steps_cw
       });
     }
   }
@@ -170,16 +412,13 @@ function build_adjacent_edge_instances(grid, get_cell_world) {
 }
 
 /**
- * @param {Grid} grid
  * @param {(cell: Cell) => WorldPoint} get_cell_world
  * @param {number} tile_size_px
- * @returns {AnchorInstance[]}
+ * @param {import("./coords.js").HexOrientation} hex_orientation
+ * @returns {(cell_a: Cell, cell_b: Cell, cell_d: Cell) => WorldPoint}
  */
-function build_vertex_instances(grid, get_cell_world, tile_size_px) {
-  /** @type {AnchorInstance[]} */
-  const instances = [];
-  const dedup_anchor_ids = new Set();
-  const corner_offsets = create_hex_points(tile_size_px);
+function create_shared_vertex_resolver(get_cell_world, tile_size_px, hex_orientation) {
+  const corner_offsets = create_hex_points(tile_size_px, hex_orientation);
 
   /**
    * @param {Cell} cell
@@ -199,7 +438,7 @@ function build_vertex_instances(grid, get_cell_world, tile_size_px) {
    * @param {Cell} cell_d
    * @returns {WorldPoint}
    */
-  function get_shared_vertex_world(cell_a, cell_b, cell_d) {
+  return function get_shared_vertex_world(cell_a, cell_b, cell_d) {
     const corners_a = get_cell_corners(cell_a);
     const corners_b = get_cell_corners(cell_b);
     const corners_d = get_cell_corners(cell_d);
@@ -228,39 +467,5 @@ function build_vertex_instances(grid, get_cell_world, tile_size_px) {
       throw new Error("Failed to derive vertex anchor position.");
     }
     return { x: best_corner_match.x, y: best_corner_match.y };
-  }
-
-  for (const anchor_cell of grid.all_cells) {
-    for (let direction_index = 0; direction_index < 6; direction_index += 1) {
-      const cell_a = anchor_cell;
-      const cell_b = neighbor_cell(anchor_cell, direction_index);
-      const cell_d = neighbor_cell(anchor_cell, (direction_index + 1) % 6);
-
-      if (!all_cells_exist(grid, [cell_a, cell_b, cell_d])) {
-        continue;
-      }
-
-      const cell_keys = [cell_key(cell_a), cell_key(cell_b), cell_key(cell_d)];
-      const sorted_cell_keys = [...cell_keys].sort();
-      const anchor_id = `vtx:${sorted_cell_keys.join("|")}`;
-
-      if (dedup_anchor_ids.has(anchor_id)) {
-        continue;
-      }
-      dedup_anchor_ids.add(anchor_id);
-
-      const anchor_world = get_shared_vertex_world(cell_a, cell_b, cell_d);
-
-      instances.push({
-        operator_id: "vertex3_120",
-        anchor_id,
-        anchor_world,
-        cells: cell_keys,
-        rotation_steps_cw: 2
-      });
-    }
-  }
-
-  return instances;
+  };
 }
-
@@ -0,0 +1,64 @@
+// @ts-check
+
+/**
+ * @typedef {{
+ *   next_float: () => number,
+ *   next_int: (min: number, max: number) => number,
+ *   next_sign: () => 1 | -1
+ * }} SeededRandom
+ */
+
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Pick a fresh seed for a new game.
+ *
+ * @returns {number}
+ */
+export function create_random_seed() {
+  const seed_values = new Uint32Array(1);
+  crypto.getRandomValues(seed_values);
+  return seed_values[0];
+}
+
+/**
+ * Mulberry32 PRNG: small, fast and fully determined by a 32-bit seed.
+ *
+ * @param {number} seed unsigned 32-bit integer
+ * @returns {SeededRandom}
+ */
+export function create_seeded_random(seed) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new Error(`Seed must be an integer between 0 and ${MAX_SEED} (received ${seed}).`);
+  }
+  let state = seed >>> 0;
+
+  /**
+   * @returns {number} float in [0, 1)
+   */
+  function next_float() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let mixed = state;
+    mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1);
+    mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    next_float,
+    /**
+     * @param {number} min
+     * @param {number} max
+     * @returns {number} integer in [min, max]
+     */
+    next_int(min, max) {
+      return min + Math.floor(next_float() * (max - min + 1));
+    },
+    /**
+     * @returns {1 | -1}
+     */
+    next_sign() {
+      return next_float() < 0.5 ? 1 : -1;
+    }
+  };
+}
@@ -0,0 +1,309 @@
+// @ts-check
+
+import { GRID_SHAPE_KINDS } from "./grid.js";
+import { get_tile_records, is_plain_object } from "./serialize.js";
+import { GOAL_MODES } from "./state.js";
+
+/**
+ * @typedef {import("./grid.js").GridShape} GridShape
+ */
+
+/**
+ * @typedef {import("./grid.js").BlockedCells} BlockedCells
+ */
+
+/**
+ * @typedef {import("./serialize.js").BoardState} BoardState
+ */
+
+/**
+ * @typedef {import("./serialize.js").TileRecord} TileRecord
+ */
+
+/**
+ * How a move came about: a click ("play"), undo/redo, a pasted sequence or the
+ * solver's playback.
+ *
+ * @typedef {"play" | "undo" | "redo" | "paste" | "solver"} MoveSource
+ */
+
+/**
+ * `t_ms` is wall-clock time since the recording started, across reloads of a resumed game.
+ *
+ * @typedef {{
+ *   t_ms: number,
+ *   source: MoveSource,
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   direction_sign: 1 | -1
+ * }} RecordedMove
+ */
+
+/**
+ * Everything needed to rebuild the board and replay the session: the configuration,
+ * the board as it was when the recording started and every move since.
+ *
+ * @typedef {{
+ *   format: string,
+ *   version: number,
+ *   mode: "n" | "i",
+ *   grid: { shape: GridShape, blocked_cells: BlockedCells, shape_key: string },
+ *   image_path: string | null,
+ *   operator_ids: string[],
+ *   operator_defs_path: string | null,
+ *   goal_mode: import("./state.js").GoalMode,
+ *   seed: number | null,
+ *   started_at: string,
+ *   initial_tiles: TileRecord[],
+ *   moves: RecordedMove[]
+ * }} Recording
+ */
+
+export const RECORDING_FORMAT = "rothex-recording";
+export const RECORDING_VERSION = 1;
+
+/** @type {MoveSource[]} */
+export const MOVE_SOURCES = ["play", "undo", "redo", "paste", "solver"];
+
+/**
+ * Start an empty recording from the current board.
+ *
+ * @param {{
+ *   mode: "n" | "i",
+ *   grid: import("./grid.js").Grid,
+ *   blocked_cells: BlockedCells,
+ *   image_path: string | null,
+ *   operator_ids: string[],
+ *   operator_defs_path: string | null,
+ *   goal_mode: import("./state.js").GoalMode,
+ *   seed: number | null,
+ *   board_state: BoardState
+ * }} options
+ * @returns {Recording}
+ */
+export function create_recording(options) {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    mode: options.mode,
+    grid: {
+      shape: options.grid.shape,
+      blocked_cells: {
+        hole_keys: [...(options.blocked_cells.hole_keys ?? [])],
+        pinned_keys: [...(options.blocked_cells.pinned_keys ?? [])]
+      },
+      shape_key: options.grid.shape_key
+    },
+    image_path: options.image_path,
+    operator_ids: [...options.operator_ids],
+    operator_defs_path: options.operator_defs_path,
+    goal_mode: options.goal_mode,
+    seed: options.seed,
+    started_at: new Date().toISOString(),
+    initial_tiles: get_tile_records(options.board_state),
+    moves: []
+  };
+}
+
+/**
+ * @param {Recording} recording
+ * @returns {string}
+ */
+export function serialize_recording(recording) {
+  return JSON.stringify(recording);
+}
+
+/**
+ * Time of the last recorded move, or 0 for an empty recording.
+ *
+ * @param {Recording} recording
+ * @returns {number}
+ */
+export function get_recording_duration_ms(recording) {
+  return recording.moves.length > 0 ? recording.moves[recording.moves.length - 1].t_ms : 0;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is string[]}
+ */
+function is_string_array(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is number}
+ */
+function is_positive_integer(value) {
+  return typeof value === "number" && Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check the fields of a shape; create_shaped_grid checks that it forms a board.
+ *
+ * @param {unknown} raw_shape
+ * @returns {GridShape}
+ */
+function read_grid_shape(raw_shape) {
+  if (!is_plain_object(raw_shape) || !GRID_SHAPE_KINDS.some((kind) => kind === raw_shape.kind)) {
+    throw new Error(`Recording grid shape kind must be one of: ${GRID_SHAPE_KINDS.join(", ")}.`);
+  }
+  if (
+    (raw_shape.kind === "rows" || raw_shape.kind === "parallelogram") &&
+    is_positive_integer(raw_shape.w) &&
+    is_positive_integer(raw_shape.h)
+  ) {
+    return { kind: raw_shape.kind, w: raw_shape.w, h: raw_shape.h };
+  }
+  if (
+    raw_shape.kind === "hexagon" &&
+    typeof raw_shape.radius === "number" &&
+    Number.isInteger(raw_shape.radius) &&
+    raw_shape.radius >= 0
+  ) {
+    return { kind: "hexagon", radius: raw_shape.radius };
+  }
+  if (raw_shape.kind === "triangle" && is_positive_integer(raw_shape.size)) {
+    return { kind: "triangle", size: raw_shape.size };
+  }
+  if (raw_shape.kind === "mask" && is_string_array(raw_shape.rows)) {
+    return { kind: "mask", rows: [...raw_shape.rows] };
+  }
+  throw new Error(`Recording grid shape '${String(raw_shape.kind)}' has missing or invalid size fields.`);
+}
+
+/**
+ * @param {unknown} raw_move
+ * @param {number} move_index
+ * @returns {RecordedMove}
+ */
+function read_recorded_move(raw_move, move_index) {
+  if (
+    !is_plain_object(raw_move) ||
+    typeof raw_move.operator_id !== "string" ||
+    typeof raw_move.anchor_id !== "string" ||
+    (raw_move.direction_sign !== 1 && raw_move.direction_sign !== -1)
+  ) {
+    throw new Error(
+      `Recording move ${move_index} must have string operator_id/anchor_id and direction_sign 1 or -1.`
+    );
+  }
+  if (typeof raw_move.t_ms !== "number" || !Number.isFinite(raw_move.t_ms) || raw_move.t_ms < 0) {
+    throw new Error(`Recording move ${move_index} must have a non-negative t_ms.`);
+  }
+  const source = MOVE_SOURCES.find((move_source) => move_source === raw_move.source);
+  if (!source) {
+    throw new Error(
+      `Recording move ${move_index} source must be one of: ${MOVE_SOURCES.join(", ")} (received ${String(raw_move.source)}).`
+    );
+  }
+  return {
+    t_ms: raw_move.t_ms,
+    source,
+    operator_id: raw_move.operator_id,
+    anchor_id: raw_move.anchor_id,
+    direction_sign: raw_move.direction_sign
+  };
+}
+
+/**
+ * Parse a recording and check its structure. The tiles and pivots are checked against
+ * the rebuilt board by the caller (see read_board_state).
+ *
+ * @param {string} json_text
+ * @returns {Recording}
+ */
+export function parse_recording(json_text) {
+  /** @type {unknown} */
+  let raw_recording;
+  try {
+    raw_recording = JSON.parse(json_text);
+  } catch (error) {
+    throw new Error(`Recording is not valid JSON: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  if (!is_plain_object(raw_recording)) {
+    throw new Error("Recording must be a JSON object.");
+  }
+  if (raw_recording.format !== RECORDING_FORMAT) {
+    throw new Error(
+      `Recording format must be '${RECORDING_FORMAT}' (received '${String(raw_recording.format)}').`
+    );
+  }
+  if (raw_recording.version !== RECORDING_VERSION) {
+    throw new Error(
+      `Unsupported recording version ${String(raw_recording.version)} (expected ${RECORDING_VERSION}).`
+    );
+  }
+  const mode = raw_recording.mode;
+  if (mode !== "n" && mode !== "i") {
+    throw new Error(`Recording mode must be 'n' or 'i' (received '${String(mode)}').`);
+  }
+  const raw_grid = raw_recording.grid;
+  if (
+    !is_plain_object(raw_grid) ||
+    typeof raw_grid.shape_key !== "string" ||
+    !is_plain_object(raw_grid.blocked_cells)
+  ) {
+    throw new Error("Recording 'grid' must have a shape, blocked_cells and shape_key.");
+  }
+  const raw_hole_keys = raw_grid.blocked_cells.hole_keys ?? [];
+  const raw_pinned_keys = raw_grid.blocked_cells.pinned_keys ?? [];
+  if (!is_string_array(raw_hole_keys) || !is_string_array(raw_pinned_keys)) {
+    throw new Error("Recording blocked_cells hole_keys and pinned_keys must be arrays of cell keys.");
+  }
+  const image_path = raw_recording.image_path ?? null;
+  if (image_path !== null && typeof image_path !== "string") {
+    throw new Error("Recording image_path must be a string or null.");
+  }
+  if (!is_string_array(raw_recording.operator_ids) || raw_recording.operator_ids.length === 0) {
+    throw new Error("Recording operator_ids must be a non-empty array of operator ids.");
+  }
+  const operator_defs_path = raw_recording.operator_defs_path ?? null;
+  if (operator_defs_path !== null && typeof operator_defs_path !== "string") {
+    throw new Error("Recording operator_defs_path must be a string or null.");
+  }
+  const goal_mode = GOAL_MODES.find((known_goal_mode) => known_goal_mode === raw_recording.goal_mode);
+  if (!goal_mode) {
+    throw new Error(
+      `Recording goal_mode must be one of: ${GOAL_MODES.join(", ")} (received ${String(raw_recording.goal_mode)}).`
+    );
+  }
+  const seed = raw_recording.seed ?? null;
+  if (seed !== null && (typeof seed !== "number" || !Number.isInteger(seed) || seed < 0)) {
+    throw new Error(`Recording seed must be a non-negative integer or null (received ${String(seed)}).`);
+  }
+  if (!Array.isArray(raw_recording.initial_tiles)) {
+    throw new Error("Recording 'initial_tiles' must be an array.");
+  }
+  if (!Array.isArray(raw_recording.moves)) {
+    throw new Error("Recording 'moves' must be an array.");
+  }
+  const moves = raw_recording.moves.map(read_recorded_move);
+  const out_of_order_index = moves.findIndex(
+    (recorded_move, move_index) => move_index > 0 && recorded_move.t_ms < moves[move_index - 1].t_ms
+  );
+  if (out_of_order_index !== -1) {
+    throw new Error(`Recording move ${out_of_order_index} is timed before the move preceding it.`);
+  }
+
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    mode,
+    grid: {
+      shape: read_grid_shape(raw_grid.shape),
+      blocked_cells: { hole_keys: [...raw_hole_keys], pinned_keys: [...raw_pinned_keys] },
+      shape_key: raw_grid.shape_key
+    },
+    image_path,
+    operator_ids: [...raw_recording.operator_ids],
+    operator_defs_path,
+    goal_mode,
+    seed,
+    started_at: typeof raw_recording.started_at === "string" ? raw_recording.started_at : "",
+    // Checked against the rebuilt grid by read_board_state.
+    initial_tiles: /** @type {TileRecord[]} */ (raw_recording.initial_tiles),
+    moves
+  };
+}
@@ -0,0 +1,367 @@
+// @ts-check
+
+import { cell_key } from "./coords.js";
+
+/**
+ * @typedef {{ q: number, r: number }} Cell
+ */
+
+/**
+ * @typedef {{
+ *   w: number,
+ *   h: number,
+ *   shape_key: string,
+ *   all_cells: Cell[],
+ *   has_cell: (cell: Cell) => boolean
+ * }} Grid
+ */
+
+/**
+ * @typedef {{
+ *   cell_to_tile_id: Map<string, string>,
+ *   tile_id_to_cell: Map<string, string>,
+ *   tile_rot: Map<string, number>,
+ *   tile_home_cell: Map<string, string>
+ * }} BoardState
+ */
+
+/**
+ * @typedef {import("./history.js").MoveRecord} MoveRecord
+ */
+
+/**
+ * @typedef {import("./history.js").MoveHistorySnapshot} MoveHistorySnapshot
+ */
+
+/**
+ * @typedef {{ tile_id: string, home: string, cell: string, rot: number }} TileRecord
+ */
+
+/**
+ * @typedef {import("./state.js").GoalMode} GoalMode
+ */
+
+/**
+ * @typedef {{
+ *   format: string,
+ *   version: number,
+ *   mode: "n" | "i",
+ *   grid: { w: number, h: number, shape: string },
+ *   operator_ids: string[],
+ *   goal_mode: GoalMode,
+ *   seed: number | null,
+ *   tiles: TileRecord[],
+ *   history: MoveHistorySnapshot,
+ *   played_move_count: number,
+ *   hint_count: number,
+ *   is_assisted: boolean,
+ *   elapsed_ms: number
+ * }} StateDocument
+ */
+
+/**
+ * @typedef {{
+ *   mode: "n" | "i",
+ *   grid: Grid,
+ *   operator_ids: string[],
+ *   goal_mode: GoalMode,
+ *   seed: number | null,
+ *   board_state: BoardState,
+ *   history: MoveHistorySnapshot,
+ *   played_move_count: number,
+ *   hint_count: number,
+ *   is_assisted: boolean,
+ *   elapsed_ms: number
+ * }} GameSnapshot
+ */
+
+export const STATE_DOCUMENT_FORMAT = "rothex-state";
+export const STATE_DOCUMENT_VERSION = 1;
+
+/**
+ * @param {BoardState} board_state
+ * @returns {TileRecord[]}
+ */
+export function get_tile_records(board_state) {
+  return [...board_state.tile_home_cell.entries()].map(([tile_id, home]) => ({
+    tile_id,
+    home,
+    cell: board_state.tile_id_to_cell.get(tile_id) ?? home,
+    rot: board_state.tile_rot.get(tile_id) ?? 0
+  }));
+}
+
+/**
+ * @param {GameSnapshot} snapshot
+ * @returns {StateDocument}
+ */
+export function create_state_document(snapshot) {
+  const tiles = get_tile_records(snapshot.board_state);
+  return {
+    format: STATE_DOCUMENT_FORMAT,
+    version: STATE_DOCUMENT_VERSION,
+    mode: snapshot.mode,
+    grid: { w: snapshot.grid.w, h: snapshot.grid.h, shape: snapshot.grid.shape_key },
+    operator_ids: [...snapshot.operator_ids],
+    goal_mode: snapshot.goal_mode,
+    seed: snapshot.seed,
+    tiles,
+    history: {
+      move_records: snapshot.history.move_records.map((move_record) => ({ ...move_record })),
+      cursor: snapshot.history.cursor
+    },
+    played_move_count: snapshot.played_move_count,
+    hint_count: snapshot.hint_count,
+    is_assisted: snapshot.is_assisted,
+    elapsed_ms: snapshot.elapsed_ms
+  };
+}
+
+/**
+ * @param {GameSnapshot} snapshot
+ * @returns {string}
+ */
+export function serialize_state(snapshot) {
+  return JSON.stringify(create_state_document(snapshot), null, 2);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+export function is_plain_object(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} raw_history
+ * @param {(operator_id: string, anchor_id: string) => boolean} is_known_anchor
+ * @returns {MoveHistorySnapshot}
+ */
+function read_history(raw_history, is_known_anchor) {
+  if (!is_plain_object(raw_history) || !Array.isArray(raw_history.move_records)) {
+    throw new Error("State document 'history' must be an object with a 'move_records' array.");
+  }
+  /** @type {MoveRecord[]} */
+  const move_records = raw_history.move_records.map((raw_record, record_index) => {
+    if (
+      !is_plain_object(raw_record) ||
+      typeof raw_record.operator_id !== "string" ||
+      typeof raw_record.anchor_id !== "string" ||
+      (raw_record.direction_sign !== 1 && raw_record.direction_sign !== -1)
+    ) {
+      throw new Error(
+        `State document history move ${record_index} must have string operator_id/anchor_id and direction_sign 1 or -1.`
+      );
+    }
+    if (!is_known_anchor(raw_record.operator_id, raw_record.anchor_id)) {
+      throw new Error(
+        `State document history move ${record_index} references unknown pivot ${raw_record.anchor_id} for operator ${raw_record.operator_id}.`
+      );
+    }
+    return {
+      operator_id: raw_record.operator_id,
+      anchor_id: raw_record.anchor_id,
+      direction_sign: raw_record.direction_sign
+    };
+  });
+  const cursor = raw_history.cursor;
+  if (typeof cursor !== "number" || !Number.isInteger(cursor) || cursor < 0 || cursor > move_records.length) {
+    throw new Error(
+      `State document history cursor must be an integer in [0, ${move_records.length}] (received ${String(cursor)}).`
+    );
+  }
+  return { move_records, cursor };
+}
+
+/**
+ * Rebuild the four BoardState maps and check they form a permutation of the grid.
+ *
+ * @param {unknown} raw_tiles
+ * @param {Grid} grid
+ * @param {string} [document_label] names the document in error messages
+ * @returns {BoardState}
+ */
+export function read_board_state(raw_tiles, grid, document_label = "State document") {
+  const grid_cell_keys = new Set(grid.all_cells.map((cell) => cell_key(cell)));
+  if (!Array.isArray(raw_tiles)) {
+    throw new Error(`${document_label} 'tiles' must be an array.`);
+  }
+  if (raw_tiles.length !== grid_cell_keys.size) {
+    throw new Error(
+      `${document_label} has ${raw_tiles.length} tiles but the grid has ${grid_cell_keys.size} cells.`
+    );
+  }
+
+  /** @type {BoardState} */
+  const board_state = {
+    cell_to_tile_id: new Map(),
+    tile_id_to_cell: new Map(),
+    tile_rot: new Map(),
+    tile_home_cell: new Map()
+  };
+  /** @type {Set<string>} */
+  const seen_home_cells = new Set();
+
+  raw_tiles.forEach((raw_tile, tile_index) => {
+    if (
+      !is_plain_object(raw_tile) ||
+      typeof raw_tile.tile_id !== "string" ||
+      typeof raw_tile.home !== "string" ||
+      typeof raw_tile.cell !== "string"
+    ) {
+      throw new Error(`${document_label} tile ${tile_index} must have string tile_id, home and cell.`);
+    }
+    const { tile_id, home, cell, rot } = raw_tile;
+    if (typeof rot !== "number" || !Number.isInteger(rot) || rot < 0 || rot > 5) {
+      throw new Error(
+        `${document_label} tile ${tile_id} has rot ${String(rot)}; expected an integer in [0, 5].`
+      );
+    }
+    if (!grid_cell_keys.has(home)) {
+      throw new Error(`${document_label} tile ${tile_id} has home ${home}, which is not a grid cell.`);
+    }
+    // Tiles are identified by their home cell key everywhere else (views, baked textures).
+    if (tile_id !== home) {
+      throw new Error(`${document_label} tile ${tile_id} must have its home cell key as tile_id (home is ${home}).`);
+    }
+    if (!grid_cell_keys.has(cell)) {
+      throw new Error(`${document_label} tile ${tile_id} is placed at ${cell}, which is not a grid cell.`);
+    }
+    if (board_state.tile_home_cell.has(tile_id)) {
+      throw new Error(`${document_label} lists tile ${tile_id} more than once.`);
+    }
+    if (seen_home_cells.has(home)) {
+      throw new Error(`${document_label} gives more than one tile the home cell ${home}.`);
+    }
+    const occupying_tile_id = board_state.cell_to_tile_id.get(cell);
+    if (occupying_tile_id) {
+      throw new Error(
+        `${document_label} places tiles ${occupying_tile_id} and ${tile_id} in the same cell ${cell}.`
+      );
+    }
+    seen_home_cells.add(home);
+    board_state.cell_to_tile_id.set(cell, tile_id);
+    board_state.tile_id_to_cell.set(tile_id, cell);
+    board_state.tile_rot.set(tile_id, rot);
+    board_state.tile_home_cell.set(tile_id, home);
+  });
+
+  return board_state;
+}
+
+/**
+ * Parse and validate a state document against the running game.
+ *
+ * @param {string} json_text
+ * @param {{
+ *   grid: Grid,
+ *   mode: "n" | "i",
+ *   operator_ids: string[],
+ *   goal_mode: GoalMode,
+ *   is_known_anchor: (operator_id: string, anchor_id: string) => boolean
+ * }} expected
+ * @returns {GameSnapshot}
+ */
+export function deserialize_state(json_text, expected) {
+  /** @type {unknown} */
+  let raw_document;
+  try {
+    raw_document = JSON.parse(json_text);
+  } catch (error) {
+    throw new Error(`State document is not valid JSON: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  if (!is_plain_object(raw_document)) {
+    throw new Error("State document must be a JSON object.");
+  }
+  if (raw_document.format !== STATE_DOCUMENT_FORMAT) {
+    throw new Error(
+      `State document format must be '${STATE_DOCUMENT_FORMAT}' (received '${String(raw_document.format)}').`
+    );
+  }
+  if (raw_document.version !== STATE_DOCUMENT_VERSION) {
+    throw new Error(
+      `Unsupported state document version ${String(raw_document.version)} (expected ${STATE_DOCUMENT_VERSION}).`
+    );
+  }
+  if (raw_document.mode !== expected.mode) {
+    throw new Error(
+      `State document mode '${String(raw_document.mode)}' does not match the current mode '${expected.mode}'.`
+    );
+  }
+  const raw_grid = raw_document.grid;
+  // Documents written before shaped boards only carry w/h, which is the row shape's key.
+  const received_shape_key = !is_plain_object(raw_grid)
+    ? "none"
+    : typeof raw_grid.shape === "string"
+      ? raw_grid.shape
+      : `${String(raw_grid.w)}x${String(raw_grid.h)}`;
+  if (received_shape_key !== expected.grid.shape_key) {
+    throw new Error(
+      `State document grid ${received_shape_key} does not match the current grid ${expected.grid.shape_key}.`
+    );
+  }
+  const raw_operator_ids = raw_document.operator_ids;
+  if (
+    !Array.isArray(raw_operator_ids) ||
+    raw_operator_ids.join(",") !== expected.operator_ids.join(",")
+  ) {
+    throw new Error(
+      `State document operators [${Array.isArray(raw_operator_ids) ? raw_operator_ids.join(", ") : ""}] ` +
+        `do not match the current operators [${expected.operator_ids.join(", ")}].`
+    );
+  }
+  // Documents written before goal modes existed were always played to the strict goal.
+  const raw_goal_mode = raw_document.goal_mode ?? "strict";
+  if (raw_goal_mode !== expected.goal_mode) {
+    throw new Error(
+      `State document goal '${String(raw_goal_mode)}' does not match the current goal '${expected.goal_mode}'.`
+    );
+  }
+  const raw_seed = raw_document.seed ?? null;
+  if (raw_seed !== null && (typeof raw_seed !== "number" || !Number.isInteger(raw_seed) || raw_seed < 0)) {
+    throw new Error(`State document seed must be a non-negative integer or null (received ${String(raw_seed)}).`);
+  }
+  // Documents written before hints existed have no hint_count.
+  const raw_hint_count = raw_document.hint_count ?? 0;
+  if (typeof raw_hint_count !== "number" || !Number.isInteger(raw_hint_count) || raw_hint_count < 0) {
+    throw new Error(`State document hint_count must be a non-negative integer (received ${String(raw_hint_count)}).`);
+  }
+  // Documents written before assisted games were tracked have no is_assisted.
+  const raw_is_assisted = raw_document.is_assisted ?? false;
+  if (typeof raw_is_assisted !== "boolean") {
+    throw new Error(`State document is_assisted must be a boolean (received ${String(raw_is_assisted)}).`);
+  }
+  const history = read_history(raw_document.history, expected.is_known_anchor);
+  // Every move played counts, undo and redo included; documents written before this was
+  // tracked fall back to the net move count.
+  const raw_played_move_count = raw_document.played_move_count ?? history.cursor;
+  if (
+    typeof raw_played_move_count !== "number" ||
+    !Number.isInteger(raw_played_move_count) ||
+    raw_played_move_count < 0
+  ) {
+    throw new Error(
+      `State document played_move_count must be a non-negative integer (received ${String(raw_played_move_count)}).`
+    );
+  }
+  // Documents written before the timer existed have no elapsed_ms.
+  const raw_elapsed_ms = raw_document.elapsed_ms ?? 0;
+  if (typeof raw_elapsed_ms !== "number" || !Number.isFinite(raw_elapsed_ms) || raw_elapsed_ms < 0) {
+    throw new Error(`State document elapsed_ms must be a non-negative number (received ${String(raw_elapsed_ms)}).`);
+  }
+
+  return {
+    mode: expected.mode,
+    grid: expected.grid,
+    operator_ids: [...expected.operator_ids],
+    goal_mode: expected.goal_mode,
+    seed: raw_seed,
+    board_state: read_board_state(raw_document.tiles, expected.grid),
+    history,
+    played_move_count: raw_played_move_count,
+    hint_count: raw_hint_count,
+    is_assisted: raw_is_assisted,
+    elapsed_ms: raw_elapsed_ms
+  };
+}
@@ -0,0 +1,785 @@
+// @ts-check
+
+import { parse_cell_key } from "./coords.js";
+import { apply_move } from "./move.js";
+
+/**
+ * Solver for the current board.
+ *
+ * Moves are compiled once by running `apply_move` on a probe state, so the solver follows
+ * exactly the same rules as play. Small boards are searched with IDA* guided by pattern
+ * databases over single tiles and pairs of tiles; the estimate never overshoots, so the
+ * result is a shortest solution. When a board is too large or the search exceeds its node
+ * budget, a staged solver places tiles one at a time with moves that leave placed tiles
+ * alone and finishes the last few tiles with the same IDA* search.
+ */
+
+/**
+ * @typedef {{
+ *   cell_to_tile_id: Map<string, string>,
+ *   tile_id_to_cell: Map<string, string>,
+ *   tile_rot: Map<string, number>,
+ *   tile_home_cell: Map<string, string>
+ * }} BoardState
+ */
+
+/**
+ * @typedef {{
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   anchor_world: { x: number, y: number },
+ *   cells: string[],
+ *   spin_cells?: string[],
+ *   permutation_steps_cw?: number,
+ *   rotation_steps_cw: number
+ * }} AnchorInstance
+ */
+
+/**
+ * @typedef {import("./history.js").MoveRecord} MoveRecord
+ */
+
+/**
+ * @typedef {{
+ *   record: MoveRecord,
+ *   touched_cells: number[],
+ *   destination_by_cell: Int16Array,
+ *   rot_delta_by_cell: Uint8Array,
+ *   moved_tiles_scratch: Uint16Array,
+ *   inverse_index: number
+ * }} CompiledMove
+ */
+
+/**
+ * @typedef {{
+ *   tile_at: Uint16Array,
+ *   tile_cell: Uint16Array,
+ *   tile_rot: Uint8Array
+ * }} SearchState
+ */
+
+/**
+ * @typedef {{
+ *   tiles: number[],
+ *   distances: Uint8Array
+ * }} PatternDatabase
+ */
+
+/**
+ * @typedef {{
+ *   kind: "optimal" | "staged",
+ *   moves: MoveRecord[],
+ *   nodes_expanded: number
+ * }} SolverResult
+ */
+
+const ORIENTATION_COUNT = 6;
+const DEFAULT_OPTIMAL_MAX_CELLS = 10;
+const DEFAULT_FINAL_STAGE_CELLS = 6;
+const DEFAULT_NODE_BUDGET = 50_000;
+const UNREACHED = 255;
+const SEARCH_FOUND = -1;
+const SEARCH_BUDGET_EXCEEDED = -2;
+
+/**
+ * @param {string[]} cell_keys
+ * @returns {BoardState}
+ */
+function create_probe_state(cell_keys) {
+  return {
+    cell_to_tile_id: new Map(cell_keys.map((key) => [key, key])),
+    tile_id_to_cell: new Map(cell_keys.map((key) => [key, key])),
+    tile_rot: new Map(cell_keys.map((key) => [key, 0])),
+    tile_home_cell: new Map(cell_keys.map((key) => [key, key]))
+  };
+}
+
+/**
+ * Turn every (instance, direction) into index arrays. Directions with identical effect
+ * (e.g. CW and CCW of a 180° swap) are kept once.
+ *
+ * @param {string[]} cell_keys
+ * @param {AnchorInstance[]} instances
+ * @returns {CompiledMove[]}
+ */
+function compile_moves(cell_keys, instances) {
+  const cell_index_by_key = new Map(cell_keys.map((key, index) => [key, index]));
+  /** @type {CompiledMove[]} */
+  const moves = [];
+  /** @type {Map<string, number>} */
+  const move_index_by_signature = new Map();
+  /** @type {string[]} */
+  const inverse_signatures = [];
+
+  for (const instance of instances) {
+    const instance_cells = [...instance.cells, ...(instance.spin_cells ?? [])];
+    if (!instance_cells.every((key) => cell_index_by_key.has(key))) {
+      continue;
+    }
+    for (const direction_sign of /** @type {(1 | -1)[]} */ ([1, -1])) {
+      const probe_state = create_probe_state(cell_keys);
+      apply_move(probe_state, instance, direction_sign);
+      /** @type {[number, number, number][]} */
+      const changes = [];
+      for (const key of instance_cells) {
+        const tile_id = /** @type {string} */ (probe_state.cell_to_tile_id.get(key));
+        const rot_delta = probe_state.tile_rot.get(tile_id) ?? 0;
+        if (tile_id !== key || rot_delta !== 0) {
+          changes.push([
+            /** @type {number} */ (cell_index_by_key.get(tile_id)),
+            /** @type {number} */ (cell_index_by_key.get(key)),
+            rot_delta
+          ]);
+        }
+      }
+      if (changes.length === 0) {
+        continue;
+      }
+      changes.sort((a, b) => a[0] - b[0]);
+      const signature = changes.map((change) => change.join(":")).join(" ");
+      if (move_index_by_signature.has(signature)) {
+        continue;
+      }
+      const destination_by_cell = new Int16Array(cell_keys.length).fill(-1);
+      const rot_delta_by_cell = new Uint8Array(cell_keys.length);
+      for (const [source_index, destination_index, rot_delta] of changes) {
+        destination_by_cell[source_index] = destination_index;
+        rot_delta_by_cell[source_index] = rot_delta;
+      }
+      move_index_by_signature.set(signature, moves.length);
+      inverse_signatures.push(
+        changes
+          .map(([source_index, destination_index, rot_delta]) => [
+            destination_index,
+            source_index,
+            (ORIENTATION_COUNT - rot_delta) % ORIENTATION_COUNT
+          ])
+          .sort((a, b) => a[0] - b[0])
+          .map((change) => change.join(":"))
+          .join(" ")
+      );
+      moves.push({
+        record: { operator_id: instance.operator_id, anchor_id: instance.anchor_id, direction_sign },
+        touched_cells: changes.map(([source_index]) => source_index),
+        destination_by_cell,
+        rot_delta_by_cell,
+        moved_tiles_scratch: new Uint16Array(changes.length),
+        inverse_index: -1
+      });
+    }
+  }
+  moves.forEach((move, move_index) => {
+    move.inverse_index = move_index_by_signature.get(inverse_signatures[move_index]) ?? move_index;
+  });
+  return moves;
+}
+
+/**
+ * @param {BoardState} state
+ * @param {string[]} cell_keys
+ * @returns {SearchState}
+ */
+function create_search_state(state, cell_keys) {
+  const cell_index_by_key = new Map(cell_keys.map((key, index) => [key, index]));
+  const search_state = {
+    tile_at: new Uint16Array(cell_keys.length),
+    tile_cell: new Uint16Array(cell_keys.length),
+    tile_rot: new Uint8Array(cell_keys.length)
+  };
+  for (const [tile_id, home_key] of state.tile_home_cell.entries()) {
+    const tile_index = cell_index_by_key.get(home_key);
+    const cell_index = cell_index_by_key.get(state.tile_id_to_cell.get(tile_id) ?? "");
+    if (tile_index === undefined || cell_index === undefined) {
+      throw new Error(`Solver cannot place tile ${tile_id}.`);
+    }
+    search_state.tile_at[cell_index] = tile_index;
+    search_state.tile_cell[tile_index] = cell_index;
+    search_state.tile_rot[tile_index] = state.tile_rot.get(tile_id) ?? 0;
+  }
+  return search_state;
+}
+
+/**
+ * @param {SearchState} search_state
+ * @param {CompiledMove} move
+ */
+function apply_compiled_move(search_state, move) {
+  const { touched_cells, moved_tiles_scratch } = move;
+  for (let index = 0; index < touched_cells.length; index += 1) {
+    moved_tiles_scratch[index] = search_state.tile_at[touched_cells[index]];
+  }
+  for (let index = 0; index < touched_cells.length; index += 1) {
+    const source_index = touched_cells[index];
+    const tile_index = moved_tiles_scratch[index];
+    const destination_index = move.destination_by_cell[source_index];
+    search_state.tile_at[destination_index] = tile_index;
+    search_state.tile_cell[tile_index] = destination_index;
+    search_state.tile_rot[tile_index] =
+      (search_state.tile_rot[tile_index] + move.rot_delta_by_cell[source_index]) % ORIENTATION_COUNT;
+  }
+}
+
+/**
+ * @param {SearchState} search_state
+ * @param {number[]} tiles
+ * @returns {boolean}
+ */
+function are_tiles_home(search_state, tiles) {
+  return tiles.every(
+    (tile_index) => search_state.tile_cell[tile_index] === tile_index && search_state.tile_rot[tile_index] === 0
+  );
+}
+
+/**
+ * @param {CompiledMove[]} moves
+ * @param {number[]} move_indices
+ * @param {number} cell_count
+ * @returns {number[][]}
+ */
+function group_moves_by_cell(moves, move_indices, cell_count) {
+  /** @type {number[][]} */
+  const moves_by_cell = Array.from({ length: cell_count }, () => []);
+  for (const move_index of move_indices) {
+    for (const cell_index of moves[move_index].touched_cells) {
+      moves_by_cell[cell_index].push(move_index);
+    }
+  }
+  return moves_by_cell;
+}
+
+/**
+ * Exact distances for one or two tiles, ignoring every other tile. Each slot of a pattern
+ * state is `cell * 6 + rot`; the move set is closed under inverses, so a breadth-first
+ * search outward from the goal gives the distance to the goal.
+ *
+ * @param {number[]} tiles
+ * @param {CompiledMove[]} moves
+ * @param {number[][]} moves_by_cell
+ * @returns {PatternDatabase}
+ */
+function build_pattern_database(tiles, moves, moves_by_cell) {
+  const slot_count = moves_by_cell.length * ORIENTATION_COUNT;
+  const state_count = slot_count ** tiles.length;
+  const distances = new Uint8Array(state_count).fill(UNREACHED);
+  const queue = new Uint32Array(state_count);
+  const goal_slots = tiles.map((tile_index) => tile_index * ORIENTATION_COUNT);
+  const goal_pattern_index = goal_slots.reduce((index, slot) => index * slot_count + slot, 0);
+  distances[goal_pattern_index] = 0;
+  queue[0] = goal_pattern_index;
+  let queue_end = 1;
+  const slots = new Array(tiles.length).fill(0);
+
+  for (let queue_start = 0; queue_start < queue_end; queue_start += 1) {
+    const pattern_index = queue[queue_start];
+    const next_distance = distances[pattern_index] + 1;
+    let remainder = pattern_index;
+    for (let tile_position = tiles.length - 1; tile_position >= 0; tile_position -= 1) {
+      slots[tile_position] = remainder % slot_count;
+      remainder = Math.floor(remainder / slot_count);
+    }
+    for (const slot of slots) {
+      for (const move_index of moves_by_cell[Math.floor(slot / ORIENTATION_COUNT)]) {
+        const move = moves[move_index];
+        let next_pattern_index = 0;
+        for (const other_slot of slots) {
+          const cell_index = Math.floor(other_slot / ORIENTATION_COUNT);
+          const destination_index = move.destination_by_cell[cell_index];
+          const next_slot =
+            destination_index < 0
+              ? other_slot
+              : destination_index * ORIENTATION_COUNT +
+                ((other_slot % ORIENTATION_COUNT) + move.rot_delta_by_cell[cell_index]) % ORIENTATION_COUNT;
+          next_pattern_index = next_pattern_index * slot_count + next_slot;
+        }
+        if (distances[next_pattern_index] === UNREACHED) {
+          distances[next_pattern_index] = Math.min(next_distance, UNREACHED - 1);
+          queue[queue_end] = next_pattern_index;
+          queue_end += 1;
+        }
+      }
+    }
+  }
+  return { tiles, distances };
+}
+
+/**
+ * Pattern databases for every single tile and every pair of the given tiles.
+ *
+ * @param {number[]} tiles
+ * @param {CompiledMove[]} moves
+ * @param {number[][]} moves_by_cell
+ * @returns {{ single_databases: PatternDatabase[], pair_databases: PatternDatabase[] }}
+ */
+function build_pattern_databases(tiles, moves, moves_by_cell) {
+  /** @type {PatternDatabase[]} */
+  const pair_databases = [];
+  for (let first = 0; first < tiles.length; first += 1) {
+    for (let second = first + 1; second < tiles.length; second += 1) {
+      pair_databases.push(build_pattern_database([tiles[first], tiles[second]], moves, moves_by_cell));
+    }
+  }
+  return {
+    single_databases: tiles.map((tile_index) => build_pattern_database([tile_index], moves, moves_by_cell)),
+    pair_databases
+  };
+}
+
+/**
+ * @param {SearchState} search_state
+ * @param {PatternDatabase} database
+ * @param {number} slot_count
+ * @returns {number}
+ */
+function lookup_distance(search_state, database, slot_count) {
+  let pattern_index = 0;
+  for (const tile_index of database.tiles) {
+    pattern_index =
+      pattern_index * slot_count +
+      search_state.tile_cell[tile_index] * ORIENTATION_COUNT +
+      search_state.tile_rot[tile_index];
+  }
+  const distance = database.distances[pattern_index];
+  return distance === UNREACHED ? Infinity : distance;
+}
+
+/**
+ * Admissible estimate: the largest pair distance, or the summed single-tile distances
+ * divided by the most tiles one move can touch, whichever is larger.
+ *
+ * @param {SearchState} search_state
+ * @param {{ single_databases: PatternDatabase[], pair_databases: PatternDatabase[] }} databases
+ * @param {number} slot_count
+ * @param {number} max_tiles_per_move
+ * @returns {number}
+ */
+function estimate_distance(search_state, databases, slot_count, max_tiles_per_move) {
+  let single_distance_sum = 0;
+  for (const database of databases.single_databases) {
+    single_distance_sum += lookup_distance(search_state, database, slot_count);
+  }
+  let estimate = Math.ceil(single_distance_sum / max_tiles_per_move);
+  for (const database of databases.pair_databases) {
+    estimate = Math.max(estimate, lookup_distance(search_state, database, slot_count));
+  }
+  return estimate;
+}
+
+/**
+ * Iterative-deepening A* that brings `tiles` home using only `move_indices`.
+ * Mutates `search_state`; on success it ends in the goal state.
+ *
+ * @param {SearchState} search_state
+ * @param {number[]} tiles
+ * @param {CompiledMove[]} moves
+ * @param {number[]} move_indices
+ * @param {number} node_budget
+ * @returns {{ path: number[] | null, nodes_expanded: number }}
+ */
+function run_ida_star(search_state, tiles, moves, move_indices, node_budget) {
+  const cell_count = search_state.tile_at.length;
+  const slot_count = cell_count * ORIENTATION_COUNT;
+  const databases = build_pattern_databases(
+    tiles,
+    moves,
+    group_moves_by_cell(moves, move_indices, cell_count)
+  );
+  const max_tiles_per_move = Math.max(
+    1,
+    ...move_indices.map((move_index) => moves[move_index].touched_cells.length)
+  );
+  /** @type {number[]} */
+  const path = [];
+  let nodes_expanded = 0;
+
+  /**
+   * @param {number} depth
+   * @param {number} bound
+   * @param {number} previous_move_index
+   * @returns {number} next bound, SEARCH_FOUND or SEARCH_BUDGET_EXCEEDED
+   */
+  function search(depth, bound, previous_move_index) {
+    const estimate = estimate_distance(search_state, databases, slot_count, max_tiles_per_move);
+    const total_estimate = depth + estimate;
+    if (total_estimate > bound) {
+      return total_estimate;
+    }
+    if (estimate === 0 && are_tiles_home(search_state, tiles)) {
+      return SEARCH_FOUND;
+    }
+    nodes_expanded += 1;
+    if (nodes_expanded > node_budget) {
+      return SEARCH_BUDGET_EXCEEDED;
+    }
+    const skipped_move_index = previous_move_index < 0 ? -1 : moves[previous_move_index].inverse_index;
+    let next_bound = Infinity;
+    for (const move_index of move_indices) {
+      if (move_index === skipped_move_index) {
+        continue;
+      }
+      apply_compiled_move(search_state, moves[move_index]);
+      path.push(move_index);
+      const result = search(depth + 1, bound, move_index);
+      if (result === SEARCH_FOUND || result === SEARCH_BUDGET_EXCEEDED) {
+        return result;
+      }
+      path.pop();
+      apply_compiled_move(search_state, moves[moves[move_index].inverse_index]);
+      next_bound = Math.min(next_bound, result);
+    }
+    return next_bound;
+  }
+
+  let bound = estimate_distance(search_state, databases, slot_count, max_tiles_per_move);
+  while (bound !== Infinity) {
+    const result = search(0, bound, -1);
+    if (result === SEARCH_FOUND) {
+      return { path, nodes_expanded };
+    }
+    if (result === SEARCH_BUDGET_EXCEEDED) {
+      break;
+    }
+    bound = result;
+  }
+  return { path: null, nodes_expanded };
+}
+
+/**
+ * Breadth-first search for one tile's shortest route home, ignoring every other tile.
+ *
+ * @param {SearchState} search_state
+ * @param {number} tile_index
+ * @param {CompiledMove[]} moves
+ * @param {number[][]} moves_by_cell
+ * @returns {number[] | null}
+ */
+function find_single_tile_path(search_state, tile_index, moves, moves_by_cell) {
+  const slot_count = moves_by_cell.length * ORIENTATION_COUNT;
+  const start_slot =
+    search_state.tile_cell[tile_index] * ORIENTATION_COUNT + search_state.tile_rot[tile_index];
+  const goal_slot = tile_index * ORIENTATION_COUNT;
+  const previous_slot = new Int32Array(slot_count).fill(-1);
+  const previous_move = new Int32Array(slot_count).fill(-1);
+  previous_slot[start_slot] = start_slot;
+  /** @type {number[]} */
+  const queue = [start_slot];
+  for (let queue_start = 0; queue_start < queue.length && previous_slot[goal_slot] < 0; queue_start += 1) {
+    const slot = queue[queue_start];
+    const cell_index = Math.floor(slot / ORIENTATION_COUNT);
+    for (const move_index of moves_by_cell[cell_index]) {
+      const move = moves[move_index];
+      const next_slot =
+        move.destination_by_cell[cell_index] * ORIENTATION_COUNT +
+        ((slot % ORIENTATION_COUNT) + move.rot_delta_by_cell[cell_index]) % ORIENTATION_COUNT;
+      if (previous_slot[next_slot] < 0) {
+        previous_slot[next_slot] = slot;
+        previous_move[next_slot] = move_index;
+        queue.push(next_slot);
+      }
+    }
+  }
+  if (previous_slot[goal_slot] < 0) {
+    return null;
+  }
+  /** @type {number[]} */
+  const path = [];
+  for (let slot = goal_slot; slot !== start_slot; slot = previous_slot[slot]) {
+    path.push(previous_move[slot]);
+  }
+  return path.reverse();
+}
+
+/**
+ * Rows top to bottom, then the last two rows column by column, so the unplaced cells stay
+ * one compact two-row block until the end.
+ *
+ * @param {string[]} cell_keys
+ * @returns {number[]}
+ */
+function get_placement_order(cell_keys) {
+  const cells = cell_keys.map((key, index) => ({ ...parse_cell_key(key), index }));
+  const last_row = Math.max(...cells.map((cell) => cell.r));
+  const upper_cells = cells
+    .filter((cell) => cell.r < last_row - 1)
+    .sort((a, b) => a.r - b.r || a.q - b.q);
+  // Even rows are shifted half a tile right, so 2q (+1 on even rows) orders cells by x.
+  const lower_cells = cells
+    .filter((cell) => cell.r >= last_row - 1)
+    .sort((a, b) => 2 * a.q + (a.r % 2 === 0 ? 1 : 0) - (2 * b.q + (b.r % 2 === 0 ? 1 : 0)) || a.r - b.r);
+  return [...upper_cells, ...lower_cells].map((cell) => cell.index);
+}
+
+/**
+ * Drop adjacent move/inverse pairs, which the staged solver produces at stage boundaries.
+ *
+ * @param {number[]} path
+ * @param {CompiledMove[]} moves
+ * @returns {number[]}
+ */
+function cancel_inverse_pairs(path, moves) {
+  /** @type {number[]} */
+  const simplified_path = [];
+  for (const move_index of path) {
+    const previous_move_index = simplified_path[simplified_path.length - 1];
+    if (previous_move_index !== undefined && moves[previous_move_index].inverse_index === move_index) {
+      simplified_path.pop();
+    } else {
+      simplified_path.push(move_index);
+    }
+  }
+  return simplified_path;
+}
+
+/**
+ * @param {SearchState} search_state
+ * @param {CompiledMove[]} moves
+ * @param {string[]} cell_keys
+ * @param {number} final_stage_cells
+ * @param {number} node_budget
+ * @returns {{ path: number[] | null, nodes_expanded: number }}
+ */
+function solve_staged(search_state, moves, cell_keys, final_stage_cells, node_budget) {
+  const placement_order = get_placement_order(cell_keys);
+  const staged_count = Math.max(0, placement_order.length - final_stage_cells);
+  const is_placed = new Uint8Array(cell_keys.length);
+  /** @type {number[]} */
+  const path = [];
+
+  /**
+   * @returns {number[]}
+   */
+  function get_free_move_indices() {
+    /** @type {number[]} */
+    const free_move_indices = [];
+    moves.forEach((move, move_index) => {
+      if (move.touched_cells.every((cell_index) => !is_placed[cell_index])) {
+        free_move_indices.push(move_index);
+      }
+    });
+    return free_move_indices;
+  }
+
+  for (const tile_index of placement_order.slice(0, staged_count)) {
+    const moves_by_cell = group_moves_by_cell(moves, get_free_move_indices(), cell_keys.length);
+    const tile_path = find_single_tile_path(search_state, tile_index, moves, moves_by_cell);
+    if (!tile_path) {
+      return { path: null, nodes_expanded: 0 };
+    }
+    for (const move_index of tile_path) {
+      apply_compiled_move(search_state, moves[move_index]);
+    }
+    path.push(...tile_path);
+    is_placed[tile_index] = 1;
+  }
+
+  const final_tiles = placement_order.slice(staged_count);
+  const final_result = run_ida_star(search_state, final_tiles, moves, get_free_move_indices(), node_budget);
+  if (!final_result.path) {
+    return { path: null, nodes_expanded: final_result.nodes_expanded };
+  }
+  return {
+    path: cancel_inverse_pairs([...path, ...final_result.path], moves),
+    nodes_expanded: final_result.nodes_expanded
+  };
+}
+
+/**
+ * Find a move sequence that solves `state`. Boards with at most `optimal_max_cells` cells
+ * are searched for a shortest solution first; otherwise (or when the node budget runs out)
+ * the staged solver is used. Returns null when neither finds a solution.
+ *
+ * @param {string[]} cell_keys cells that hold tiles
+ * @param {AnchorInstance[]} instances every anchor instance of every active operator
+ * @param {BoardState} state
+ * @param {{ optimal_max_cells?: number, final_stage_cells?: number, node_budget?: number }} [options]
+ * @returns {SolverResult | null}
+ */
+export function solve_board(cell_keys, instances, state, options = {}) {
+  const optimal_max_cells = options.optimal_max_cells ?? DEFAULT_OPTIMAL_MAX_CELLS;
+  const final_stage_cells = options.final_stage_cells ?? DEFAULT_FINAL_STAGE_CELLS;
+  const node_budget = options.node_budget ?? DEFAULT_NODE_BUDGET;
+  const moves = compile_moves(cell_keys, instances);
+  const all_tiles = cell_keys.map((_key, index) => index);
+  /**
+   * @param {number[]} path
+   * @returns {MoveRecord[]}
+   */
+  const to_move_records = (path) => path.map((move_index) => ({ ...moves[move_index].record }));
+
+  let nodes_expanded = 0;
+  if (cell_keys.length <= optimal_max_cells) {
+    const optimal_result = run_ida_star(
+      create_search_state(state, cell_keys),
+      all_tiles,
+      moves,
+      moves.map((_move, move_index) => move_index),
+      node_budget
+    );
+    nodes_expanded += optimal_result.nodes_expanded;
+    if (optimal_result.path) {
+      return { kind: "optimal", moves: to_move_records(optimal_result.path), nodes_expanded };
+    }
+  }
+
+  const staged_result = solve_staged(
+    create_search_state(state, cell_keys),
+    moves,
+    cell_keys,
+    final_stage_cells,
+    node_budget
+  );
+  nodes_expanded += staged_result.nodes_expanded;
+  if (!staged_result.path) {
+    return null;
+  }
+  return { kind: "staged", moves: to_move_records(staged_result.path), nodes_expanded };
+}
+
+/**
+ * @typedef {{
+ *   solve: (cell_keys: string[], instances: AnchorInstance[], state: BoardState) => Promise<SolverResult | null>,
+ *   cancel: () => void
+ * }} BackgroundSolver
+ */
+
+/**
+ * Run solve_board in a worker (core/solver_worker) so large boards do not freeze the
+ * page. cancel() stops the running search by terminating the worker; its promise
+ * resolves to null and the next search starts a new worker. Without worker support, or
+ * once the worker fails, searches run on the main thread after one painted frame.
+ *
+ * @returns {BackgroundSolver}
+ */
+export function create_background_solver() {
+  let can_use_worker = typeof Worker !== "undefined";
+  /** @type {Worker | null} */
+  let worker = null;
+  let next_request_id = 1;
+  // 0 while idle; cancel() resets it so a finished search that was cancelled is dropped.
+  let running_request_id = 0;
+  /** @type {(() => void) | null} */
+  let abort_worker_request = null;
+
+  /**
+   * @returns {Worker | null}
+   */
+  function get_worker() {
+    if (!worker && can_use_worker) {
+      try {
+        worker = new Worker(new URL("./solver_worker.js", import.meta.url), { type: "module" });
+      } catch (error) {
+        console.warn("[Solver] Could not start solver worker; solving on the main thread:", error);
+        can_use_worker = false;
+      }
+    }
+    return worker;
+  }
+
+  /**
+   * @param {import("./solver_worker.js").SolveRequest} request
+   * @returns {Promise<SolverResult | null>}
+   */
+  async function solve_on_main_thread(request) {
+    // The search blocks the main thread, so let the caller's status message render first.
+    await new Promise((resolve) => {
+      requestAnimationFrame(() => setTimeout(resolve, 0));
+    });
+    if (running_request_id !== request.request_id) {
+      return null;
+    }
+    return solve_board(request.cell_keys, request.instances, request.state);
+  }
+
+  /**
+   * @param {Worker} active_worker
+   * @param {import("./solver_worker.js").SolveRequest} request
+   * @returns {Promise<SolverResult | null>}
+   */
+  function solve_in_worker(active_worker, request) {
+    return new Promise((resolve, reject) => {
+      const remove_listeners = () => {
+        active_worker.removeEventListener("message", on_message);
+        active_worker.removeEventListener("error", on_error);
+        abort_worker_request = null;
+      };
+      /**
+       * @param {MessageEvent<import("./solver_worker.js").SolveResponse>} message_event
+       */
+      const on_message = (message_event) => {
+        if (message_event.data.request_id !== request.request_id) {
+          return;
+        }
+        remove_listeners();
+        if ("error" in message_event.data) {
+          reject(new Error(message_event.data.error));
+          return;
+        }
+        resolve(message_event.data.result);
+      };
+      /**
+       * @param {ErrorEvent} error_event
+       */
+      const on_error = (error_event) => {
+        remove_listeners();
+        reject(new Error(`Solver worker failed: ${error_event.message}`));
+      };
+      active_worker.addEventListener("message", on_message);
+      active_worker.addEventListener("error", on_error);
+      abort_worker_request = () => {
+        remove_listeners();
+        resolve(null);
+      };
+      active_worker.postMessage(request);
+    });
+  }
+
+  return {
+    async solve(cell_keys, instances, state) {
+      if (running_request_id !== 0) {
+        throw new Error("A solver search is already running.");
+      }
+      const request = { request_id: next_request_id, cell_keys, instances, state };
+      next_request_id += 1;
+      running_request_id = request.request_id;
+      /** @type {SolverResult | null} */
+      let result;
+      try {
+        const active_worker = get_worker();
+        if (active_worker) {
+          try {
+            result = await solve_in_worker(active_worker, request);
+          } catch (error) {
+            if (running_request_id !== request.request_id) {
+              return null;
+            }
+            console.warn("[Solver] Worker search failed; solving on the main thread from now on:", error);
+            active_worker.terminate();
+            worker = null;
+            can_use_worker = false;
+            result = await solve_on_main_thread(request);
+          }
+        } else {
+          result = await solve_on_main_thread(request);
+        }
+      } finally {
+        if (running_request_id === request.request_id) {
+          running_request_id = 0;
+        } else {
+          result = null;
+        }
+      }
+      return result;
+    },
+    cancel() {
+      if (running_request_id === 0) {
+        return;
+      }
+      running_request_id = 0;
+      if (abort_worker_request) {
+        abort_worker_request();
+        worker?.terminate();
+        worker = null;
+        console.info("[Solver] Search cancelled; the worker was stopped.");
+      }
+    }
+  };
+}
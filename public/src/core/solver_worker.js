@@ -0,0 +1,49 @@
+// @ts-check
+
+import { solve_board } from "./solver.js";
+
+/**
+ * Module worker behind create_background_solver: runs solve_board off the main thread so
+ * the page keeps drawing and taking clicks while a large board is searched. A search
+ * cannot be interrupted from here; the page stops it by terminating the worker.
+ */
+
+/**
+ * @typedef {{
+ *   request_id: number,
+ *   cell_keys: string[],
+ *   instances: import("./solver.js").AnchorInstance[],
+ *   state: import("./solver.js").BoardState
+ * }} SolveRequest
+ */
+
+/**
+ * @typedef {{
+ *   request_id: number,
+ *   result: import("./solver.js").SolverResult | null
+ * } | {
+ *   request_id: number,
+ *   error: string
+ * }} SolveResponse
+ */
+
+// The DOM lib types `self` as a Window; only these two members are used.
+const worker_scope = /** @type {{
+ *   addEventListener: (type: "message", listener: (message_event: MessageEvent<SolveRequest>) => void) => void,
+ *   postMessage: (message: SolveResponse) => void
+ * }} */ (/** @type {unknown} */ (self));
+
+worker_scope.addEventListener("message", (message_event) => {
+  const request = message_event.data;
+  try {
+    worker_scope.postMessage({
+      request_id: request.request_id,
+      result: solve_board(request.cell_keys, request.instances, request.state)
+    });
+  } catch (error) {
+    worker_scope.postMessage({
+      request_id: request.request_id,
+      error: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
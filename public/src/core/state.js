@@ -20,6 +20,17 @@ import { cell_key } from "./coords.js";
  * }} BoardState
  */
 
+/**
+ * @typedef {"strict" | "position" | "symmetric" | "orientation"} GoalMode
+ */
+
+/**
+ * @typedef {import("./symmetry.js").GridSymmetry} GridSymmetry
+ */
+
+/** @type {GoalMode[]} */
+export const GOAL_MODES = ["strict", "position", "symmetric", "orientation"];
+
 /**
  * @param {Grid} grid
  * @returns {BoardState}
@@ -53,16 +64,84 @@ export function create_solved_state(grid) {
 
 /**
  * @param {BoardState} state
+ * @param {GridSymmetry} symmetry
  * @returns {boolean}
  */
-export function is_solved(state) {
+function matches_symmetry(state, symmetry) {
   for (const [tile_id, home_cell_key] of state.tile_home_cell.entries()) {
     const current_cell_key = state.tile_id_to_cell.get(tile_id);
     const rotation_steps = state.tile_rot.get(tile_id) ?? 0;
-    if (current_cell_key !== home_cell_key || rotation_steps !== 0) {
+    if (current_cell_key !== symmetry.cell_map.get(home_cell_key) || rotation_steps !== symmetry.tile_rot) {
       return false;
     }
   }
   return true;
 }
 
+/**
+ * Check the win condition for a goal mode:
+ * - strict: every tile home with rot 0
+ * - position: every tile home, any rotation
+ * - orientation: every tile at rot 0, anywhere
+ * - symmetric: the strict layout moved by one of `symmetries` (which should include the identity)
+ *
+ * @param {BoardState} state
+ * @param {GoalMode} [goal_mode]
+ * @param {GridSymmetry[]} [symmetries]
+ * @returns {boolean}
+ */
+export function is_solved(state, goal_mode = "strict", symmetries = []) {
+  if (goal_mode === "symmetric") {
+    return symmetries.some((symmetry) => matches_symmetry(state, symmetry));
+  }
+  for (const [tile_id, home_cell_key] of state.tile_home_cell.entries()) {
+    const current_cell_key = state.tile_id_to_cell.get(tile_id);
+    const rotation_steps = state.tile_rot.get(tile_id) ?? 0;
+    if (goal_mode !== "orientation" && current_cell_key !== home_cell_key) {
+      return false;
+    }
+    if (goal_mode !== "position" && rotation_steps !== 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Number of tiles already where the goal wants them, for progress display. Each tile
+ * is checked the same way is_solved checks it; for "symmetric" the best-matching
+ * symmetry counts.
+ *
+ * @param {BoardState} state
+ * @param {GoalMode} [goal_mode]
+ * @param {GridSymmetry[]} [symmetries]
+ * @returns {number}
+ */
+export function count_correct_tiles(state, goal_mode = "strict", symmetries = []) {
+  if (goal_mode === "symmetric") {
+    return Math.max(
+      0,
+      ...symmetries.map((symmetry) => {
+        let correct_count = 0;
+        for (const [tile_id, home_cell_key] of state.tile_home_cell.entries()) {
+          if (
+            state.tile_id_to_cell.get(tile_id) === symmetry.cell_map.get(home_cell_key) &&
+            (state.tile_rot.get(tile_id) ?? 0) === symmetry.tile_rot
+          ) {
+            correct_count += 1;
+          }
+        }
+        return correct_count;
+      })
+    );
+  }
+  let correct_count = 0;
+  for (const [tile_id, home_cell_key] of state.tile_home_cell.entries()) {
+    const is_placed = goal_mode === "orientation" || state.tile_id_to_cell.get(tile_id) === home_cell_key;
+    const is_upright = goal_mode === "position" || (state.tile_rot.get(tile_id) ?? 0) === 0;
+    if (is_placed && is_upright) {
+      correct_count += 1;
+    }
+  }
+  return correct_count;
+}
@@ -0,0 +1,101 @@
+// @ts-check
+
+import { cell_key, world_from_cell } from "./coords.js";
+
+/**
+ * @typedef {{ q: number, r: number }} Cell
+ */
+
+/**
+ * @typedef {{
+ *   w: number,
+ *   h: number,
+ *   all_cells: Cell[],
+ *   has_cell: (cell: Cell) => boolean
+ * }} Grid
+ */
+
+/**
+ * A board symmetry: `cell_map` sends each home cell to the cell its tile occupies, and
+ * `tile_rot` is the rotation every tile must have (the board's own turn in 60° CW steps;
+ * reflections keep tiles upright because a tile cannot be mirrored).
+ *
+ * @typedef {{
+ *   label: string,
+ *   cell_map: Map<string, string>,
+ *   tile_rot: number
+ * }} GridSymmetry
+ */
+
+// World positions are compared at this many units per tile size.
+const POSITION_KEY_SCALE = 1000;
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function get_position_key(x, y) {
+  return `${Math.round(x * POSITION_KEY_SCALE)},${Math.round(y * POSITION_KEY_SCALE)}`;
+}
+
+/**
+ * Every rotation by a multiple of 60° and every reflection that maps the board's cells
+ * onto themselves, found by turning cell centers about the board's centroid.
+ * The identity always comes first.
+ *
+ * @param {Grid} grid
+ * @returns {GridSymmetry[]}
+ */
+export function find_grid_symmetries(grid) {
+  const origin = { x: 0, y: 0 };
+  const cell_centers = grid.all_cells.map((cell) => ({
+    key: cell_key(cell),
+    world: world_from_cell(cell, 1, origin)
+  }));
+  const centroid_x =
+    cell_centers.reduce((sum, cell_center) => sum + cell_center.world.x, 0) / cell_centers.length;
+  const centroid_y =
+    cell_centers.reduce((sum, cell_center) => sum + cell_center.world.y, 0) / cell_centers.length;
+  const key_by_position = new Map(
+    cell_centers.map((cell_center) => [
+      get_position_key(cell_center.world.x - centroid_x, cell_center.world.y - centroid_y),
+      cell_center.key
+    ])
+  );
+
+  /** @type {GridSymmetry[]} */
+  const symmetries = [];
+  for (const is_reflection of [false, true]) {
+    for (let rotation_steps = 0; rotation_steps < 6; rotation_steps += 1) {
+      // Positive angles turn clockwise on screen (y points down), matching tile rotation.
+      const angle_radians = rotation_steps * (Math.PI / 3);
+      const cosine = Math.cos(angle_radians);
+      const sine = Math.sin(angle_radians);
+      /** @type {Map<string, string>} */
+      const cell_map = new Map();
+      for (const cell_center of cell_centers) {
+        const offset_x = (cell_center.world.x - centroid_x) * (is_reflection ? -1 : 1);
+        const offset_y = cell_center.world.y - centroid_y;
+        const mapped_key = key_by_position.get(
+          get_position_key(offset_x * cosine - offset_y * sine, offset_x * sine + offset_y * cosine)
+        );
+        if (!mapped_key) {
+          break;
+        }
+        cell_map.set(cell_center.key, mapped_key);
+      }
+      if (cell_map.size !== cell_centers.length) {
+        continue;
+      }
+      symmetries.push({
+        label: is_reflection
+          ? `reflection (mirror, then turn ${rotation_steps * 60}°)`
+          : `rotation ${rotation_steps * 60}°`,
+        cell_map,
+        tile_rot: is_reflection ? 0 : rotation_steps
+      });
+    }
+  }
+  return symmetries;
+}
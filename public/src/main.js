@@ -2,27 +2,92 @@
 
 import { Application, Container, Graphics, Sprite, Text, Texture } from "pixi.js";
 import { cell_to_label } from "./core/cell_label.js";
-import { create_hex_points, world_from_cell } from "./core/coords.js";
+import { HEX_ORIENTATIONS, cell_key, create_hex_points, parse_cell_key, world_from_cell } from "./core/coords.js";
 import {
   derive_grid_shape,
   derive_tile_size,
-  derive_tile_size_and_origin_viewport_only
+  derive_tile_size_and_origin_viewport_only,
+  get_source_tile_size_px
 } from "./core/derive_params.js";
-import { create_grid, get_grid_bounds } from "./core/grid.js";
-import { apply_move } from "./core/move.js";
-import { build_anchor_instances, get_operator_defs } from "./core/operators.js";
-import { create_solved_state, is_solved } from "./core/state.js";
-import { bake_tile_textures } from "./render/bake.js";
+import {
+  GRID_SHAPE_KINDS,
+  create_grid,
+  create_shaped_grid,
+  get_grid_bounds,
+  get_grid_extent_in_s
+} from "./core/grid.js";
+import {
+  analyze_puzzle_group,
+  check_state_reachable,
+  summarize_group_analysis
+} from "./core/group_analysis.js";
+import { find_hint } from "./core/hint.js";
+import { create_move_history } from "./core/history.js";
+import { apply_move, get_revolution_steps_cw } from "./core/move.js";
+import { format_move_notation, parse_move_sequence } from "./core/notation.js";
+import {
+  DEFAULT_OPERATOR_IDS,
+  build_anchor_instances,
+  get_operator_defs,
+  parse_operator_definitions,
+  select_operator_defs
+} from "./core/operators.js";
+import { MAX_SEED, create_random_seed, create_seeded_random } from "./core/random.js";
+import {
+  create_recording,
+  get_recording_duration_ms,
+  parse_recording,
+  serialize_recording
+} from "./core/recording.js";
+import { find_painting, parse_gallery_manifest } from "./core/gallery_manifest.js";
+import { deserialize_state, get_tile_records, read_board_state, serialize_state } from "./core/serialize.js";
+import { create_background_solver } from "./core/solver.js";
+import { GOAL_MODES, count_correct_tiles, create_solved_state, is_solved } from "./core/state.js";
+import { find_grid_symmetries } from "./core/symmetry.js";
+import { ANIMATION_SPEEDS, EASINGS, create_animator, is_animation_speed } from "./render/animation.js";
+import { create_tile_baker } from "./render/bake.js";
 import { create_tile_views } from "./render/tile_view.js";
+import { clear_autosave, get_autosave_key, read_autosave, write_autosave } from "./ui/autosave.js";
+import { create_dialog } from "./ui/dialog.js";
+import { create_gallery } from "./ui/gallery.js";
+import { download_text_file, listen_for_dropped_file, pick_file, pick_text_file } from "./ui/file_io.js";
+import { run_hover_benchmark } from "./ui/hover_benchmark.js";
 import { create_input_controller } from "./ui/input.js";
-
-const IMAGE_PATH = "./assets/Sandro_Botticelli_The_Birth_of_Venus.jpg";
+import { create_move_queue } from "./ui/move_queue.js";
+import { get_personal_best_key, read_personal_best, record_personal_best } from "./ui/personal_best.js";
+import { create_replay_playback } from "./ui/replay_playback.js";
+import { create_scrubber } from "./ui/scrubber.js";
+import { create_solution_playback } from "./ui/solution_playback.js";
+import { create_toolbar } from "./ui/toolbar.js";
+
+// Lists the bundled paintings; img= picks one by id, otherwise its default_id is used.
+const GALLERY_MANIFEST_PATH = "./assets/gallery.json";
+const GALLERY_THUMBNAIL_SIZE_PX = 140;
+const GALLERY_HIGHLIGHT_COLOR = 0x26d6ff;
+// Player images have no URL to reload from; their path is this prefix plus the file name.
+const CUSTOM_IMAGE_PATH_PREFIX = "custom:";
+// A tile narrower than this in the source image bakes into a smear of a few pixels.
+const MIN_SOURCE_TILE_SIZE_PX = 12;
+// Longer images are downscaled before baking; tiles never show more detail than this.
+const MAX_IMAGE_SIDE_PX = 2048;
 const DEFAULT_TARGET_CELL_COUNT = 75;
 const SCRAMBLE_MOVES = 120;
+// Extra scramble moves allowed while the board still meets the goal (e.g. orientation-only).
+const SCRAMBLE_MAX_EXTRA_MOVES = 1000;
 const PADDING_IN_TILE_UNITS = 0.5;
 const VIEWPORT_MARGIN_PX = 24;
+// Past 3 device pixels per CSS pixel the extra sharpness is not visible, only the cost.
+const MAX_RENDER_RESOLUTION = 3;
 const PIVOT_HIT_RADIUS_MIN_PX = 10;
-const ANIMATION_MS = 180;
+// Base durations at normal speed; anim= (or the Motion button) scales them.
+const MOVE_ANIMATION_MS = 180;
+const SCRAMBLE_ANIMATION_MS = 600;
+// Clicks made while a move animates wait in a queue of up to queue= moves (default below).
+const DEFAULT_MOVE_QUEUE_DEPTH = 4;
+const MAX_MOVE_QUEUE_DEPTH = 16;
+// Each move still waiting shortens the animation by this factor, down to the floor.
+const QUEUED_ANIMATION_SPEEDUP = 0.7;
+const MIN_QUEUED_ANIMATION_MS = 40;
 const BORDER_COLOR = 0xe6e6e6;
 const HOVER_HIGHLIGHT_COLOR = 0x26d6ff;
 const HOVER_OUTLINE_EDGE_KEY_PRECISION = 3;
@@ -34,12 +99,23 @@ const NORMAL_BACKGROUND_ALPHA = 0.75;
 const PREVIEW_BACKGROUND_ALPHA = 1.0;
 const NUMBER_MODE_DEFAULT_GRID_H = 3;
 const NUMBER_MODE_DEFAULT_GRID_W = 7;
+/** @type {Partial<Record<import("./core/grid.js").GridShape["kind"], import("./core/grid.js").GridShape>>} */
+const NUMBER_MODE_DEFAULT_SHAPES = {
+  hexagon: { kind: "hexagon", radius: 2 },
+  parallelogram: { kind: "parallelogram", w: 5, h: 4 },
+  triangle: { kind: "triangle", size: 5 }
+};
+// Largest board the w/h URL params allow; the hover benchmark measures on it.
+const BENCH_GRID_W = 50;
+const BENCH_GRID_H = 35;
+const BENCH_SAMPLE_COUNT = 2000;
+const BENCH_SEED = 1;
 const NUMBER_MODE_BACKGROUND_X_OFFSET_RATIO = -0.44;
 const NUMBER_MODE_TILE_FILL_COLOR = 0x333333;
 const NUMBER_MODE_TILE_FILL_ALPHA = 0.6;
 const FONT_FAMILY = "Open Sans, sans-serif";
 const SUCCESS_POPUP_WIDTH_PX = 360;
-const SUCCESS_POPUP_HEIGHT_PX = 132;
+const SUCCESS_POPUP_HEIGHT_PX = 212;
 const SUCCESS_POPUP_MARGIN_TOP_PX = 52;
 const SUCCESS_POPUP_BACKGROUND_COLOR = 0x202020;
 const SUCCESS_POPUP_BORDER_COLOR = 0x66dd66;
@@ -49,6 +125,26 @@ const SUCCESS_POPUP_BUTTON_TEXT_COLOR = 0xffffff;
 const SUCCESS_POPUP_BUTTON_WIDTH_PX = 96;
 const SUCCESS_POPUP_BUTTON_HEIGHT_PX = 34;
 const SUCCESS_POPUP_CORNER_RADIUS_PX = 12;
+const TOOLBAR_MARGIN_PX = 12;
+const TOOLBAR_BUTTON_COLOR = 0x2a2a2a;
+const TOOLBAR_TEXT_COLOR = 0xffffff;
+const STATUS_MESSAGE_COLOR = 0xdddddd;
+const STATUS_ERROR_COLOR = 0xff7777;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+// Long pauses in a recording are cut to this so playback never seems stuck.
+const REPLAY_MAX_WAIT_MS = 2000;
+const SCRUBBER_TRACK_COLOR = 0x444444;
+const SCRUBBER_FILL_COLOR = 0x66dd66;
+const SCRUBBER_HANDLE_COLOR = 0xffffff;
+const HUD_TEXT_COLOR = 0xffee88;
+const HUD_MARGIN_TOP_PX = 4;
+/** @type {Record<import("./core/state.js").GoalMode, string>} */
+const GOAL_MODE_LABELS = {
+  strict: "every tile home and upright",
+  position: "every tile home, rotation ignored",
+  symmetric: "any rotation or reflection of the solved board",
+  orientation: "every tile upright, placement ignored"
+};
 
 /**
  * Relative sizing tuning section.
@@ -69,7 +165,8 @@ const SUCCESS_POPUP_CORNER_RADIUS_PX = 12;
  *   operator_help_font_size: RelativeSizeRule,
  *   success_popup_title_font_size: RelativeSizeRule,
  *   success_popup_message_font_size: RelativeSizeRule,
- *   success_popup_button_font_size: RelativeSizeRule
+ *   success_popup_button_font_size: RelativeSizeRule,
+ *   toolbar_font_size: RelativeSizeRule
  * }} RelativeSizeRuleSet
  */
 
@@ -85,7 +182,8 @@ const RELATIVE_SIZE_RULES = {
   operator_help_font_size: { ratio: 0.024, min_px: 12, max_px: 36 },
   success_popup_title_font_size: { ratio: 0.032, min_px: 14, max_px: 44 },
   success_popup_message_font_size: { ratio: 0.017, min_px: 10, max_px: 24 },
-  success_popup_button_font_size: { ratio: 0.016, min_px: 10, max_px: 24 }
+  success_popup_button_font_size: { ratio: 0.016, min_px: 10, max_px: 24 },
+  toolbar_font_size: { ratio: 0.016, min_px: 11, max_px: 22 }
 };
 
 /**
@@ -100,7 +198,8 @@ const RELATIVE_SIZE_RULES = {
  *   operator_help_font_size_px: number,
  *   success_popup_title_font_size_px: number,
  *   success_popup_message_font_size_px: number,
- *   success_popup_button_font_size_px: number
+ *   success_popup_button_font_size_px: number,
+ *   toolbar_font_size_px: number
  * }} ResolvedRelativeSizes
  */
 
@@ -116,7 +215,9 @@ function compute_relative_size_px(reference_size_px, rule, context_label) {
   const raw_size_px = reference_size_px * rule.ratio;
   const max_px = rule.max_px ?? Number.POSITIVE_INFINITY;
   const clamped_size_px = Math.max(rule.min_px, Math.min(raw_size_px, max_px));
-  const resolved_size_px = Math.round(clamped_size_px);
+  // Whole device pixels keep thin borders and marker strokes crisp on high-DPI screens.
+  const render_resolution = application.renderer.resolution;
+  const resolved_size_px = Math.round(clamped_size_px * render_resolution) / render_resolution;
   console.info("[Relative size] Calculation:", {
     context: context_label,
     reference_size_px,
@@ -125,6 +226,7 @@ function compute_relative_size_px(reference_size_px, rule, context_label) {
     min_px: rule.min_px,
     max_px: Number.isFinite(max_px) ? max_px : null,
     clamped_size_px,
+    render_resolution,
     resolved_size_px
   });
   return resolved_size_px;
@@ -199,6 +301,11 @@ function resolve_relative_sizes(grid_confines_rect, reason_label) {
       reference_size_px,
       RELATIVE_SIZE_RULES.success_popup_button_font_size,
       "success_popup_button_font_size_px"
+    ),
+    toolbar_font_size_px: compute_relative_size_px(
+      reference_size_px,
+      RELATIVE_SIZE_RULES.toolbar_font_size,
+      "toolbar_font_size_px"
     )
   };
   console.info("[Relative size] Resolved size map:", {
@@ -211,18 +318,231 @@ function resolve_relative_sizes(grid_confines_rect, reason_label) {
 /**
  * @typedef {{
  *   mode: "n" | "i",
- *   grid_w: number,
- *   grid_h: number,
+ *   shape_kind: import("./core/grid.js").GridShape["kind"],
+ *   grid_shape: import("./core/grid.js").GridShape | null,
+ *   blocked_cells: import("./core/grid.js").BlockedCells,
+ *   hex_orientation: import("./core/coords.js").HexOrientation | null,
  *   target_cell_count: number,
- *   is_explore_mode: boolean
+ *   is_explore_mode: boolean,
+ *   is_bench_mode: boolean,
+ *   seed: number | null,
+ *   operator_tokens: string[] | null,
+ *   operator_defs_path: string | null,
+ *   goal_mode: import("./core/state.js").GoalMode,
+ *   replay_path: string | null,
+ *   painting_id: string | null,
+ *   max_queue_depth: number,
+ *   animation_speed: import("./render/animation.js").AnimationSpeed | null
  * }} UrlParams
  */
 
 /**
- * Parse and validate mode, h, w, n, explore from URL.
+ * Parse the ordered operator set; entries are operator ids or notation letters.
+ * The order is the 1..N key order. Tokens are resolved once custom definitions are loaded.
+ *
+ * @param {string | null} ops_param
+ * @returns {string[] | null}
+ */
+function parse_ops_param(ops_param) {
+  if (ops_param === null || ops_param === "") {
+    console.info("[URL params] ops omitted; using the default operator set.");
+    return null;
+  }
+  const operator_tokens = ops_param.split(",").map((token) => token.trim());
+  if (operator_tokens.some((token) => token === "")) {
+    throw new Error(`URL param ops must be a comma-separated list without empty entries (received '${ops_param}').`);
+  }
+  if (operator_tokens.length > 9) {
+    throw new Error(`URL param ops may select at most 9 operators (received ${operator_tokens.length}).`);
+  }
+  console.info(`[URL params] ops accepted: ${operator_tokens.join(",")}.`);
+  return operator_tokens;
+}
+
+/**
+ * Parse the optional scramble seed; null means "pick one".
+ *
+ * @param {string | null} seed_param
+ * @returns {number | null}
+ */
+function parse_seed_param(seed_param) {
+  if (seed_param === null || seed_param === "") {
+    console.info("[URL params] seed omitted; a new seed will be picked.");
+    return null;
+  }
+  const parsed_seed = /^\d+$/.test(seed_param) ? Number(seed_param) : Number.NaN;
+  if (!Number.isSafeInteger(parsed_seed) || parsed_seed > MAX_SEED) {
+    throw new Error(
+      `URL param seed must be an integer between 0 and ${MAX_SEED} (received '${seed_param}').`
+    );
+  }
+  console.info(`[URL params] seed accepted: ${parsed_seed}.`);
+  return parsed_seed;
+}
+
+/**
+ * @param {string | null} goal_param
+ * @returns {import("./core/state.js").GoalMode}
+ */
+function parse_goal_param(goal_param) {
+  if (goal_param === null || goal_param === "") {
+    return "strict";
+  }
+  const goal_mode = GOAL_MODES.find((candidate) => candidate === goal_param);
+  if (!goal_mode) {
+    throw new Error(
+      `URL param goal must be one of ${GOAL_MODES.join(", ")} (received '${goal_param}').`
+    );
+  }
+  console.info(`[URL params] goal accepted: ${goal_mode}.`);
+  return goal_mode;
+}
+
+/**
+ * @param {string | null} queue_param
+ * @returns {number}
+ */
+function parse_queue_param(queue_param) {
+  if (queue_param === null || queue_param === "") {
+    return DEFAULT_MOVE_QUEUE_DEPTH;
+  }
+  const max_queue_depth = Number(queue_param);
+  if (!Number.isInteger(max_queue_depth) || max_queue_depth < 0 || max_queue_depth > MAX_MOVE_QUEUE_DEPTH) {
+    throw new Error(
+      `URL param queue must be an integer between 0 and ${MAX_MOVE_QUEUE_DEPTH} (received '${queue_param}').`
+    );
+  }
+  console.info(`[URL params] queue accepted: ${max_queue_depth}.`);
+  return max_queue_depth;
+}
+
+/**
+ * Null leaves the speed to the system reduced-motion setting.
+ *
+ * @param {string | null} anim_param
+ * @returns {import("./render/animation.js").AnimationSpeed | null}
+ */
+function parse_anim_param(anim_param) {
+  if (anim_param === null || anim_param === "") {
+    return null;
+  }
+  if (!is_animation_speed(anim_param)) {
+    throw new Error(`URL param anim must be one of ${ANIMATION_SPEEDS.join(", ")} (received '${anim_param}').`);
+  }
+  console.info(`[URL params] anim accepted: ${anim_param}.`);
+  return anim_param;
+}
+
+/**
+ * Parse the board shape. `mask` (rows separated by "/") implies shape=mask; `size` is the
+ * radius for hexagon, the side for triangle and WxH for parallelogram. Row boards keep
+ * using w/h. A null shape means the size was omitted.
+ *
+ * @param {string | null} shape_param
+ * @param {string | null} size_param
+ * @param {string | null} mask_param
+ * @returns {{ shape_kind: import("./core/grid.js").GridShape["kind"], shape: import("./core/grid.js").GridShape | null }}
+ */
+function parse_shape_params(shape_param, size_param, mask_param) {
+  const has_mask = mask_param !== null && mask_param !== "";
+  const has_size = size_param !== null && size_param !== "";
+  const shape_kind = has_mask && (shape_param === null || shape_param === "")
+    ? "mask"
+    : GRID_SHAPE_KINDS.find((candidate) => candidate === (shape_param || "rows"));
+  if (!shape_kind) {
+    throw new Error(
+      `URL param shape must be one of ${GRID_SHAPE_KINDS.join(", ")} (received '${shape_param}').`
+    );
+  }
+  if (has_mask !== (shape_kind === "mask")) {
+    throw new Error(`URL param mask goes with shape=mask (received shape='${shape_param}').`);
+  }
+  if (has_size && (shape_kind === "rows" || shape_kind === "mask")) {
+    throw new Error(`URL param size does not apply to shape=${shape_kind} (received size='${size_param}').`);
+  }
+  if (shape_kind === "mask") {
+    const rows = String(mask_param).split("/");
+    console.info(`[URL params] mask accepted: ${rows.length} rows.`);
+    return { shape_kind, shape: { kind: "mask", rows } };
+  }
+  if (shape_kind === "rows" || !has_size) {
+    return { shape_kind, shape: null };
+  }
+  const size_text = String(size_param);
+  if (shape_kind === "parallelogram") {
+    const size_match = /^(\d+)x(\d+)$/.exec(size_text);
+    const w = size_match ? Number(size_match[1]) : 0;
+    const h = size_match ? Number(size_match[2]) : 0;
+    if (w < 1 || w > 50 || h < 1 || h > 35) {
+      throw new Error(
+        `URL param size for a parallelogram must be WxH with W in [1, 50] and H in [1, 35] (received '${size_text}').`
+      );
+    }
+    console.info(`[URL params] size accepted: parallelogram ${w}x${h}.`);
+    return { shape_kind, shape: { kind: "parallelogram", w, h } };
+  }
+  const parsed_size = /^\d+$/.test(size_text) ? Number(size_text) : Number.NaN;
+  const [min_size, max_size] = shape_kind === "hexagon" ? [1, 15] : [2, 30];
+  if (!(parsed_size >= min_size && parsed_size <= max_size)) {
+    throw new Error(
+      `URL param size for a ${shape_kind} must be an integer between ${min_size} and ${max_size} (received '${size_text}').`
+    );
+  }
+  console.info(`[URL params] size accepted: ${shape_kind} ${parsed_size}.`);
+  return {
+    shape_kind,
+    shape: shape_kind === "hexagon" ? { kind: "hexagon", radius: parsed_size } : { kind: "triangle", size: parsed_size }
+  };
+}
+
+/**
+ * Parse the optional layout orientation; null means "pick from the viewport".
+ *
+ * @param {string | null} orient_param
+ * @returns {import("./core/coords.js").HexOrientation | null}
+ */
+function parse_orient_param(orient_param) {
+  if (orient_param === null || orient_param === "") {
+    return null;
+  }
+  const hex_orientation = HEX_ORIENTATIONS.find((candidate) => candidate === orient_param);
+  if (!hex_orientation) {
+    throw new Error(
+      `URL param orient must be one of ${HEX_ORIENTATIONS.join(", ")} (received '${orient_param}').`
+    );
+  }
+  console.info(`[URL params] orient accepted: ${hex_orientation}.`);
+  return hex_orientation;
+}
+
+/**
+ * Parse a list of cells as "q,r" keys separated by ";" (e.g. holes=3,1;4,1).
+ *
+ * @param {string} param_name
+ * @param {string | null} cells_param
+ * @returns {string[]}
+ */
+function parse_cell_list_param(param_name, cells_param) {
+  if (cells_param === null || cells_param === "") {
+    return [];
+  }
+  const cell_keys = cells_param.split(";").map((token) => token.trim());
+  const invalid_key = cell_keys.find((key) => !/^\d+,\d+$/.test(key));
+  if (invalid_key !== undefined) {
+    throw new Error(
+      `URL param ${param_name} must list cells as q,r separated by ';' (received '${invalid_key}').`
+    );
+  }
+  console.info(`[URL params] ${param_name} accepted: ${cell_keys.join(";")}.`);
+  return cell_keys;
+}
+
+/**
+ * Parse and validate mode, shape, size, mask, holes, pins, orient, h, w, n, explore, bench, seed, ops,
+ * opdefs, goal, replay from URL. bench only applies in explore mode.
  * In number mode n is ignored.
- * In image mode, h/w (if both present) override n.
- * If exactly one of h or w is present, throws.
+ * In image mode, h/w (if both present) or size override n.
+ * If exactly one of h or w is present, throws. h/w only apply to row boards.
  *
  * @returns {UrlParams}
  */
@@ -235,13 +555,44 @@ function parse_url_params() {
   const n_param = search_params.get("n");
   const explore_param = search_params.get("explore");
   const is_explore_mode = explore_param === "1";
+  const bench_param = search_params.get("bench");
+  const is_bench_mode = is_explore_mode && bench_param === "1";
+  const seed_param = search_params.get("seed");
+  const ops_param = search_params.get("ops");
+  const opdefs_param = search_params.get("opdefs");
+  const goal_param = search_params.get("goal");
+  const shape_param = search_params.get("shape");
+  const size_param = search_params.get("size");
+  const mask_param = search_params.get("mask");
+  const holes_param = search_params.get("holes");
+  const pins_param = search_params.get("pins");
+  const orient_param = search_params.get("orient");
+  const replay_param = search_params.get("replay");
+  const img_param = search_params.get("img");
+  const queue_param = search_params.get("queue");
+  const anim_param = search_params.get("anim");
   console.info("[URL params] Raw query:", {
     search: window.location.search,
     mode: mode_param,
+    shape: shape_param,
+    size: size_param,
+    mask: mask_param,
+    holes: holes_param,
+    pins: pins_param,
+    orient: orient_param,
     h: h_param,
     w: w_param,
     n: n_param,
-    explore: explore_param
+    explore: explore_param,
+    bench: bench_param,
+    seed: seed_param,
+    ops: ops_param,
+    opdefs: opdefs_param,
+    goal: goal_param,
+    replay: replay_param,
+    img: img_param,
+    queue: queue_param,
+    anim: anim_param
   });
   if (mode_param !== "n" && mode_param !== "i" && mode_param !== null) {
     console.info(`[URL params] Unknown mode='${mode_param}', defaulting to number mode ('n').`);
@@ -251,6 +602,29 @@ function parse_url_params() {
       `[URL params] explore='${explore_param}' is not '1'; explore mode remains disabled.`
     );
   }
+  if (bench_param !== null && !is_bench_mode) {
+    console.info(`[URL params] bench='${bench_param}' needs bench=1 and explore=1; benchmark disabled.`);
+  }
+  const seed = parse_seed_param(seed_param);
+  const operator_tokens = parse_ops_param(ops_param);
+  const operator_defs_path = opdefs_param !== null && opdefs_param !== "" ? opdefs_param : null;
+  const goal_mode = parse_goal_param(goal_param);
+  const max_queue_depth = parse_queue_param(queue_param);
+  const animation_speed = parse_anim_param(anim_param);
+  const replay_path = replay_param !== null && replay_param !== "" ? replay_param : null;
+  const painting_id = img_param !== null && img_param !== "" ? img_param : null;
+  if (painting_id !== null && mode !== "i") {
+    console.info(`[URL params] img='${painting_id}' only applies to image mode (mode=i); ignoring it.`);
+  }
+  const { shape_kind, shape: sized_shape } = parse_shape_params(shape_param, size_param, mask_param);
+  if (shape_kind !== "rows" && ((h_param !== null && h_param !== "") || (w_param !== null && w_param !== ""))) {
+    throw new Error(`URL params h and w only apply to shape=rows (received shape='${shape_kind}').`);
+  }
+  const blocked_cells = {
+    hole_keys: parse_cell_list_param("holes", holes_param),
+    pinned_keys: parse_cell_list_param("pins", pins_param)
+  };
+  const hex_orientation = parse_orient_param(orient_param);
 
   if (mode === "n") {
     // Number mode parses explicit h/w dimensions; both must be present together.
@@ -295,10 +669,24 @@ function parse_url_params() {
     /** @type {UrlParams} */
     const parsed_params = {
       mode: "n",
-      grid_w,
-      grid_h,
+      shape_kind,
+      grid_shape:
+        shape_kind === "rows"
+          ? { kind: "rows", w: grid_w, h: grid_h }
+          : sized_shape ?? NUMBER_MODE_DEFAULT_SHAPES[shape_kind] ?? null,
+      blocked_cells,
+      hex_orientation,
       target_cell_count: 0,
-      is_explore_mode
+      is_explore_mode,
+      is_bench_mode,
+      seed,
+      operator_tokens,
+      operator_defs_path,
+      goal_mode,
+      replay_path,
+      painting_id: null,
+      max_queue_depth,
+      animation_speed
     };
     console.info("[URL params] Final parsed params:", parsed_params);
     return parsed_params;
@@ -339,12 +727,14 @@ function parse_url_params() {
     });
   }
 
+  /** @type {import("./core/grid.js").GridShape | null} */
+  const grid_shape = has_h && has_w ? { kind: "rows", w: grid_w, h: grid_h } : sized_shape;
   let target_cell_count = DEFAULT_TARGET_CELL_COUNT;
-  if (has_h && has_w) {
+  if (grid_shape) {
     if (n_param !== null && n_param !== "") {
-      console.info("[URL params] Image mode h/w are present; n is ignored.");
+      console.info("[URL params] Image mode board size is explicit; n is ignored.");
     } else {
-      console.info("[URL params] Image mode uses explicit h/w.");
+      console.info("[URL params] Image mode uses the explicit board size.");
     }
   } else if (n_param !== null && n_param !== "") {
     const parsed = Number(n_param);
@@ -365,7 +755,7 @@ function parse_url_params() {
         `[URL params] Image mode n='${n_param}' is not a finite number; using default ${DEFAULT_TARGET_CELL_COUNT}.`
       );
     }
-  } else if (!has_h && !has_w) {
+  } else {
     console.info(
       `[URL params] Image mode n omitted; using default ${DEFAULT_TARGET_CELL_COUNT}.`
     );
@@ -373,10 +763,21 @@ function parse_url_params() {
   /** @type {UrlParams} */
   const parsed_params = {
     mode: "i",
-    grid_w,
-    grid_h,
+    shape_kind,
+    grid_shape,
+    blocked_cells,
+    hex_orientation,
     target_cell_count,
-    is_explore_mode
+    is_explore_mode,
+    is_bench_mode,
+    seed,
+    operator_tokens,
+    operator_defs_path,
+    goal_mode,
+    replay_path,
+    painting_id,
+    max_queue_depth,
+    animation_speed
   };
   console.info("[URL params] Final parsed params:", parsed_params);
   return parsed_params;
@@ -397,6 +798,7 @@ function parse_url_params() {
  *   anchor_world: WorldPoint,
  *   cells: string[],
  *   spin_cells?: string[],
+ *   permutation_steps_cw?: number,
  *   rotation_steps_cw: number
  * }} AnchorInstance
  */
@@ -415,36 +817,159 @@ function load_image(image_path) {
 }
 
 /**
- * @param {number} duration_ms
- * @param {(progress: number) => void} on_update
- * @returns {Promise<void>}
+ * Shrink an image so its longer side is at most `max_side_px`; smaller images are
+ * returned as they are. The result is re-decoded through load_image.
+ *
+ * @param {HTMLImageElement} image_element
+ * @param {number} max_side_px
+ * @returns {Promise<HTMLImageElement>}
  */
-function tween_progress(duration_ms, on_update) {
-  return new Promise((resolve) => {
-    const start_time = performance.now();
-    /**
-     * @param {number} now
-     */
-    function frame(now) {
-      const progress = Math.min(1, (now - start_time) / duration_ms);
-      on_update(progress);
-      if (progress >= 1) {
-        resolve();
-      } else {
-        requestAnimationFrame(frame);
-      }
-    }
-    requestAnimationFrame(frame);
+async function downscale_image(image_element, max_side_px) {
+  const scale = max_side_px / Math.max(image_element.width, image_element.height);
+  if (scale >= 1) {
+    return image_element;
+  }
+  const canvas_element = document.createElement("canvas");
+  canvas_element.width = Math.round(image_element.width * scale);
+  canvas_element.height = Math.round(image_element.height * scale);
+  const canvas_context = canvas_element.getContext("2d");
+  if (!canvas_context) {
+    throw new Error("Could not get 2D context for downscaling.");
+  }
+  canvas_context.imageSmoothingQuality = "high";
+  canvas_context.drawImage(image_element, 0, 0, canvas_element.width, canvas_element.height);
+  const image_blob = await new Promise((resolve, reject) => {
+    canvas_element.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not encode downscaled image."))));
   });
+  const object_url = URL.createObjectURL(image_blob);
+  try {
+    return await load_image(object_url);
+  } finally {
+    URL.revokeObjectURL(object_url);
+  }
+}
+
+/**
+ * Fetch and validate a custom operator definition file (see parse_operator_definitions).
+ *
+ * @param {string} operator_defs_path
+ * @param {import("./core/operators.js").OperatorDef[]} builtin_defs
+ * @returns {Promise<import("./core/operators.js").OperatorDef[]>}
+ */
+async function load_custom_operator_defs(operator_defs_path, builtin_defs) {
+  const response = await fetch(operator_defs_path);
+  if (!response.ok) {
+    throw new Error(
+      `Could not load operator definitions: ${operator_defs_path} (HTTP ${response.status}).`
+    );
+  }
+  const custom_defs = parse_operator_definitions(await response.json(), builtin_defs);
+  console.info(
+    `[Operators] Loaded ${custom_defs.length} custom operator(s) from ${operator_defs_path}:`,
+    custom_defs.map((operator_def) => operator_def.id)
+  );
+  return custom_defs;
+}
+
+/**
+ * Fetch and parse a session recording for the replay viewer.
+ *
+ * @param {string} recording_path
+ * @returns {Promise<import("./core/recording.js").Recording>}
+ */
+async function load_recording(recording_path) {
+  const response = await fetch(recording_path);
+  if (!response.ok) {
+    throw new Error(`Could not load recording: ${recording_path} (HTTP ${response.status}).`);
+  }
+  const recording = parse_recording(await response.text());
+  console.info(
+    `[Replay] Loaded ${recording.moves.length} move(s) on ${recording.grid.shape_key} from ${recording_path}.`
+  );
+  return recording;
+}
+
+/**
+ * @param {string} manifest_path
+ * @returns {Promise<import("./core/gallery_manifest.js").GalleryManifest>}
+ */
+async function load_gallery_manifest(manifest_path) {
+  const response = await fetch(manifest_path);
+  if (!response.ok) {
+    throw new Error(`Could not load gallery manifest: ${manifest_path} (HTTP ${response.status}).`);
+  }
+  const gallery_manifest = parse_gallery_manifest(await response.text(), manifest_path);
+  console.info(`[Gallery] Loaded ${gallery_manifest.paintings.length} painting(s) from ${manifest_path}.`);
+  return gallery_manifest;
+}
+
+/**
+ * The replayed board comes from the recording, not from the URL; only the layout
+ * orientation still follows the viewer's screen or orient=.
+ *
+ * @param {UrlParams} parsed_params
+ * @param {import("./core/recording.js").Recording} recording
+ * @returns {UrlParams}
+ */
+function apply_recording_to_url_params(parsed_params, recording) {
+  return {
+    ...parsed_params,
+    mode: recording.mode,
+    shape_kind: recording.grid.shape.kind,
+    grid_shape: recording.grid.shape,
+    blocked_cells: recording.grid.blocked_cells,
+    is_explore_mode: false,
+    is_bench_mode: false,
+    seed: recording.seed,
+    operator_tokens: recording.operator_ids,
+    operator_defs_path: recording.operator_defs_path,
+    goal_mode: recording.goal_mode
+  };
+}
+
+/**
+ * Write the active seed back into the address bar so the board can be shared or reloaded.
+ *
+ * @param {number} seed
+ */
+function write_seed_to_url(seed) {
+  const next_url = new URL(window.location.href);
+  next_url.searchParams.set("seed", String(seed));
+  window.history.replaceState(null, "", next_url);
+}
+
+/**
+ * Keep img= in the address bar in step with the painting on the board; the player's
+ * own images have no id, so the param is dropped for them.
+ *
+ * @param {string | null} painting_id
+ */
+function write_painting_to_url(painting_id) {
+  const next_url = new URL(window.location.href);
+  if (painting_id === null) {
+    next_url.searchParams.delete("img");
+  } else {
+    next_url.searchParams.set("img", painting_id);
+  }
+  window.history.replaceState(null, "", next_url);
+}
+
+/**
+ * Remember the player's animation speed in the address bar, like the seed.
+ *
+ * @param {import("./render/animation.js").AnimationSpeed} animation_speed
+ */
+function write_animation_speed_to_url(animation_speed) {
+  const next_url = new URL(window.location.href);
+  next_url.searchParams.set("anim", animation_speed);
+  window.history.replaceState(null, "", next_url);
 }
 
 /**
- * @param {number} min
- * @param {number} max
  * @returns {number}
  */
-function random_int(min, max) {
-  return min + Math.floor(Math.random() * (max - min + 1));
+function get_render_resolution() {
+  return Math.min(MAX_RENDER_RESOLUTION, Math.max(1, window.devicePixelRatio || 1));
 }
 
 /**
@@ -462,8 +987,11 @@ const application = new Application();
 await application.init({
   resizeTo: window,
   background: "#101010",
-  antialias: true
+  antialias: true,
+  resolution: get_render_resolution(),
+  autoDensity: true
 });
+console.info(`[Layout] Render resolution: ${application.renderer.resolution}.`);
 
 const app_container_element = document.getElementById("app");
 if (!app_container_element) {
@@ -471,11 +999,67 @@ if (!app_container_element) {
 }
 app_container_element.appendChild(application.canvas);
 
-const url_params = parse_url_params();
+const parsed_url_params = parse_url_params();
+const replay_recording = parsed_url_params.replay_path
+  ? await load_recording(parsed_url_params.replay_path)
+  : null;
+const is_replay_mode = replay_recording !== null;
+const url_params = replay_recording
+  ? apply_recording_to_url_params(parsed_url_params, replay_recording)
+  : parsed_url_params;
 const is_explore_mode = url_params.is_explore_mode;
+let game_seed = url_params.seed ?? create_random_seed();
+if (url_params.seed === null && !is_replay_mode) {
+  write_seed_to_url(game_seed);
+}
+console.info(`[Scramble] Using seed ${game_seed}.`);
+const animator = create_animator({ speed: url_params.animation_speed });
+console.info(`[Animation] Speed ${animator.get_speed()}${url_params.animation_speed ? "" : " (system setting)"}.`);
 
 /** @type {"n" | "i"} */
 const game_mode = url_params.mode;
+const gallery_manifest = game_mode === "i" ? await load_gallery_manifest(GALLERY_MANIFEST_PATH) : null;
+if (gallery_manifest && url_params.painting_id !== null && !is_replay_mode) {
+  if (!find_painting(gallery_manifest, url_params.painting_id)) {
+    throw new Error(
+      `URL param img='${url_params.painting_id}' is not in the gallery (known: ${gallery_manifest.paintings.map((painting) => painting.id).join(", ")}).`
+    );
+  }
+}
+/** @type {import("./core/gallery_manifest.js").Painting | null} */
+let current_painting = gallery_manifest
+  ? find_painting(
+      gallery_manifest,
+      is_replay_mode ? null : url_params.painting_id ?? gallery_manifest.default_id
+    )
+  : null;
+let image_path = replay_recording ? replay_recording.image_path : current_painting?.image_path ?? null;
+if (replay_recording && gallery_manifest) {
+  // A replayed bundled painting is still outlined in the gallery.
+  current_painting =
+    gallery_manifest.paintings.find((painting) => painting.image_path === image_path) ?? null;
+}
+if (game_mode === "i" && image_path?.startsWith(CUSTOM_IMAGE_PATH_PREFIX)) {
+  throw new Error(
+    `Recording was made with the player's own image (${image_path?.slice(CUSTOM_IMAGE_PATH_PREFIX.length)}), which cannot be reloaded for replay.`
+  );
+}
+/**
+ * Portrait screens get the turned layout so wide boards use the height; orient= pins it.
+ *
+ * @returns {import("./core/coords.js").HexOrientation}
+ */
+function get_viewport_hex_orientation() {
+  if (url_params.hex_orientation) {
+    return url_params.hex_orientation;
+  }
+  const viewport_size = get_viewport_size_px();
+  return viewport_size.viewport_height_px > viewport_size.viewport_width_px ? "pointy" : "flat";
+}
+
+/** @type {import("./core/coords.js").HexOrientation} */
+let hex_orientation = get_viewport_hex_orientation();
+console.info(`[Layout] Hex orientation: ${hex_orientation}.`);
 /** @type {import("./core/grid.js").Grid} */
 let grid;
 /** @type {{ tile_size_px: number, image_rect?: { x: number, y: number, width: number, height: number } }} */
@@ -484,16 +1068,15 @@ let tile_derivation;
 let board_origin;
 /** @type {(cell: Cell) => WorldPoint} */
 let get_cell_world;
-/** @type {Map<string, import("pixi.js").Texture> | null} */
-let tile_textures = null;
+/** @type {import("./render/bake.js").TileAtlas | null} */
+let tile_atlas = null;
+const tile_baker = create_tile_baker();
 /** @type {Sprite | null} */
 let background_sprite = null;
 /** @type {{ font_family: string, tile_font_size_px: number, tile_fill_color: number, tile_fill_alpha: number } | undefined} */
 let number_mode_style = undefined;
 /** @type {HTMLImageElement | null} */
 let source_image_element = null;
-/** @type {{ grid_w: number, grid_h: number } | null} */
-let image_grid_shape = null;
 /** @type {ResolvedRelativeSizes} */
 let resolved_relative_sizes;
 /** @type {{ cell: Cell, container: Container, label_text: Text, overline_graphics: Graphics }[]} */
@@ -519,7 +1102,7 @@ const background_layer = new Container();
 function derive_layout_for_viewport(reason_label) {
   const viewport_size = get_viewport_size_px();
   if (game_mode === "i") {
-    if (!source_image_element || !image_grid_shape) {
+    if (!source_image_element) {
       throw new Error("Image mode layout derivation requires loaded image metadata.");
     }
     const next_tile_derivation = derive_tile_size({
@@ -527,8 +1110,7 @@ function derive_layout_for_viewport(reason_label) {
       viewport_height: viewport_size.viewport_height_px,
       image_width: source_image_element.width,
       image_height: source_image_element.height,
-      grid_w: image_grid_shape.grid_w,
-      grid_h: image_grid_shape.grid_h,
+      grid_extent_in_s: get_grid_extent_in_s(grid, hex_orientation),
       padding_in_tile_units: PADDING_IN_TILE_UNITS,
       viewport_margin_px: VIEWPORT_MARGIN_PX
     });
@@ -536,14 +1118,19 @@ function derive_layout_for_viewport(reason_label) {
     if (!image_rect) {
       throw new Error("Image mode requires image_rect.");
     }
-    const bounds_at_origin = get_grid_bounds(grid, next_tile_derivation.tile_size_px, { x: 0, y: 0 });
+    const bounds_at_origin = get_grid_bounds(
+      grid,
+      next_tile_derivation.tile_size_px,
+      { x: 0, y: 0 },
+      hex_orientation
+    );
     const next_board_origin = {
       x: image_rect.x + image_rect.width / 2 - bounds_at_origin.center_x,
       y: image_rect.y + image_rect.height / 2 - bounds_at_origin.center_y
     };
     /** @type {(cell: Cell) => WorldPoint} */
     const next_get_cell_world = (cell) =>
-      world_from_cell(cell, next_tile_derivation.tile_size_px, next_board_origin);
+      world_from_cell(cell, next_tile_derivation.tile_size_px, next_board_origin, hex_orientation);
     const grid_confines_rect = {
       x: image_rect.x,
       y: image_rect.y,
@@ -571,13 +1158,12 @@ function derive_layout_for_viewport(reason_label) {
     {
       viewport_width: viewport_size.viewport_width_px,
       viewport_height: viewport_size.viewport_height_px,
-      grid_w: grid.w,
-      grid_h: grid.h,
+      grid_extent_in_s: get_grid_extent_in_s(grid, hex_orientation),
       padding_in_tile_units: PADDING_IN_TILE_UNITS,
       viewport_margin_px: VIEWPORT_MARGIN_PX
     },
     (next_tile_size_px) => {
-      const bounds = get_grid_bounds(grid, next_tile_size_px, { x: 0, y: 0 });
+      const bounds = get_grid_bounds(grid, next_tile_size_px, { x: 0, y: 0 }, hex_orientation);
       return { center_x: bounds.center_x, center_y: bounds.center_y };
     }
   );
@@ -593,7 +1179,7 @@ function derive_layout_for_viewport(reason_label) {
   };
   /** @type {(cell: Cell) => WorldPoint} */
   const next_get_cell_world = (cell) =>
-    world_from_cell(cell, next_tile_derivation.tile_size_px, viewport_derivation.board_origin);
+    world_from_cell(cell, next_tile_derivation.tile_size_px, viewport_derivation.board_origin, hex_orientation);
   console.info("[Layout] Number mode viewport and fit confines:", {
     reason: reason_label,
     window_width_px: viewport_size.viewport_width_px,
@@ -610,27 +1196,15 @@ function derive_layout_for_viewport(reason_label) {
 }
 
 if (game_mode === "i") {
-  const source_image = await load_image(IMAGE_PATH);
+  if (!image_path) {
+    throw new Error("Image mode requires an image path.");
+  }
+  // Same size check and downscale as images picked later, so a painting bakes the same
+  // however it was opened.
+  const prepared_board = await prepare_image_board(await load_image(image_path), current_painting?.title ?? image_path);
+  const source_image = prepared_board.image;
   source_image_element = source_image;
-  const has_explicit_image_grid = url_params.grid_w > 0 && url_params.grid_h > 0;
-  const grid_derivation = has_explicit_image_grid
-    ? {
-        grid_w: url_params.grid_w,
-        grid_h: url_params.grid_h
-      }
-    : (() => {
-        const image_aspect = source_image.width / source_image.height;
-        return derive_grid_shape({
-          target_cell_count: url_params.target_cell_count,
-          image_aspect,
-          padding_in_tile_units: PADDING_IN_TILE_UNITS
-        });
-      })();
-  grid = create_grid(grid_derivation.grid_w, grid_derivation.grid_h);
-  image_grid_shape = {
-    grid_w: grid_derivation.grid_w,
-    grid_h: grid_derivation.grid_h
-  };
+  grid = prepared_board.grid;
   const initial_layout = derive_layout_for_viewport("initial-image");
   tile_derivation = initial_layout.tile_derivation;
   board_origin = initial_layout.board_origin;
@@ -641,12 +1215,14 @@ if (game_mode === "i") {
     throw new Error("Image mode requires image_rect.");
   }
 
-  tile_textures = bake_tile_textures({
+  tile_atlas = await tile_baker.bake({
     image: source_image,
     tile_size_px: tile_derivation.tile_size_px,
     home_cells: grid.all_cells,
     get_cell_world,
-    image_rect
+    image_rect,
+    hex_orientation,
+    resolution: application.renderer.resolution
   });
 
   background_sprite = new Sprite(Texture.from(source_image));
@@ -656,7 +1232,10 @@ if (game_mode === "i") {
   background_sprite.alpha = NORMAL_BACKGROUND_ALPHA;
   background_layer.addChild(background_sprite);
 } else {
-  grid = create_grid(url_params.grid_w, url_params.grid_h);
+  if (!url_params.grid_shape) {
+    throw new Error("Number mode requires a grid shape.");
+  }
+  grid = create_shaped_grid(url_params.grid_shape, url_params.blocked_cells);
   const initial_layout = derive_layout_for_viewport("initial-number");
   tile_derivation = initial_layout.tile_derivation;
   board_origin = initial_layout.board_origin;
@@ -710,7 +1289,21 @@ if (game_mode === "i") {
 
 /** @type {Map<string, AnchorInstance[]>} */
 const instances_by_operator_id = new Map();
-const allowed_operator_defs = get_operator_defs();
+const builtin_operator_defs = get_operator_defs();
+const custom_operator_defs = url_params.operator_defs_path
+  ? await load_custom_operator_defs(url_params.operator_defs_path, builtin_operator_defs)
+  : [];
+// Without ops=, custom operators follow the default built-in set.
+const allowed_operator_defs = select_operator_defs(
+  url_params.operator_tokens ?? [
+    ...DEFAULT_OPERATOR_IDS,
+    ...custom_operator_defs.map((operator_def) => operator_def.id)
+  ],
+  [...builtin_operator_defs, ...custom_operator_defs]
+);
+if (allowed_operator_defs.length > 9) {
+  throw new Error(`At most 9 operators can be active (received ${allowed_operator_defs.length}).`);
+}
 if (allowed_operator_defs.length === 0) {
   throw new Error("No operators are enabled.");
 }
@@ -720,62 +1313,386 @@ const allowed_operator_ids = allowed_operator_defs.map(
 for (const operator_def of allowed_operator_defs) {
   instances_by_operator_id.set(
     operator_def.id,
-    build_anchor_instances(grid, operator_def.id, get_cell_world, tile_derivation.tile_size_px)
+    build_anchor_instances(grid, operator_def, get_cell_world, tile_derivation.tile_size_px, hex_orientation)
   );
 }
 
-const board_state = create_solved_state(grid);
-const scramble_operator_ids = allowed_operator_ids.filter((operator_id) =>
-  instances_by_operator_id.has(operator_id)
-);
-if (!is_explore_mode) {
-  for (let scramble_index = 0; scramble_index < SCRAMBLE_MOVES; scramble_index += 1) {
+if (replay_recording) {
+  if (grid.shape_key !== replay_recording.grid.shape_key) {
+    throw new Error(
+      `Recording grid ${replay_recording.grid.shape_key} does not match the rebuilt grid ${grid.shape_key}.`
+    );
+  }
+  replay_recording.moves.forEach((recorded_move, move_index) => {
+    if (!find_anchor_instance(recorded_move.operator_id, recorded_move.anchor_id)) {
+      throw new Error(
+        `Recording move ${move_index} references unknown pivot ${recorded_move.anchor_id} for operator ${recorded_move.operator_id}.`
+      );
+    }
+  });
+}
+
+/**
+ * Holes and pinned tiles can leave an operator without instances; the scramble skips it.
+ *
+ * @returns {string[]}
+ */
+function get_scramble_operator_ids() {
+  return allowed_operator_ids.filter(
+    (operator_id) => (instances_by_operator_id.get(operator_id) ?? []).length > 0
+  );
+}
+
+let scramble_operator_ids = get_scramble_operator_ids();
+
+/** @type {import("./core/group_analysis.js").GroupAnalysis | null} */
+let group_analysis = null;
+
+/**
+ * Analyze the puzzle group on first use. It depends only on the grid and operator set,
+ * so it survives relayouts that rebuild anchor instances.
+ *
+ * @returns {import("./core/group_analysis.js").GroupAnalysis}
+ */
+function get_group_analysis() {
+  if (!group_analysis) {
+    const started_at_ms = performance.now();
+    group_analysis = analyze_puzzle_group(
+      grid.all_cells.map((cell) => cell_key(cell)),
+      [...instances_by_operator_id.values()].flat()
+    );
+    console.info(
+      `[Group analysis] Finished in ${Math.round(performance.now() - started_at_ms)} ms.`
+    );
+  }
+  return group_analysis;
+}
+
+if (is_explore_mode) {
+  console.info("[Group analysis]", summarize_group_analysis(get_group_analysis()));
+}
+
+/**
+ * Log the hover lookup cost per pointer event for each active operator on the largest
+ * allowed board, scanning every instance versus the spatial index.
+ */
+function log_hover_benchmark() {
+  const bench_grid = create_grid(BENCH_GRID_W, BENCH_GRID_H);
+  const tile_size_px = tile_derivation.tile_size_px;
+  /** @type {(cell: Cell) => WorldPoint} */
+  const get_bench_cell_world = (cell) => world_from_cell(cell, tile_size_px, { x: 0, y: 0 }, hex_orientation);
+  for (const operator_def of allowed_operator_defs) {
+    const benchmark_result = run_hover_benchmark({
+      instances: build_anchor_instances(bench_grid, operator_def, get_bench_cell_world, tile_size_px, hex_orientation),
+      bucket_size_px: tile_size_px,
+      max_distance_px: resolved_relative_sizes.pivot_hit_radius_px,
+      sample_count: BENCH_SAMPLE_COUNT,
+      seed: BENCH_SEED
+    });
+    console.info(`[Bench] Hover lookup for ${operator_def.id} on ${bench_grid.shape_key}:`, {
+      ...benchmark_result,
+      scan_us_per_lookup: Number(benchmark_result.scan_us_per_lookup.toFixed(2)),
+      index_us_per_lookup: Number(benchmark_result.index_us_per_lookup.toFixed(2))
+    });
+  }
+}
+
+if (url_params.is_bench_mode) {
+  log_hover_benchmark();
+}
+
+const goal_mode = url_params.goal_mode;
+let grid_symmetries = goal_mode === "symmetric" ? find_grid_symmetries(grid) : [];
+if (goal_mode === "symmetric") {
+  console.info(
+    "[Goal] Accepted board symmetries:",
+    grid_symmetries.map((symmetry) => symmetry.label)
+  );
+}
+
+/**
+ * @param {import("./core/state.js").BoardState} state
+ * @returns {boolean}
+ */
+function is_goal_reached(state) {
+  return is_solved(state, goal_mode, grid_symmetries);
+}
+
+/**
+ * Apply SCRAMBLE_MOVES random legal moves to a state, then keep going while the
+ * board still meets the goal.
+ *
+ * @param {import("./core/state.js").BoardState} state
+ * @param {number} seed
+ */
+function scramble_board(state, seed) {
+  // Every scramble decision draws from the seeded PRNG so a seed reproduces the board exactly.
+  const scramble_random = create_seeded_random(seed);
+  for (
+    let scramble_index = 0;
+    scramble_index < SCRAMBLE_MOVES ||
+    (scramble_index < SCRAMBLE_MOVES + SCRAMBLE_MAX_EXTRA_MOVES && is_goal_reached(state));
+    scramble_index += 1
+  ) {
     if (scramble_operator_ids.length === 0) {
       break;
     }
-    const random_operator_id = scramble_operator_ids[random_int(0, scramble_operator_ids.length - 1)];
+    const random_operator_id =
+      scramble_operator_ids[scramble_random.next_int(0, scramble_operator_ids.length - 1)];
     const operator_instances = instances_by_operator_id.get(random_operator_id) ?? [];
     if (operator_instances.length === 0) {
       continue;
     }
-    const random_anchor_instance = operator_instances[random_int(0, operator_instances.length - 1)];
-    const direction_sign = Math.random() < 0.5 ? /** @type {1} */ (1) : /** @type {-1} */ (-1);
-    apply_move(board_state, random_anchor_instance, direction_sign);
+    const random_anchor_instance =
+      operator_instances[scramble_random.next_int(0, operator_instances.length - 1)];
+    const direction_sign = scramble_random.next_sign();
+    apply_move(state, random_anchor_instance, direction_sign);
   }
 }
 
-const tile_renderer = create_tile_views({
-  mode: game_mode,
-  tile_textures: tile_textures ?? new Map(),
-  grid: game_mode === "n" ? grid : null,
-  board_state,
-  get_cell_world,
-  tile_size_px: tile_derivation.tile_size_px,
-  border_color: BORDER_COLOR,
-  border_thickness_px: resolved_relative_sizes.border_thickness_px,
-  number_mode_style: number_mode_style
-});
-tile_renderer.sync_all_from_state(board_state);
+const move_history = create_move_history();
 
-application.stage.addChild(background_layer);
-application.stage.addChild(tile_renderer.tiles_layer);
-const hover_outline_graphics = new Graphics();
-application.stage.addChild(hover_outline_graphics);
-const pivots_layer = new Container();
-application.stage.addChild(pivots_layer);
+/**
+ * The parts of the configuration that pick a save slot and a personal-best record.
+ *
+ * @returns {import("./ui/autosave.js").GameConfig}
+ */
+function get_game_config() {
+  return {
+    mode: game_mode,
+    grid_shape_key: grid.shape_key,
+    image_path: game_mode === "i" ? image_path : null,
+    operator_ids: allowed_operator_ids,
+    goal_mode
+  };
+}
 
-const operator_help_text = new Text({
-  text: "",
-  style: {
-    fill: OPERATOR_LABEL_COLOR,
-    fontFamily: "Arial",
-    fontSize: resolved_relative_sizes.operator_help_font_size_px
-  }
-});
-operator_help_text.position.set(16, 12);
-application.stage.addChild(operator_help_text);
+let autosave_key = get_autosave_key(get_game_config());
+let personal_best_key = get_personal_best_key(get_game_config());
 
-const success_popup_layer = new Container();
+/**
+ * Load the saved game for this configuration, if any, unless the URL names a different seed.
+ *
+ * @returns {import("./core/serialize.js").GameSnapshot | null}
+ */
+function read_resumable_game() {
+  if (is_explore_mode || is_replay_mode) {
+    return null;
+  }
+  const saved_json = read_autosave(autosave_key);
+  if (saved_json === null) {
+    return null;
+  }
+  try {
+    const snapshot = deserialize_state(saved_json, {
+      grid,
+      mode: game_mode,
+      operator_ids: allowed_operator_ids,
+      goal_mode,
+      is_known_anchor: (operator_id, anchor_id) =>
+        find_anchor_instance(operator_id, anchor_id) !== null
+    });
+    if (url_params.seed !== null && snapshot.seed !== url_params.seed) {
+      console.info(
+        `[Autosave] URL seed ${url_params.seed} differs from saved seed ${snapshot.seed}; not resuming.`
+      );
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    console.warn("[Autosave] Discarding unreadable saved game:", error);
+    clear_autosave(autosave_key);
+    return null;
+  }
+}
+
+let board_state = create_solved_state(grid);
+const resumable_game = read_resumable_game();
+if (replay_recording) {
+  board_state = read_board_state(replay_recording.initial_tiles, grid, "Recording");
+} else if (resumable_game) {
+  board_state = resumable_game.board_state;
+  move_history.restore(resumable_game.history);
+  if (resumable_game.seed !== null) {
+    game_seed = resumable_game.seed;
+    write_seed_to_url(game_seed);
+  }
+  console.info("[Autosave] Found a saved game; offering to resume.");
+} else if (!is_explore_mode) {
+  scramble_board(board_state, game_seed);
+}
+
+let recording_storage_key = `${autosave_key}:recording`;
+
+/**
+ * Board reached after the first `move_count` moves of a recording.
+ *
+ * @param {import("./core/recording.js").Recording} recording
+ * @param {number} move_count
+ * @returns {import("./core/state.js").BoardState}
+ */
+function get_recording_board_state(recording, move_count) {
+  const recording_board_state = read_board_state(recording.initial_tiles, grid, "Recording");
+  for (const recorded_move of recording.moves.slice(0, move_count)) {
+    const anchor_instance = find_anchor_instance(recorded_move.operator_id, recorded_move.anchor_id);
+    if (!anchor_instance) {
+      throw new Error(
+        `Recording refers to unknown anchor ${recorded_move.anchor_id} for operator ${recorded_move.operator_id}.`
+      );
+    }
+    apply_move(recording_board_state, anchor_instance, recorded_move.direction_sign);
+  }
+  return recording_board_state;
+}
+
+/**
+ * @returns {import("./core/recording.js").Recording}
+ */
+function create_session_recording() {
+  return create_recording({
+    mode: game_mode,
+    grid,
+    blocked_cells: url_params.blocked_cells,
+    image_path: game_mode === "i" ? image_path : null,
+    operator_ids: allowed_operator_ids,
+    operator_defs_path: url_params.operator_defs_path,
+    goal_mode,
+    seed: game_seed,
+    board_state
+  });
+}
+
+/**
+ * Continue the saved recording of a resumed game when replaying it still reaches the
+ * saved board; otherwise the recording restarts from the resumed board.
+ *
+ * @returns {import("./core/recording.js").Recording | null}
+ */
+function read_resumable_recording() {
+  if (!resumable_game) {
+    return null;
+  }
+  const saved_json = read_autosave(recording_storage_key);
+  if (saved_json === null) {
+    return null;
+  }
+  try {
+    const recording = parse_recording(saved_json);
+    const final_tiles = get_tile_records(get_recording_board_state(recording, recording.moves.length));
+    const board_tiles = get_tile_records(board_state);
+    if (
+      recording.seed !== game_seed ||
+      recording.grid.shape_key !== grid.shape_key ||
+      JSON.stringify(final_tiles) !== JSON.stringify(board_tiles)
+    ) {
+      console.info("[Recording] Saved recording does not lead to the saved board; starting a new one.");
+      return null;
+    }
+    return recording;
+  } catch (error) {
+    console.warn("[Recording] Discarding unreadable saved recording:", error);
+    return null;
+  }
+}
+
+let session_recording = read_resumable_recording() ?? create_session_recording();
+// Recorded times continue from the last saved move when a game is resumed.
+let recording_time_offset_ms = get_recording_duration_ms(session_recording);
+let recording_started_at_ms = performance.now();
+
+/**
+ * Start recording afresh from the current board (new game or imported state).
+ */
+function restart_session_recording() {
+  session_recording = create_session_recording();
+  recording_time_offset_ms = 0;
+  recording_started_at_ms = performance.now();
+}
+
+/**
+ * @param {Map<string, Texture>} board_tile_textures
+ * @returns {ReturnType<typeof create_tile_views>}
+ */
+function create_board_tile_views(board_tile_textures) {
+  return create_tile_views({
+    mode: game_mode,
+    tile_textures: board_tile_textures,
+    grid: game_mode === "n" ? grid : null,
+    board_state,
+    get_cell_world,
+    tile_size_px: tile_derivation.tile_size_px,
+    border_color: BORDER_COLOR,
+    border_thickness_px: resolved_relative_sizes.border_thickness_px,
+    number_mode_style: number_mode_style,
+    hole_cells: grid.hole_cells,
+    pinned_tile_ids: new Set(
+      grid.all_cells.filter((cell) => grid.get_cell_kind(cell) === "pinned").map((cell) => cell_key(cell))
+    ),
+    hex_orientation
+  });
+}
+
+let tile_renderer = create_board_tile_views(tile_atlas?.textures ?? new Map());
+tile_renderer.sync_all_from_state(board_state);
+
+/**
+ * Swap in fresh tile views for the current grid and orientation, in the same stage slot.
+ * Image tiles start blank until the next bake.
+ */
+function replace_tile_renderer() {
+  const previous_tiles_layer = tile_renderer.tiles_layer;
+  tile_renderer = create_board_tile_views(
+    new Map(grid.all_cells.map((cell) => [cell_key(cell), Texture.EMPTY]))
+  );
+  tile_renderer.tiles_layer.visible = previous_tiles_layer.visible;
+  application.stage.addChildAt(tile_renderer.tiles_layer, application.stage.getChildIndex(previous_tiles_layer));
+  previous_tiles_layer.destroy({ children: true });
+}
+
+application.stage.addChild(background_layer);
+application.stage.addChild(tile_renderer.tiles_layer);
+const hover_outline_graphics = new Graphics();
+application.stage.addChild(hover_outline_graphics);
+const pivots_layer = new Container();
+application.stage.addChild(pivots_layer);
+
+const hint_direction_text = new Text({
+  text: "",
+  style: {
+    fill: HOVER_HIGHLIGHT_COLOR,
+    fontFamily: FONT_FAMILY,
+    fontSize: resolved_relative_sizes.toolbar_font_size_px,
+    fontWeight: "bold",
+    stroke: { color: 0x000000, width: 3 }
+  }
+});
+hint_direction_text.anchor.set(0.5, 1);
+hint_direction_text.visible = false;
+application.stage.addChild(hint_direction_text);
+
+const operator_help_text = new Text({
+  text: "",
+  style: {
+    fill: OPERATOR_LABEL_COLOR,
+    fontFamily: "Arial",
+    fontSize: resolved_relative_sizes.operator_help_font_size_px
+  }
+});
+operator_help_text.position.set(16, 12);
+application.stage.addChild(operator_help_text);
+
+const hud_text = new Text({
+  text: "",
+  style: {
+    fill: HUD_TEXT_COLOR,
+    fontFamily: "Arial",
+    fontSize: resolved_relative_sizes.operator_help_font_size_px,
+    fontWeight: "bold"
+  }
+});
+application.stage.addChild(hud_text);
+
+const success_popup_layer = new Container();
 success_popup_layer.visible = false;
 const success_popup_background = new Graphics();
 const success_popup_title = new Text({
@@ -787,7 +1704,7 @@ const success_popup_title = new Text({
   }
 });
 const success_popup_message = new Text({
-  text: "You can keep playing. Close this message to continue.",
+  text: "",
   style: {
     fill: SUCCESS_POPUP_TEXT_COLOR,
     fontFamily: FONT_FAMILY,
@@ -810,13 +1727,395 @@ success_popup_layer.addChild(success_popup_close_button);
 success_popup_layer.addChild(success_popup_close_label);
 application.stage.addChild(success_popup_layer);
 
+const status_message_text = new Text({
+  text: "",
+  style: {
+    fill: STATUS_MESSAGE_COLOR,
+    fontFamily: FONT_FAMILY,
+    fontSize: resolved_relative_sizes.toolbar_font_size_px,
+    wordWrap: true,
+    wordWrapWidth: 600
+  }
+});
+status_message_text.anchor.set(0, 1);
+application.stage.addChild(status_message_text);
+
+const toolbar = create_toolbar({
+  buttons: [
+    {
+      id: "replay_back",
+      label: "Back",
+      on_press() {
+        void replay_playback?.step_back();
+      }
+    },
+    {
+      id: "replay_toggle",
+      label: "Play",
+      on_press() {
+        if (replay_playback?.get_status().is_playing) {
+          replay_playback.pause();
+        } else {
+          replay_playback?.play();
+        }
+      }
+    },
+    {
+      id: "replay_forward",
+      label: "Forward",
+      on_press() {
+        void replay_playback?.step_forward();
+      }
+    },
+    {
+      id: "replay_speed",
+      label: "Speed 1x",
+      on_press() {
+        if (!replay_playback) {
+          return;
+        }
+        const speed_index = REPLAY_SPEEDS.indexOf(replay_playback.get_status().speed);
+        replay_playback.set_speed(REPLAY_SPEEDS[(speed_index + 1) % REPLAY_SPEEDS.length]);
+      }
+    },
+    {
+      id: "solve",
+      label: "Solve",
+      on_press() {
+        void solve_current_board();
+      }
+    },
+    {
+      id: "solution_toggle",
+      label: "Pause",
+      on_press() {
+        if (solution_playback.get_status().is_playing) {
+          solution_playback.pause();
+        } else {
+          solution_playback.resume();
+        }
+      }
+    },
+    {
+      id: "solution_step",
+      label: "Step",
+      on_press() {
+        void solution_playback.step();
+      }
+    },
+    {
+      id: "solution_stop",
+      label: "Stop",
+      on_press() {
+        const was_solving = is_solving;
+        stop_solution();
+        show_status_message(was_solving ? "Solve stopped." : "Solution playback stopped.");
+      }
+    },
+    {
+      id: "new_game",
+      label: "New game",
+      on_press() {
+        start_new_game();
+      }
+    },
+    {
+      id: "download",
+      label: "Download",
+      on_press() {
+        export_state_to_file();
+      }
+    },
+    {
+      id: "open",
+      label: "Open file",
+      on_press() {
+        void import_state_from_file();
+      }
+    },
+    {
+      id: "recording",
+      label: "Recording",
+      on_press() {
+        export_recording_to_file();
+      }
+    },
+    {
+      id: "gallery",
+      label: "Gallery",
+      on_press() {
+        void open_gallery();
+      }
+    },
+    {
+      id: "image",
+      label: "Image",
+      on_press() {
+        void pick_file("image/*").then((file) => (file ? load_custom_image(file) : undefined));
+      }
+    },
+    {
+      id: "motion",
+      label: `Motion: ${animator.get_speed()}`,
+      on_press() {
+        const speed_index = ANIMATION_SPEEDS.indexOf(animator.get_speed());
+        const next_speed = ANIMATION_SPEEDS[(speed_index + 1) % ANIMATION_SPEEDS.length];
+        animator.set_speed(next_speed);
+        write_animation_speed_to_url(next_speed);
+        toolbar.set_button_label("motion", `Motion: ${next_speed}`);
+        show_status_message(`Animation speed: ${next_speed}.`);
+      }
+    }
+  ],
+  font_family: FONT_FAMILY,
+  font_size_px: resolved_relative_sizes.toolbar_font_size_px,
+  button_color: TOOLBAR_BUTTON_COLOR,
+  text_color: TOOLBAR_TEXT_COLOR,
+  margin_px: TOOLBAR_MARGIN_PX
+});
+application.stage.addChild(toolbar.container);
+for (const button_id of ["replay_back", "replay_toggle", "replay_forward", "replay_speed"]) {
+  toolbar.set_button_visible(button_id, is_replay_mode);
+}
+for (const button_id of ["new_game", "download", "open", "recording"]) {
+  toolbar.set_button_visible(button_id, !is_replay_mode);
+}
+toolbar.set_button_visible("gallery", game_mode === "i" && !is_replay_mode);
+toolbar.set_button_visible("image", game_mode === "i" && !is_replay_mode);
+
+const replay_scrubber = create_scrubber({
+  track_color: SCRUBBER_TRACK_COLOR,
+  fill_color: SCRUBBER_FILL_COLOR,
+  handle_color: SCRUBBER_HANDLE_COLOR,
+  on_seek(position) {
+    replay_playback?.seek(position);
+  }
+});
+replay_scrubber.container.visible = is_replay_mode;
+application.stage.addChild(replay_scrubber.container);
+
+const dialog = create_dialog({
+  width_px: SUCCESS_POPUP_WIDTH_PX,
+  margin_top_px: SUCCESS_POPUP_MARGIN_TOP_PX,
+  font_family: FONT_FAMILY,
+  background_color: SUCCESS_POPUP_BACKGROUND_COLOR,
+  border_color: SUCCESS_POPUP_BORDER_COLOR,
+  text_color: SUCCESS_POPUP_TEXT_COLOR,
+  button_color: SUCCESS_POPUP_BUTTON_BACKGROUND_COLOR
+});
+application.stage.addChild(dialog.container);
+
+const gallery = create_gallery({
+  margin_top_px: SUCCESS_POPUP_MARGIN_TOP_PX,
+  thumbnail_size_px: GALLERY_THUMBNAIL_SIZE_PX,
+  font_family: FONT_FAMILY,
+  background_color: SUCCESS_POPUP_BACKGROUND_COLOR,
+  border_color: BORDER_COLOR,
+  text_color: SUCCESS_POPUP_TEXT_COLOR,
+  highlight_color: GALLERY_HIGHLIGHT_COLOR,
+  on_pick(painting_id) {
+    void load_gallery_painting(painting_id);
+  }
+});
+application.stage.addChild(gallery.container);
+/** @type {Promise<import("./ui/gallery.js").GalleryEntry[]> | null} */
+let gallery_entries_promise = null;
+
+/**
+ * Thumbnails are made once, the first time the gallery opens.
+ *
+ * @param {import("./core/gallery_manifest.js").GalleryManifest} manifest
+ * @returns {Promise<import("./ui/gallery.js").GalleryEntry[]>}
+ */
+function load_gallery_entries(manifest) {
+  gallery_entries_promise ??= Promise.all(
+    manifest.paintings.map(async (painting) => {
+      const thumbnail_image = await downscale_image(
+        await load_image(painting.image_path),
+        GALLERY_THUMBNAIL_SIZE_PX * 2
+      );
+      return {
+        id: painting.id,
+        title: painting.title,
+        artist: painting.artist,
+        texture: Texture.from(thumbnail_image)
+      };
+    })
+  ).catch((error) => {
+    gallery_entries_promise = null;
+    throw error;
+  });
+  return gallery_entries_promise;
+}
+
+async function open_gallery() {
+  if (!gallery_manifest || interaction_locked || is_replay_mode || gallery.is_visible()) {
+    return;
+  }
+  show_status_message("Loading gallery...");
+  try {
+    const gallery_entries = await load_gallery_entries(gallery_manifest);
+    hide_success_popup();
+    dialog.hide();
+    gallery.show(gallery_entries, current_painting?.id ?? null);
+    show_status_message("Pick a painting to start a new game on it.");
+  } catch (error) {
+    console.error("[Gallery] Could not load thumbnails:", error);
+    show_status_message(
+      `Could not open the gallery: ${error instanceof Error ? error.message : String(error)}`,
+      true
+    );
+  }
+}
+
+/** @type {"optimal" | "staged"} */
+let solution_kind = "optimal";
+const solution_playback = create_solution_playback({
+  async run_step(move_record) {
+    const anchor_instance = find_anchor_instance(move_record.operator_id, move_record.anchor_id);
+    if (!anchor_instance) {
+      throw new Error(
+        `Solution refers to unknown anchor ${move_record.anchor_id} for operator ${move_record.operator_id}.`
+      );
+    }
+    await run_move(move_record.direction_sign, anchor_instance, { source: "solver" });
+  },
+  on_change(status) {
+    update_solution_controls(status);
+  }
+});
+update_solution_controls(solution_playback.get_status());
+
+const background_solver = create_background_solver();
+// True while the Solve search runs; the playback controls take over once it finishes.
+let is_solving = false;
+
+/**
+ * Stop solution playback and any Solve search still running, before the board changes
+ * under them.
+ */
+function stop_solution() {
+  if (is_solving) {
+    is_solving = false;
+    background_solver.cancel();
+    update_solution_controls(solution_playback.get_status());
+  }
+  solution_playback.stop();
+}
+
+/**
+ * Board clicks are ignored while replaying, previewing or while an overlay is open.
+ *
+ * @returns {boolean}
+ */
+function is_board_input_blocked() {
+  return (
+    is_replay_mode ||
+    is_preview_mode ||
+    success_popup_layer.visible ||
+    dialog.is_visible() ||
+    gallery.is_visible()
+  );
+}
+
+/**
+ * Resolves once no move is animating; a queued click can arrive while solver playback
+ * or a pasted sequence is still moving tiles.
+ *
+ * @returns {Promise<void>}
+ */
+function wait_for_unlocked_board() {
+  return new Promise((resolve) => {
+    function check_lock() {
+      if (interaction_locked) {
+        requestAnimationFrame(check_lock);
+      } else {
+        resolve();
+      }
+    }
+    check_lock();
+  });
+}
+
+/**
+ * @param {number} waiting_count moves still queued behind this one
+ * @returns {number}
+ */
+function get_queued_animation_ms(waiting_count) {
+  return Math.max(MIN_QUEUED_ANIMATION_MS, MOVE_ANIMATION_MS * QUEUED_ANIMATION_SPEEDUP ** waiting_count);
+}
+
+const move_queue = create_move_queue({
+  get_max_depth: () => url_params.max_queue_depth,
+  async run_move(queued_move, waiting_count) {
+    await wait_for_unlocked_board();
+    const anchor_instance = find_anchor_instance(queued_move.operator_id, queued_move.anchor_id);
+    // The board may have been solved, covered or rebuilt since the click.
+    if (!anchor_instance || is_board_input_blocked()) {
+      const dropped_move_count = move_queue.clear() + 1;
+      console.info(`[Move queue] Dropped ${dropped_move_count} queued move(s).`);
+      return;
+    }
+    await run_move(queued_move.direction_sign, anchor_instance, {
+      animation_ms: get_queued_animation_ms(waiting_count)
+    });
+  },
+  on_change() {
+    redraw_hud_text();
+  }
+});
+
+/** @type {import("./ui/replay_playback.js").ReplayPlayback | null} */
+const replay_playback = replay_recording
+  ? create_replay_playback({
+      move_count: replay_recording.moves.length,
+      get_gap_ms(move_index) {
+        const recorded_moves = replay_recording.moves;
+        return recorded_moves[move_index].t_ms - (move_index > 0 ? recorded_moves[move_index - 1].t_ms : 0);
+      },
+      max_wait_ms: REPLAY_MAX_WAIT_MS,
+      async run_step(move_index, direction_sign, speed) {
+        const recorded_move = replay_recording.moves[move_index];
+        const anchor_instance = find_anchor_instance(recorded_move.operator_id, recorded_move.anchor_id);
+        if (!anchor_instance) {
+          throw new Error(
+            `Recording refers to unknown anchor ${recorded_move.anchor_id} for operator ${recorded_move.operator_id}.`
+          );
+        }
+        // Stepping back plays the recorded move inverted.
+        const move_direction_sign =
+          direction_sign === 1 ? recorded_move.direction_sign : recorded_move.direction_sign === 1 ? -1 : 1;
+        await run_move(move_direction_sign, anchor_instance, {
+          should_record: false,
+          source: null,
+          animation_ms: MOVE_ANIMATION_MS / speed
+        });
+      },
+      jump_to(position) {
+        board_state = get_recording_board_state(replay_recording, position);
+        update_hover_highlight(null);
+        tile_renderer.sync_all_from_state(board_state);
+      },
+      on_change(status) {
+        update_replay_controls(status);
+      }
+    })
+  : null;
+
 /** @type {AnchorInstance | null} */
 let hovered_instance = null;
 /** @type {Set<string>} */
 let highlighted_tile_ids = new Set();
 let interaction_locked = false;
 let is_preview_mode = false;
-let has_shown_solved_notification = is_explore_mode;
+let has_shown_solved_notification = is_explore_mode || is_replay_mode || is_goal_reached(board_state);
+let hint_count = resumable_game?.hint_count ?? 0;
+// Every move played, undo and redo included; the history cursor alone would hide undone moves.
+let played_move_count = resumable_game?.played_move_count ?? 0;
+// Set once the solver, a pasted sequence or an imported state has helped this game.
+let is_assisted = resumable_game?.is_assisted ?? false;
+let elapsed_ms = resumable_game?.elapsed_ms ?? 0;
+let correct_tile_count = 0;
 
 /**
  * Draw static visuals for solved popup.
@@ -879,12 +2178,82 @@ function hide_success_popup() {
   success_popup_layer.visible = false;
 }
 
-function show_success_popup() {
+/**
+ * @param {number} duration_ms
+ * @returns {string}
+ */
+function format_elapsed_time(duration_ms) {
+  const total_seconds = Math.floor(duration_ms / 1000);
+  const hours = Math.floor(total_seconds / 3600);
+  const minutes = Math.floor((total_seconds % 3600) / 60);
+  const seconds_text = String(total_seconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds_text}`
+    : `${minutes}:${seconds_text}`;
+}
+
+/**
+ * Describe the stored personal best, recording this game first when it counts:
+ * games finished with hints or by the solver's playback never set a record.
+ *
+ * @param {number} move_count
+ * @param {boolean} is_assisted
+ * @returns {string}
+ */
+function get_personal_best_line(move_count, is_assisted) {
+  if (is_assisted) {
+    const personal_best = read_personal_best(personal_best_key);
+    const best_label = personal_best
+      ? `${personal_best.move_count} moves, ${format_elapsed_time(personal_best.elapsed_ms)}`
+      : "none yet";
+    return `Best: ${best_label} (assisted games do not count)`;
+  }
+  const update = record_personal_best(personal_best_key, { move_count, elapsed_ms });
+  console.info("[Personal best] Recorded solve:", update);
+  const record_labels = [
+    ...(update.is_new_move_record ? ["moves"] : []),
+    ...(update.is_new_time_record ? ["time"] : [])
+  ];
+  const record_label = record_labels.length > 0 ? ` (new best ${record_labels.join(" and ")}!)` : "";
+  return (
+    `Best: ${update.personal_best.move_count} moves, ` +
+    `${format_elapsed_time(update.personal_best.elapsed_ms)}${record_label}`
+  );
+}
+
+/**
+ * @param {boolean} is_assisted
+ */
+function show_success_popup(is_assisted) {
+  const move_count = played_move_count;
+  success_popup_message.text =
+    `Moves: ${move_count} | Time: ${format_elapsed_time(elapsed_ms)} | Hints: ${hint_count}\n` +
+    `${get_personal_best_line(move_count, is_assisted || hint_count > 0)}\n` +
+    `Goal: ${GOAL_MODE_LABELS[goal_mode]}\n` +
+    "You can keep playing. Close this message to continue.";
   draw_success_popup();
   layout_success_popup();
   success_popup_layer.visible = true;
 }
 
+/**
+ * Show a one-line status message in the bottom-left corner (empty text hides it).
+ *
+ * @param {string} message
+ * @param {boolean} [is_error]
+ */
+function show_status_message(message, is_error = false) {
+  status_message_text.text = message;
+  status_message_text.style.fill = is_error ? STATUS_ERROR_COLOR : STATUS_MESSAGE_COLOR;
+}
+
+function layout_status_message() {
+  const viewport_size = get_viewport_size_px();
+  status_message_text.style.fontSize = resolved_relative_sizes.toolbar_font_size_px;
+  status_message_text.style.wordWrapWidth = Math.max(1, viewport_size.viewport_width_px - 32);
+  status_message_text.position.set(16, viewport_size.viewport_height_px - TOOLBAR_MARGIN_PX);
+}
+
 /**
  * @param {number} background_font_size_px
  */
@@ -911,7 +2280,7 @@ function rebuild_operator_instances() {
   for (const operator_def of allowed_operator_defs) {
     instances_by_operator_id.set(
       operator_def.id,
-      build_anchor_instances(grid, operator_def.id, get_cell_world, tile_derivation.tile_size_px)
+      build_anchor_instances(grid, operator_def, get_cell_world, tile_derivation.tile_size_px, hex_orientation)
     );
   }
 }
@@ -1008,7 +2377,7 @@ function redraw_hover_outline(instance) {
   /** @type {Map<string, OutlineEdgeRecord>} */
   const edge_records_by_key = new Map();
   const selected_cell_key_set = new Set(instance.cells);
-  const hex_points = create_hex_points(tile_derivation.tile_size_px);
+  const hex_points = create_hex_points(tile_derivation.tile_size_px, hex_orientation);
   for (const selected_cell_key of selected_cell_key_set) {
     const [q_text, r_text] = selected_cell_key.split(",");
     const selected_cell = { q: Number(q_text), r: Number(r_text) };
@@ -1056,6 +2425,7 @@ function redraw_hover_outline(instance) {
  * @param {AnchorInstance | null} next_hovered_instance
  */
 function update_hover_highlight(next_hovered_instance) {
+  hint_direction_text.visible = false;
   set_tile_emphasis(highlighted_tile_ids, false);
   hovered_instance = next_hovered_instance;
   highlighted_tile_ids = collect_highlight_tile_ids(hovered_instance);
@@ -1087,12 +2457,33 @@ function redraw_pivot_markers(operator_id) {
   }
 }
 
+/**
+ * @param {string} operator_id
+ * @param {string} anchor_id
+ * @returns {AnchorInstance | null}
+ */
+function find_anchor_instance(operator_id, anchor_id) {
+  const instances = instances_by_operator_id.get(operator_id) ?? [];
+  return instances.find((instance) => instance.anchor_id === anchor_id) ?? null;
+}
+
+/**
+ * @typedef {{
+ *   should_record?: boolean,
+ *   source?: import("./core/recording.js").MoveSource | null,
+ *   animation_ms?: number
+ * }} RunMoveOptions
+ */
+
 /**
  * @param {1 | -1} direction_sign
  * @param {AnchorInstance} anchor_instance
+ * @param {RunMoveOptions} [options] should_record is false when replaying history (undo/redo);
+ *   source labels the move in the session recording, null leaves it out (replay viewer).
  * @returns {Promise<void>}
  */
-async function run_move(direction_sign, anchor_instance) {
+async function run_move(direction_sign, anchor_instance, options = {}) {
+  const { should_record = true, source = "play", animation_ms = MOVE_ANIMATION_MS } = options;
   if (interaction_locked) {
     return;
   }
@@ -1117,12 +2508,37 @@ async function run_move(direction_sign, anchor_instance) {
   }
 
   const moved_tile_ids = apply_move(board_state, anchor_instance, direction_sign);
+  console.info(
+    `[Move] ${format_move_notation(anchor_instance, direction_sign, allowed_operator_defs)}`
+  );
+  if (should_record) {
+    move_history.push({
+      operator_id: anchor_instance.operator_id,
+      anchor_id: anchor_instance.anchor_id,
+      direction_sign
+    });
+  }
+  if (source !== null) {
+    played_move_count += 1;
+    session_recording.moves.push({
+      t_ms: Math.round(recording_time_offset_ms + performance.now() - recording_started_at_ms),
+      source,
+      operator_id: anchor_instance.operator_id,
+      anchor_id: anchor_instance.anchor_id,
+      direction_sign
+    });
+  }
+  // Cycle tiles revolve around the pivot by the permutation angle and spin by the rotation angle;
+  // the two only differ for operators such as ring6_60.
+  const revolve_delta = -get_revolution_steps_cw(anchor_instance) * direction_sign * (Math.PI / 3);
   const angle_delta = -anchor_instance.rotation_steps_cw * direction_sign * (Math.PI / 3);
   const pivot_x = anchor_instance.anchor_world.x;
   const pivot_y = anchor_instance.anchor_world.y;
 
-  await tween_progress(ANIMATION_MS, (progress) => {
-    const theta = angle_delta * progress;
+  await animator.tween(animation_ms, (eased_progress, progress) => {
+    const theta = revolve_delta * eased_progress;
+    // Moved tiles rise off the board and settle back as they arrive.
+    const lift = Math.sin(Math.PI * progress);
     const cosine_theta = Math.cos(theta);
     const sine_theta = Math.sin(theta);
     for (const tile_id of moved_tile_ids) {
@@ -1135,52 +2551,769 @@ async function run_move(direction_sign, anchor_instance) {
       const start_offset_y = pose_before.y - pivot_y;
       const x = pivot_x + start_offset_x * cosine_theta - start_offset_y * sine_theta;
       const y = pivot_y + start_offset_x * sine_theta + start_offset_y * cosine_theta;
-      const angle = pose_before.angle + angle_delta * progress;
+      const angle = pose_before.angle + angle_delta * eased_progress;
       const tile_view = tile_renderer.tile_views.get(tile_id);
       if (!tile_view) {
         continue;
       }
       tile_view.container.position.set(x, y);
       tile_view.container.rotation = angle;
+      tile_renderer.set_lift(tile_id, lift);
     }
   });
+  for (const tile_id of moved_tile_ids) {
+    tile_renderer.set_lift(tile_id, 0);
+  }
 
   tile_renderer.sync_all_from_state(board_state);
-  if (is_solved(board_state) && !has_shown_solved_notification) {
+  save_current_game();
+  if (is_goal_reached(board_state) && !has_shown_solved_notification) {
     has_shown_solved_notification = true;
-    show_success_popup();
+    show_success_popup(is_assisted);
     console.info("Puzzle solved.");
   }
+  update_hud_text();
 
   interaction_locked = false;
   input_controller.set_interaction_locked(false);
 }
 
+/**
+ * Glide every tile from its cell in `previous_board_state` to its cell in `board_state`,
+ * turning the short way round; a new scramble uses this so the board visibly reshuffles.
+ * Both ends are looked up through `get_cell_world` on every frame, so a relayout during
+ * the tween moves the path along with the board.
+ *
+ * @param {import("./core/state.js").BoardState} previous_board_state
+ * @returns {Promise<void>}
+ */
+async function animate_tiles_to_state(previous_board_state) {
+  interaction_locked = true;
+  input_controller.set_interaction_locked(true);
+  update_hover_highlight(null);
+
+  /**
+   * @type {{
+   *   tile_id: string,
+   *   from_cell: Cell,
+   *   to_cell: Cell,
+   *   from_angle: number,
+   *   angle_delta: number
+   * }[]}
+   */
+  const tile_paths = [];
+  for (const [tile_id, to_cell_key] of board_state.tile_id_to_cell.entries()) {
+    const from_cell_key = previous_board_state.tile_id_to_cell.get(tile_id) ?? to_cell_key;
+    const from_angle = (previous_board_state.tile_rot.get(tile_id) ?? 0) * (Math.PI / 3);
+    const to_angle = (board_state.tile_rot.get(tile_id) ?? 0) * (Math.PI / 3);
+    tile_paths.push({
+      tile_id,
+      from_cell: parse_cell_key(from_cell_key),
+      to_cell: parse_cell_key(to_cell_key),
+      from_angle,
+      angle_delta: Math.atan2(Math.sin(to_angle - from_angle), Math.cos(to_angle - from_angle))
+    });
+  }
+
+  await animator.tween(SCRAMBLE_ANIMATION_MS, (eased_progress, progress) => {
+    const lift = Math.sin(Math.PI * progress);
+    for (const tile_path of tile_paths) {
+      const tile_view = tile_renderer.tile_views.get(tile_path.tile_id);
+      if (!tile_view) {
+        continue;
+      }
+      const from_world = get_cell_world(tile_path.from_cell);
+      const to_world = get_cell_world(tile_path.to_cell);
+      tile_view.container.position.set(
+        from_world.x + (to_world.x - from_world.x) * eased_progress,
+        from_world.y + (to_world.y - from_world.y) * eased_progress
+      );
+      tile_view.container.rotation = tile_path.from_angle + tile_path.angle_delta * eased_progress;
+      tile_renderer.set_lift(tile_path.tile_id, lift);
+    }
+  }, EASINGS.ease_out_cubic);
+  for (const tile_path of tile_paths) {
+    tile_renderer.set_lift(tile_path.tile_id, 0);
+  }
+  tile_renderer.sync_all_from_state(board_state);
+
+  interaction_locked = false;
+  input_controller.set_interaction_locked(false);
+}
+
+/**
+ * Replay the inverse of the last recorded move.
+ *
+ * @returns {Promise<void>}
+ */
+async function undo_move() {
+  const cancelled_move_count = move_queue.clear();
+  if (cancelled_move_count > 0) {
+    show_status_message(`Cancelled ${cancelled_move_count} queued move(s).`);
+    return;
+  }
+  if (
+    interaction_locked ||
+    is_replay_mode ||
+    is_preview_mode ||
+    success_popup_layer.visible ||
+    dialog.is_visible() ||
+    gallery.is_visible()
+  ) {
+    return;
+  }
+  stop_solution();
+  const move_record = move_history.undo();
+  if (!move_record) {
+    return;
+  }
+  const anchor_instance = find_anchor_instance(move_record.operator_id, move_record.anchor_id);
+  if (!anchor_instance) {
+    throw new Error(
+      `Undo failed: unknown anchor ${move_record.anchor_id} for operator ${move_record.operator_id}.`
+    );
+  }
+  const inverse_direction_sign = move_record.direction_sign === 1 ? -1 : 1;
+  await run_move(inverse_direction_sign, anchor_instance, { should_record: false, source: "undo" });
+}
+
+/**
+ * Replay the next undone move.
+ *
+ * @returns {Promise<void>}
+ */
+async function redo_move() {
+  if (
+    interaction_locked ||
+    is_replay_mode ||
+    is_preview_mode ||
+    success_popup_layer.visible ||
+    dialog.is_visible() ||
+    gallery.is_visible()
+  ) {
+    return;
+  }
+  stop_solution();
+  const move_record = move_history.redo();
+  if (!move_record) {
+    return;
+  }
+  const anchor_instance = find_anchor_instance(move_record.operator_id, move_record.anchor_id);
+  if (!anchor_instance) {
+    throw new Error(
+      `Redo failed: unknown anchor ${move_record.anchor_id} for operator ${move_record.operator_id}.`
+    );
+  }
+  await run_move(move_record.direction_sign, anchor_instance, { should_record: false, source: "redo" });
+}
+
+/**
+ * @returns {string}
+ */
+function serialize_current_game() {
+  return serialize_state({
+    mode: game_mode,
+    grid,
+    operator_ids: allowed_operator_ids,
+    goal_mode,
+    seed: game_seed,
+    board_state,
+    history: move_history.get_snapshot(),
+    played_move_count,
+    hint_count,
+    is_assisted,
+    elapsed_ms
+  });
+}
+
+function save_current_game() {
+  // A player's own image is gone after a reload, so its games are not resumable.
+  if (is_explore_mode || is_replay_mode || image_path?.startsWith(CUSTOM_IMAGE_PATH_PREFIX)) {
+    return;
+  }
+  write_autosave(autosave_key, serialize_current_game());
+  write_autosave(recording_storage_key, serialize_recording(session_recording));
+}
+
+/**
+ * Discard the saved game and start over from a fresh seeded scramble.
+ */
+function start_new_game() {
+  if (interaction_locked || is_replay_mode) {
+    return;
+  }
+  begin_new_game();
+}
+
+/**
+ * Scramble a fresh seeded board and reset the history, counters, recording and save
+ * slot. Callers make sure no move is animating.
+ */
+function begin_new_game() {
+  stop_solution();
+  move_queue.clear();
+  clear_autosave(autosave_key);
+  clear_autosave(recording_storage_key);
+  game_seed = create_random_seed();
+  write_seed_to_url(game_seed);
+  const previous_board_state = board_state;
+  board_state = create_solved_state(grid);
+  if (!is_explore_mode) {
+    scramble_board(board_state, game_seed);
+  }
+  move_history.clear();
+  played_move_count = 0;
+  hint_count = 0;
+  is_assisted = false;
+  elapsed_ms = 0;
+  restart_session_recording();
+  hide_success_popup();
+  dialog.hide();
+  has_shown_solved_notification = is_explore_mode;
+  void animate_tiles_to_state(previous_board_state);
+  update_operator_help_text(input_controller.get_selected_operator_id());
+  update_hud_text();
+  save_current_game();
+  show_status_message(`New game started (seed ${game_seed}).`);
+  console.info(`[Scramble] New game with seed ${game_seed}.`);
+}
+
+/**
+ * Save the current board, operator set and move history as a JSON document.
+ */
+function export_state_to_file() {
+  const state_json = serialize_current_game();
+  download_text_file(
+    `rothex-${game_mode}-${grid.shape_key}-seed${game_seed}.json`,
+    state_json,
+    "application/json"
+  );
+  show_status_message("Board state downloaded.");
+}
+
+/**
+ * Save the session recording (starting board plus every timed move) for the replay viewer.
+ */
+function export_recording_to_file() {
+  download_text_file(
+    `rothex-recording-${game_mode}-${grid.shape_key}-seed${game_seed}.json`,
+    serialize_recording(session_recording),
+    "application/json"
+  );
+  show_status_message(`Recording downloaded (${session_recording.moves.length} moves).`);
+}
+
+/**
+ * Start a fresh game on the player's own image: derive a board for its aspect, check
+ * that every tile gets enough source pixels, downscale it, rebuild the tiles and scramble.
+ *
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function load_custom_image(file) {
+  if (interaction_locked || is_replay_mode) {
+    return;
+  }
+  if (game_mode !== "i") {
+    show_status_message("Your own image needs image mode (add mode=i to the URL).", true);
+    return;
+  }
+  if (!file.type.startsWith("image/")) {
+    show_status_message(`${file.name} is not an image file.`, true);
+    return;
+  }
+  show_status_message(`Loading ${file.name}...`);
+  const object_url = URL.createObjectURL(file);
+  try {
+    const prepared_board = await prepare_image_board(await load_image(object_url), file.name);
+    // A move may have started while the image decoded; swap boards once none is animating.
+    while (interaction_locked) {
+      await wait_for_unlocked_board();
+    }
+    apply_image(prepared_board, `${CUSTOM_IMAGE_PATH_PREFIX}${file.name}`, null);
+  } catch (error) {
+    console.error("[Image] Rejected image:", error);
+    show_status_message(
+      `Could not use that image: ${error instanceof Error ? error.message : String(error)}`,
+      true
+    );
+  } finally {
+    URL.revokeObjectURL(object_url);
+  }
+}
+
+/**
+ * Start a fresh game on a bundled painting from the gallery.
+ *
+ * @param {string} painting_id
+ * @returns {Promise<void>}
+ */
+async function load_gallery_painting(painting_id) {
+  const painting = gallery_manifest ? find_painting(gallery_manifest, painting_id) : null;
+  if (!painting || interaction_locked || is_replay_mode) {
+    return;
+  }
+  show_status_message(`Loading ${painting.title}...`);
+  try {
+    const prepared_board = await prepare_image_board(await load_image(painting.image_path), painting.title);
+    // A move may have started while the image decoded; swap boards once none is animating.
+    while (interaction_locked) {
+      await wait_for_unlocked_board();
+    }
+    apply_image(prepared_board, painting.image_path, painting);
+  } catch (error) {
+    console.error("[Gallery] Could not load painting:", error);
+    show_status_message(
+      `Could not use ${painting.title}: ${error instanceof Error ? error.message : String(error)}`,
+      true
+    );
+  }
+}
+
+/**
+ * @typedef {{
+ *   image: HTMLImageElement,
+ *   grid: import("./core/grid.js").Grid,
+ *   hex_orientation: import("./core/coords.js").HexOrientation
+ * }} PreparedImageBoard
+ */
+
+/**
+ * Derive a board for the image's aspect (n/h/w and shape still apply), check that every
+ * tile gets enough source pixels and downscale the image for baking.
+ * The board is derived for the viewport's current orientation, which it then keeps.
+ *
+ * @param {HTMLImageElement} loaded_image
+ * @param {string} image_label
+ * @returns {Promise<PreparedImageBoard>}
+ */
+async function prepare_image_board(loaded_image, image_label) {
+  const next_hex_orientation = get_viewport_hex_orientation();
+  const next_grid = create_shaped_grid(
+    url_params.grid_shape ??
+      derive_grid_shape({
+        target_cell_count: url_params.target_cell_count,
+        image_aspect: loaded_image.width / loaded_image.height,
+        padding_in_tile_units: PADDING_IN_TILE_UNITS,
+        shape_kind: url_params.shape_kind,
+        hex_orientation: next_hex_orientation
+      }).shape,
+    url_params.blocked_cells
+  );
+  const source_tile_size_px = get_source_tile_size_px({
+    image_width: loaded_image.width,
+    image_height: loaded_image.height,
+    grid_extent_in_s: get_grid_extent_in_s(next_grid, next_hex_orientation),
+    padding_in_tile_units: PADDING_IN_TILE_UNITS
+  });
+  if (source_tile_size_px < MIN_SOURCE_TILE_SIZE_PX) {
+    throw new Error(
+      `${image_label} (${loaded_image.width}x${loaded_image.height}) is too small for ${next_grid.all_cells.length} tiles: ` +
+        `each tile would get ${source_tile_size_px.toFixed(1)} px, and at least ${MIN_SOURCE_TILE_SIZE_PX} px are needed. ` +
+        "Use a larger image or fewer tiles (n=)."
+    );
+  }
+  const next_image = await downscale_image(loaded_image, MAX_IMAGE_SIDE_PX);
+  if (next_image !== loaded_image) {
+    console.info(
+      `[Image] Downscaled ${loaded_image.width}x${loaded_image.height} to ${next_image.width}x${next_image.height}.`
+    );
+  }
+  return { image: next_image, grid: next_grid, hex_orientation: next_hex_orientation };
+}
+
+/**
+ * Swap in a new image and board, then start a new game on it.
+ *
+ * @param {PreparedImageBoard} prepared_board
+ * @param {string} next_image_path
+ * @param {import("./core/gallery_manifest.js").Painting | null} next_painting null for the player's own image
+ */
+function apply_image(prepared_board, next_image_path, next_painting) {
+  if (interaction_locked) {
+    throw new Error("Cannot swap the image while a move is animating.");
+  }
+  stop_solution();
+  move_queue.clear();
+  update_hover_highlight(null);
+  const next_image = prepared_board.image;
+  source_image_element = next_image;
+  grid = prepared_board.grid;
+  if (prepared_board.hex_orientation !== hex_orientation) {
+    console.info(`[Layout] Hex orientation: ${hex_orientation} -> ${prepared_board.hex_orientation} (image-change).`);
+    hex_orientation = prepared_board.hex_orientation;
+  }
+  image_path = next_image_path;
+  current_painting = next_painting;
+  write_painting_to_url(next_painting?.id ?? null);
+  autosave_key = get_autosave_key(get_game_config());
+  personal_best_key = get_personal_best_key(get_game_config());
+  recording_storage_key = `${autosave_key}:recording`;
+  group_analysis = null;
+  grid_symmetries = goal_mode === "symmetric" ? find_grid_symmetries(grid) : [];
+  board_state = create_solved_state(grid);
+  if (background_sprite) {
+    const previous_background_texture = background_sprite.texture;
+    background_sprite.texture = Texture.from(next_image);
+    previous_background_texture.destroy(true);
+  }
+
+  // Tiles start blank; the relayout below bakes their textures at the new size.
+  replace_tile_renderer();
+  recompute_layout_and_visuals("image-change");
+  scramble_operator_ids = get_scramble_operator_ids();
+
+  console.info(`[Image] Using ${next_image_path} (${next_image.width}x${next_image.height}) on ${grid.shape_key}.`);
+  begin_new_game();
+}
+
+/**
+ * Replace the board and move history with a state document picked by the user.
+ *
+ * @returns {Promise<void>}
+ */
+async function import_state_from_file() {
+  if (interaction_locked || is_replay_mode) {
+    return;
+  }
+  const state_json = await pick_text_file("application/json,.json");
+  if (state_json === null) {
+    return;
+  }
+  try {
+    const snapshot = deserialize_state(state_json, {
+      grid,
+      mode: game_mode,
+      operator_ids: allowed_operator_ids,
+      goal_mode,
+      is_known_anchor: (operator_id, anchor_id) =>
+        find_anchor_instance(operator_id, anchor_id) !== null
+    });
+    const reachability = check_state_reachable(get_group_analysis(), snapshot.board_state);
+    if (!reachability.is_reachable) {
+      throw new Error(`State cannot be reached from solved. ${reachability.reason}`);
+    }
+    stop_solution();
+    board_state = snapshot.board_state;
+    move_history.restore(snapshot.history);
+    played_move_count = snapshot.played_move_count;
+    hint_count = snapshot.hint_count;
+    // The file may have been edited or made by someone else, so the game no longer counts.
+    is_assisted = true;
+    elapsed_ms = snapshot.elapsed_ms;
+    if (snapshot.seed !== null) {
+      game_seed = snapshot.seed;
+      write_seed_to_url(game_seed);
+    }
+    restart_session_recording();
+  } catch (error) {
+    console.error("[State import] Rejected document:", error);
+    show_status_message(`Import failed: ${error instanceof Error ? error.message : String(error)}`, true);
+    return;
+  }
+  hide_success_popup();
+  has_shown_solved_notification = is_explore_mode || is_goal_reached(board_state);
+  update_hover_highlight(null);
+  tile_renderer.sync_all_from_state(board_state);
+  update_operator_help_text(input_controller.get_selected_operator_id());
+  update_hud_text();
+  save_current_game();
+  show_status_message("Board state loaded.");
+  console.info("[State import] Loaded board state and move history.");
+}
+
+/**
+ * Play a pasted move sequence (e.g. "V(B3,B4,C4)' E(A1,A2)") one move at a time.
+ *
+ * @param {string} notation
+ * @returns {Promise<void>}
+ */
+async function play_move_notation(notation) {
+  if (
+    interaction_locked ||
+    is_replay_mode ||
+    is_preview_mode ||
+    success_popup_layer.visible ||
+    dialog.is_visible() ||
+    gallery.is_visible()
+  ) {
+    return;
+  }
+  stop_solution();
+  const parsed_moves = parse_move_sequence(
+    notation,
+    allowed_operator_defs,
+    (operator_id) => instances_by_operator_id.get(operator_id) ?? []
+  );
+  console.info(`[Move] Playing ${parsed_moves.length} pasted move(s).`);
+  if (parsed_moves.length > 0) {
+    is_assisted = true;
+  }
+  for (const parsed_move of parsed_moves) {
+    await run_move(parsed_move.direction_sign, parsed_move.anchor_instance, { source: "paste" });
+  }
+}
+
+/**
+ * Search two moves ahead, outline the suggested pivot and label its direction.
+ */
+function show_hint() {
+  if (
+    interaction_locked ||
+    is_replay_mode ||
+    is_preview_mode ||
+    success_popup_layer.visible ||
+    dialog.is_visible() ||
+    gallery.is_visible()
+  ) {
+    return;
+  }
+  if (is_goal_reached(board_state)) {
+    show_status_message("The board is already solved.");
+    return;
+  }
+  const hint = find_hint(board_state, [...instances_by_operator_id.values()].flat());
+  if (!hint) {
+    show_status_message("No moves are available for a hint.", true);
+    return;
+  }
+  hint_count += 1;
+  save_current_game();
+  update_hover_highlight(hint.anchor_instance);
+  const direction_label = hint.direction_sign === -1 ? "CW (left click)" : "CCW (right click)";
+  hint_direction_text.text = hint.direction_sign === -1 ? "CW" : "CCW";
+  hint_direction_text.style.fontSize = resolved_relative_sizes.toolbar_font_size_px;
+  hint_direction_text.position.set(
+    hint.anchor_instance.anchor_world.x,
+    hint.anchor_instance.anchor_world.y - tile_derivation.tile_size_px * 0.35
+  );
+  hint_direction_text.visible = true;
+  const operator_index = allowed_operator_ids.indexOf(hint.anchor_instance.operator_id);
+  const hint_notation = format_move_notation(
+    hint.anchor_instance,
+    hint.direction_sign,
+    allowed_operator_defs
+  );
+  const outlook_label = hint.is_improvement
+    ? ""
+    : " No move improves the board within two moves; this one loses the least.";
+  show_status_message(
+    `Hint ${hint_count}: ${hint_notation}, ${direction_label} with operator ${operator_index + 1}.${outlook_label}`
+  );
+  console.info("[Hint] Suggested move:", {
+    notation: hint_notation,
+    score_before: hint.score_before,
+    best_score_within_two_moves: hint.best_score
+  });
+}
+
+/**
+ * Show the Solve button or the playback controls, and report playback progress.
+ *
+ * @param {import("./ui/solution_playback.js").PlaybackStatus} status
+ */
+function update_solution_controls(status) {
+  toolbar.set_button_visible(
+    "solve",
+    game_mode === "n" && !is_replay_mode && !status.is_active && !is_solving
+  );
+  toolbar.set_button_visible("solution_toggle", status.is_active);
+  toolbar.set_button_visible("solution_step", status.is_active && !status.is_playing);
+  toolbar.set_button_visible("solution_stop", status.is_active || is_solving);
+  toolbar.set_button_label("solution_toggle", status.is_playing ? "Pause" : "Play");
+  if (status.move_count === 0) {
+    show_status_message("");
+    return;
+  }
+  const kind_label = solution_kind === "optimal" ? "Optimal" : "Staged (not optimal)";
+  const paused_label = status.is_active && !status.is_playing ? " (paused)" : "";
+  show_status_message(
+    `${kind_label} solution: move ${status.next_index}/${status.move_count}${paused_label}`
+  );
+}
+
+/**
+ * Sync the replay buttons, scrubber and HUD with the replay position.
+ *
+ * @param {import("./ui/replay_playback.js").ReplayStatus} status
+ */
+function update_replay_controls(status) {
+  toolbar.set_button_label("replay_toggle", status.is_playing ? "Pause" : "Play");
+  toolbar.set_button_label("replay_speed", `Speed ${status.speed}x`);
+  replay_scrubber.set_progress(status.position, status.move_count);
+  update_hud_text();
+}
+
+function layout_replay_scrubber() {
+  const viewport_size = get_viewport_size_px();
+  const font_size_px = resolved_relative_sizes.toolbar_font_size_px;
+  const scrubber_height_px = Math.round(font_size_px * 1.2);
+  // Leave a line below for the status message.
+  replay_scrubber.layout(
+    16,
+    viewport_size.viewport_height_px - TOOLBAR_MARGIN_PX - 2 * font_size_px - scrubber_height_px,
+    viewport_size.viewport_width_px - 32,
+    scrubber_height_px
+  );
+}
+
+/**
+ * Search for a solution from the current board and start playing it back.
+ *
+ * @returns {Promise<void>}
+ */
+async function solve_current_board() {
+  if (
+    is_solving ||
+    interaction_locked ||
+    is_replay_mode ||
+    is_preview_mode ||
+    success_popup_layer.visible ||
+    dialog.is_visible() ||
+    gallery.is_visible()
+  ) {
+    return;
+  }
+  if (is_goal_reached(board_state)) {
+    show_status_message("The board is already solved.");
+    return;
+  }
+  is_solving = true;
+  update_solution_controls(solution_playback.get_status());
+  show_status_message("Solving...");
+  const started_at_ms = performance.now();
+  /** @type {import("./core/solver.js").SolverResult | null} */
+  let solver_result;
+  try {
+    solver_result = await background_solver.solve(
+      grid.all_cells.map((cell) => cell_key(cell)),
+      [...instances_by_operator_id.values()].flat(),
+      board_state
+    );
+  } catch (error) {
+    if (is_solving) {
+      is_solving = false;
+      update_solution_controls(solution_playback.get_status());
+      console.error("[Solver] Search failed:", error);
+      show_status_message(`Solve failed: ${error instanceof Error ? error.message : String(error)}`, true);
+    }
+    return;
+  }
+  // Stop, a move or a new board cancels the search while it runs.
+  if (!is_solving) {
+    return;
+  }
+  is_solving = false;
+  update_solution_controls(solution_playback.get_status());
+  console.info("[Solver] Search finished:", {
+    kind: solver_result?.kind ?? "none",
+    move_count: solver_result?.moves.length ?? null,
+    nodes_expanded: solver_result?.nodes_expanded ?? null,
+    elapsed_ms: Math.round(performance.now() - started_at_ms)
+  });
+  if (!solver_result) {
+    show_status_message("No solution found within the search budget.", true);
+    return;
+  }
+  solution_kind = solver_result.kind;
+  is_assisted = true;
+  save_current_game();
+  solution_playback.start(solver_result.moves);
+}
+
 /**
  * @param {string} operator_id
  */
 function update_operator_help_text(operator_id) {
-  const operator_name_by_id = {
-    adjacent2_180: "1: adjacent2_180 (2 adjacent tiles, 180°)",
-    vertex3_120: "2: vertex3_120 (3 tiles, 120°)"
-  };
-  const selected_operator_label = operator_name_by_id[
-    /** @type {"adjacent2_180" | "vertex3_120"} */ (operator_id)
-  ];
+  const operator_index = allowed_operator_defs.findIndex(
+    (operator_def) => operator_def.id === operator_id
+  );
+  const operator_def = allowed_operator_defs[operator_index];
+  const selected_operator_label = operator_def
+    ? `${operator_index + 1}: ${operator_def.id} (${operator_def.description})`
+    : operator_id;
+  const operator_key_range =
+    allowed_operator_defs.length === 1 ? "1" : `1..${allowed_operator_defs.length}`;
   operator_help_text.text =
     `Operator: ${selected_operator_label}\n` +
-    "Switch operator: 1..2 | Space: image preview | Left click: CW | Right click: CCW";
+    `Switch operator: ${operator_key_range} | Space: image preview | Left click: CW | Right click: CCW\n` +
+    "Ctrl+Z: undo | Ctrl+Shift+Z / Ctrl+Y: redo | Ctrl+V: paste moves | H: hint\n" +
+    `Seed: ${game_seed} | Goal: ${goal_mode}`;
+}
+
+/**
+ * The clock runs only while the player can act on an unsolved board. The Space
+ * preview pauses it, so studying the picture does not count against the player.
+ *
+ * @returns {boolean}
+ */
+function is_clock_running() {
+  return (
+    !has_shown_solved_notification &&
+    !is_preview_mode &&
+    !success_popup_layer.visible &&
+    !dialog.is_visible() &&
+    !gallery.is_visible() &&
+    !document.hidden
+  );
+}
+
+function redraw_hud_text() {
+  if (replay_recording) {
+    const position = replay_playback?.get_status().position ?? 0;
+    const position_ms = position > 0 ? replay_recording.moves[position - 1].t_ms : 0;
+    hud_text.text =
+      `Replay: move ${position}/${replay_recording.moves.length} | ` +
+      `Time: ${format_elapsed_time(position_ms)}/${format_elapsed_time(get_recording_duration_ms(replay_recording))} | ` +
+      `Correct: ${correct_tile_count}/${board_state.tile_home_cell.size}`;
+    return;
+  }
+  const queued_move_count = move_queue.get_waiting_count();
+  hud_text.text =
+    `Moves: ${played_move_count} | Time: ${format_elapsed_time(elapsed_ms)} | ` +
+    `Correct: ${correct_tile_count}/${board_state.tile_home_cell.size}` +
+    (queued_move_count > 0 ? ` | Queued: ${queued_move_count}` : "");
+}
+
+/**
+ * Recount correct tiles after the board changes.
+ */
+function update_hud_text() {
+  correct_tile_count = count_correct_tiles(board_state, goal_mode, grid_symmetries);
+  redraw_hud_text();
+}
+
+function layout_hud_text() {
+  hud_text.style.fontSize = resolved_relative_sizes.operator_help_font_size_px;
+  hud_text.position.set(
+    operator_help_text.x,
+    operator_help_text.y + operator_help_text.height + HUD_MARGIN_TOP_PX
+  );
 }
 
 /**
  * @param {string} reason_label
  */
 function recompute_layout_and_visuals(reason_label) {
+  // An image board's shape was derived for one orientation, so it keeps that one until
+  // the next image is loaded.
+  const next_hex_orientation = game_mode === "i" ? hex_orientation : get_viewport_hex_orientation();
+  const is_orientation_change = next_hex_orientation !== hex_orientation;
+  if (is_orientation_change) {
+    console.info(`[Layout] Hex orientation: ${hex_orientation} -> ${next_hex_orientation} (${reason_label}).`);
+    hex_orientation = next_hex_orientation;
+  }
   const viewport_layout = derive_layout_for_viewport(reason_label);
   tile_derivation = viewport_layout.tile_derivation;
   board_origin = viewport_layout.board_origin;
   get_cell_world = viewport_layout.get_cell_world;
   resolved_relative_sizes = resolve_relative_sizes(viewport_layout.grid_confines_rect, reason_label);
+  // Tile borders, pin markers and baked shapes follow the orientation; the rebake below
+  // fills in the blank image tiles.
+  if (is_orientation_change) {
+    replace_tile_renderer();
+    set_tile_emphasis(highlighted_tile_ids, true);
+  }
   console.info("[Layout] Geometry summary:", {
     reason: reason_label,
     mode: game_mode,
@@ -1202,15 +3335,29 @@ function recompute_layout_and_visuals(reason_label) {
       background_sprite.width = image_rect.width;
       background_sprite.height = image_rect.height;
     }
-    const next_tile_textures = bake_tile_textures({
-      image: source_image_element,
-      tile_size_px: tile_derivation.tile_size_px,
-      home_cells: grid.all_cells,
-      get_cell_world,
-      image_rect
-    });
-    tile_renderer.set_tile_textures(next_tile_textures);
-    tile_textures = next_tile_textures;
+    // The current textures stay up, stretched to the new size, until the bake lands.
+    tile_baker
+      .bake({
+        image: source_image_element,
+        tile_size_px: tile_derivation.tile_size_px,
+        home_cells: grid.all_cells,
+        get_cell_world,
+        image_rect,
+        hex_orientation,
+        resolution: application.renderer.resolution
+      })
+      .then((next_tile_atlas) => {
+        if (!next_tile_atlas) {
+          return;
+        }
+        const previous_tile_atlas = tile_atlas;
+        tile_atlas = next_tile_atlas;
+        tile_renderer.set_tile_textures(next_tile_atlas.textures);
+        previous_tile_atlas?.destroy();
+      })
+      .catch((error) => {
+        console.error(`[Bake] Rebake failed (${reason_label}):`, error);
+      });
   } else {
     redraw_number_mode_background_labels(resolved_relative_sizes.number_mode_background_font_size_px);
   }
@@ -1221,15 +3368,31 @@ function recompute_layout_and_visuals(reason_label) {
   tile_renderer.sync_all_from_state(board_state);
   rebuild_operator_instances();
   const selected_operator_id = input_controller.get_selected_operator_id();
-  input_controller.set_instances(instances_by_operator_id.get(selected_operator_id) ?? []);
+  input_controller.set_instances(
+    instances_by_operator_id.get(selected_operator_id) ?? [],
+    tile_derivation.tile_size_px
+  );
   operator_help_text.style.fontSize = resolved_relative_sizes.operator_help_font_size_px;
   success_popup_title.style.fontSize = resolved_relative_sizes.success_popup_title_font_size_px;
   success_popup_message.style.fontSize = resolved_relative_sizes.success_popup_message_font_size_px;
   success_popup_close_label.style.fontSize = resolved_relative_sizes.success_popup_button_font_size_px;
   input_controller.set_pivot_hit_radius(resolved_relative_sizes.pivot_hit_radius_px);
   update_operator_help_text(selected_operator_id);
+  layout_hud_text();
   draw_success_popup();
   layout_success_popup();
+  toolbar.set_font_size(resolved_relative_sizes.toolbar_font_size_px);
+  dialog.set_font_sizes(
+    resolved_relative_sizes.success_popup_title_font_size_px,
+    resolved_relative_sizes.success_popup_message_font_size_px
+  );
+  dialog.layout(get_viewport_size_px().viewport_width_px);
+  gallery.set_font_size(resolved_relative_sizes.success_popup_message_font_size_px);
+  gallery.layout(get_viewport_size_px().viewport_width_px, get_viewport_size_px().viewport_height_px);
+  toolbar.layout(get_viewport_size_px().viewport_width_px);
+  layout_status_message();
+  layout_replay_scrubber();
+  hint_direction_text.visible = false;
   redraw_pivot_markers(selected_operator_id);
   redraw_hover_outline(hovered_instance);
   console.info("[Relative size] Applied runtime visual sizes:", {
@@ -1251,7 +3414,7 @@ const input_controller = create_input_controller({
       return;
     }
     const instances = instances_by_operator_id.get(operator_id) ?? [];
-    input_controller.set_instances(instances);
+    input_controller.set_instances(instances, tile_derivation.tile_size_px);
     update_operator_help_text(operator_id);
     update_hover_highlight(null);
     redraw_pivot_markers(operator_id);
@@ -1268,18 +3431,77 @@ const input_controller = create_input_controller({
    * @param {AnchorInstance} instance
    */
   on_move_request(direction_sign, instance) {
-    if (is_preview_mode || success_popup_layer.visible) {
+    if (is_board_input_blocked()) {
       return;
     }
-    void run_move(direction_sign, instance);
+    stop_solution();
+    const is_queued = move_queue.enqueue({
+      operator_id: instance.operator_id,
+      anchor_id: instance.anchor_id,
+      direction_sign
+    });
+    if (!is_queued) {
+      show_status_message(`Move queue is full (${url_params.max_queue_depth}); that click was dropped.`);
+    }
+  },
+  /** @param {{ x: number, y: number }} pointer_world */
+  is_over_controls(pointer_world) {
+    return toolbar.is_point_over_button(pointer_world);
   }
 });
 
-input_controller.set_instances(instances_by_operator_id.get(initial_operator_id) ?? []);
+input_controller.set_instances(
+  instances_by_operator_id.get(initial_operator_id) ?? [],
+  tile_derivation.tile_size_px
+);
 update_operator_help_text(initial_operator_id);
+update_hud_text();
 redraw_pivot_markers(initial_operator_id);
 recompute_layout_and_visuals("post-init");
 
+application.ticker.add((ticker) => {
+  if (!is_clock_running()) {
+    return;
+  }
+  elapsed_ms += ticker.deltaMS;
+  redraw_hud_text();
+});
+// Moves and hints save right away; the clock is saved when the tab is hidden or closed.
+window.addEventListener("pagehide", () => {
+  save_current_game();
+});
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) {
+    save_current_game();
+  }
+});
+
+if (replay_playback) {
+  update_replay_controls(replay_playback.get_status());
+  show_status_message("Replay loaded. Play, step or drag the timeline.");
+} else if (resumable_game) {
+  dialog.show({
+    title: "Resume game?",
+    message: `A saved game (seed ${game_seed}) was found for this board.`,
+    buttons: [
+      {
+        label: "Resume",
+        on_press() {
+          show_status_message("Saved game resumed.");
+        }
+      },
+      {
+        label: "New game",
+        on_press() {
+          start_new_game();
+        }
+      }
+    ]
+  });
+} else {
+  save_current_game();
+}
+
 let resize_recompute_scheduled = false;
 /**
  * @param {string} reason_label
@@ -1308,6 +3530,31 @@ if (window.visualViewport) {
   });
 }
 
+/**
+ * Watch for the device pixel ratio leaving its current value, e.g. when the window moves
+ * to a monitor with another ratio. The query matches one ratio, so it is re-armed after
+ * every change.
+ */
+function watch_device_pixel_ratio() {
+  const resolution_query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+  resolution_query.addEventListener(
+    "change",
+    () => {
+      const next_resolution = get_render_resolution();
+      if (next_resolution !== application.renderer.resolution) {
+        console.info(
+          `[Layout] Render resolution ${application.renderer.resolution} -> ${next_resolution}; rebaking.`
+        );
+        application.renderer.resolution = next_resolution;
+        schedule_resize_recompute("resolution-change");
+      }
+      watch_device_pixel_ratio();
+    },
+    { once: true }
+  );
+}
+watch_device_pixel_ratio();
+
 window.addEventListener("keydown", (keyboard_event) => {
   if (keyboard_event.code !== "Space") {
     return;
@@ -1315,3 +3562,41 @@ window.addEventListener("keydown", (keyboard_event) => {
   keyboard_event.preventDefault();
   apply_preview_mode(!is_preview_mode);
 });
+
+window.addEventListener("keydown", (keyboard_event) => {
+  if (!keyboard_event.ctrlKey && !keyboard_event.metaKey) {
+    return;
+  }
+  const is_redo =
+    keyboard_event.code === "KeyY" || (keyboard_event.code === "KeyZ" && keyboard_event.shiftKey);
+  const is_undo = keyboard_event.code === "KeyZ" && !keyboard_event.shiftKey;
+  if (!is_undo && !is_redo) {
+    return;
+  }
+  keyboard_event.preventDefault();
+  void (is_undo ? undo_move() : redo_move());
+});
+
+window.addEventListener("keydown", (keyboard_event) => {
+  const has_modifier = keyboard_event.ctrlKey || keyboard_event.metaKey || keyboard_event.altKey;
+  if (keyboard_event.code !== "KeyH" || has_modifier) {
+    return;
+  }
+  keyboard_event.preventDefault();
+  show_hint();
+});
+
+listen_for_dropped_file(application.canvas, (file) => {
+  void load_custom_image(file);
+});
+
+window.addEventListener("paste", (clipboard_event) => {
+  const pasted_text = clipboard_event.clipboardData?.getData("text/plain")?.trim() ?? "";
+  if (pasted_text === "") {
+    return;
+  }
+  clipboard_event.preventDefault();
+  play_move_notation(pasted_text).catch((error) => {
+    console.error("[Move] Could not play pasted moves:", error);
+  });
+});
@@ -0,0 +1,104 @@
+// @ts-check
+
+/**
+ * @typedef {(progress: number) => number} Easing
+ */
+
+/**
+ * @typedef {"slow" | "normal" | "fast" | "instant"} AnimationSpeed
+ */
+
+/**
+ * @typedef {{
+ *   tween: (
+ *     duration_ms: number,
+ *     on_update: (eased_progress: number, progress: number) => void,
+ *     easing?: Easing
+ *   ) => Promise<void>,
+ *   get_speed: () => AnimationSpeed,
+ *   set_speed: (speed: AnimationSpeed) => void
+ * }} Animator
+ */
+
+/** @type {Record<"linear" | "ease_in_out_cubic" | "ease_out_cubic", Easing>} */
+export const EASINGS = {
+  linear: (progress) => progress,
+  ease_in_out_cubic: (progress) =>
+    progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2,
+  ease_out_cubic: (progress) => 1 - (1 - progress) ** 3
+};
+
+// Durations are multiplied by these; instant jumps straight to the end state.
+/** @type {Record<AnimationSpeed, number>} */
+export const ANIMATION_SPEED_FACTORS = {
+  slow: 1.75,
+  normal: 1,
+  fast: 0.5,
+  instant: 0
+};
+
+/** @type {AnimationSpeed[]} */
+export const ANIMATION_SPEEDS = ["slow", "normal", "fast", "instant"];
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * @param {string} text
+ * @returns {text is AnimationSpeed}
+ */
+export function is_animation_speed(text) {
+  return ANIMATION_SPEEDS.includes(/** @type {AnimationSpeed} */ (text));
+}
+
+/**
+ * Run tweens on animation frames at a shared speed. Until the player picks a speed,
+ * it follows the system setting: instant when reduced motion is requested, otherwise normal.
+ *
+ * @param {{ speed: AnimationSpeed | null }} options
+ * @returns {Animator}
+ */
+export function create_animator(options) {
+  const reduced_motion_query = window.matchMedia(REDUCED_MOTION_QUERY);
+  /** @type {AnimationSpeed | null} */
+  let chosen_speed = options.speed;
+
+  /**
+   * @returns {AnimationSpeed}
+   */
+  function get_speed() {
+    return chosen_speed ?? (reduced_motion_query.matches ? "instant" : "normal");
+  }
+
+  return {
+    tween(duration_ms, on_update, easing = EASINGS.ease_in_out_cubic) {
+      const scaled_duration_ms = duration_ms * ANIMATION_SPEED_FACTORS[get_speed()];
+      if (!(scaled_duration_ms > 0)) {
+        on_update(1, 1);
+        // Still wait a frame, so loops of instant moves let the page paint and take clicks.
+        return new Promise((resolve) => {
+          requestAnimationFrame(() => resolve());
+        });
+      }
+      return new Promise((resolve) => {
+        const start_time = performance.now();
+        /**
+         * @param {number} now
+         */
+        function frame(now) {
+          const progress = Math.min(1, Math.max(0, (now - start_time) / scaled_duration_ms));
+          on_update(easing(progress), progress);
+          if (progress >= 1) {
+            resolve();
+          } else {
+            requestAnimationFrame(frame);
+          }
+        }
+        requestAnimationFrame(frame);
+      });
+    },
+    get_speed,
+    set_speed(speed) {
+      chosen_speed = speed;
+    }
+  };
+}
@@ -0,0 +1,169 @@
+// @ts-check
+
+import { create_hex_points, get_hex_half_extents } from "../core/coords.js";
+
+/**
+ * Drawing half of the tile atlas bake. It has no Pixi dependency so the bake worker
+ * can run it on an OffscreenCanvas; render/bake wraps the pages in textures. All sizes
+ * here are device pixels: render/bake scales its inputs by the bake resolution.
+ */
+
+/**
+ * @typedef {{ x: number, y: number }} WorldPoint
+ */
+
+/**
+ * @typedef {{
+ *   x: number,
+ *   y: number,
+ *   width: number,
+ *   height: number
+ * }} Rect
+ */
+
+/**
+ * @typedef {{
+ *   cell_width: number,
+ *   cell_height: number,
+ *   column_count: number,
+ *   tiles_per_page: number,
+ *   page_count: number
+ * }} AtlasLayout
+ */
+
+/**
+ * @typedef {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} AtlasContext
+ */
+
+// Sides up to 4096 px are supported by practically every WebGL implementation.
+export const DEFAULT_MAX_PAGE_SIDE_PX = 4096;
+
+/**
+ * Size of one atlas cell: the hex bounding box plus a transparent 1 px margin, so
+ * filtering never samples a neighbour.
+ *
+ * @param {number} tile_size_px
+ * @param {import("../core/coords.js").HexOrientation} hex_orientation
+ * @returns {{ cell_width: number, cell_height: number }}
+ */
+export function get_atlas_cell_size(tile_size_px, hex_orientation) {
+  const { half_width, half_height } = get_hex_half_extents(tile_size_px, hex_orientation);
+  return {
+    cell_width: Math.ceil(2 * half_width) + 2,
+    cell_height: Math.ceil(2 * half_height) + 2
+  };
+}
+
+/**
+ * Lay tiles out in equal cells, aiming for square pages but never past the page
+ * limit; a board that does not fit on one page spills onto more pages.
+ *
+ * @param {{
+ *   tile_size_px: number,
+ *   hex_orientation: import("../core/coords.js").HexOrientation,
+ *   tile_count: number,
+ *   max_page_side_px: number
+ * }} options
+ * @returns {AtlasLayout}
+ */
+export function get_atlas_layout(options) {
+  const { cell_width, cell_height } = get_atlas_cell_size(options.tile_size_px, options.hex_orientation);
+  if (cell_width > options.max_page_side_px || cell_height > options.max_page_side_px) {
+    throw new Error(
+      `Tile of ${cell_width}x${cell_height} px does not fit an atlas page of ${options.max_page_side_px} px.`
+    );
+  }
+  const column_count = Math.max(
+    1,
+    Math.min(
+      Math.floor(options.max_page_side_px / cell_width),
+      Math.ceil(Math.sqrt((options.tile_count * cell_height) / cell_width))
+    )
+  );
+  const tiles_per_page = column_count * Math.floor(options.max_page_side_px / cell_height);
+  return {
+    cell_width,
+    cell_height,
+    column_count,
+    tiles_per_page,
+    page_count: Math.max(1, Math.ceil(options.tile_count / tiles_per_page))
+  };
+}
+
+/**
+ * @param {AtlasLayout} layout
+ * @param {number} page_tile_count
+ * @returns {{ width: number, height: number }}
+ */
+export function get_atlas_page_size(layout, page_tile_count) {
+  return {
+    width: layout.column_count * layout.cell_width,
+    height: Math.max(1, Math.ceil(page_tile_count / layout.column_count)) * layout.cell_height
+  };
+}
+
+/**
+ * @param {AtlasContext} canvas_context
+ * @param {WorldPoint[]} hex_points
+ * @param {number} center_x
+ * @param {number} center_y
+ */
+function add_hex_path(canvas_context, hex_points, center_x, center_y) {
+  canvas_context.beginPath();
+  canvas_context.moveTo(center_x + hex_points[0].x, center_y + hex_points[0].y);
+  for (let point_index = 1; point_index < hex_points.length; point_index += 1) {
+    const point = hex_points[point_index];
+    canvas_context.lineTo(center_x + point.x, center_y + point.y);
+  }
+  canvas_context.closePath();
+}
+
+/**
+ * Draw one page: each tile's hex of the image in its cell, filled row by row. Returns
+ * the top-left corner of every tile's cell, in `tile_worlds` order.
+ *
+ * The hex is filled with an image pattern rather than clipped: fills are antialiased
+ * everywhere, while clip edges alias in some browsers.
+ *
+ * @param {AtlasContext} canvas_context
+ * @param {{
+ *   image: HTMLImageElement | ImageBitmap,
+ *   tile_size_px: number,
+ *   hex_orientation: import("../core/coords.js").HexOrientation,
+ *   tile_worlds: WorldPoint[],
+ *   image_rect: Rect,
+ *   layout: AtlasLayout
+ * }} options
+ * @returns {WorldPoint[]}
+ */
+export function draw_atlas_page(canvas_context, options) {
+  const { cell_width, cell_height, column_count } = options.layout;
+  const hex_points = create_hex_points(options.tile_size_px, options.hex_orientation);
+  const image_pattern = canvas_context.createPattern(options.image, "no-repeat");
+  if (!image_pattern) {
+    throw new Error("Could not create image pattern for baking.");
+  }
+  canvas_context.fillStyle = image_pattern;
+  const image_scale_x = options.image_rect.width / options.image.width;
+  const image_scale_y = options.image_rect.height / options.image.height;
+  return options.tile_worlds.map((tile_world, cell_index) => {
+    const cell_origin = {
+      x: (cell_index % column_count) * cell_width,
+      y: Math.floor(cell_index / column_count) * cell_height
+    };
+    const cell_center_x = cell_origin.x + cell_width / 2;
+    const cell_center_y = cell_origin.y + cell_height / 2;
+    // Place the image so this home cell's region lands inside the tile's atlas cell.
+    image_pattern.setTransform(
+      new DOMMatrix()
+        .translate(
+          options.image_rect.x - tile_world.x + cell_center_x,
+          options.image_rect.y - tile_world.y + cell_center_y
+        )
+        .scale(image_scale_x, image_scale_y)
+    );
+    add_hex_path(canvas_context, hex_points, cell_center_x, cell_center_y);
+    canvas_context.fill();
+    return cell_origin;
+  });
+}
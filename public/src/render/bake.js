@@ -1,7 +1,12 @@
 // @ts-check
 
-import { Texture } from "pixi.js";
-import { create_hex_points } from "../core/coords.js";
+import { CanvasSource, ImageSource, Rectangle, Texture } from "pixi.js";
+import {
+  DEFAULT_MAX_PAGE_SIDE_PX,
+  draw_atlas_page,
+  get_atlas_layout,
+  get_atlas_page_size
+} from "./atlas_pages.js";
 
 /**
  * @typedef {{ q: number, r: number }} Cell
@@ -21,69 +26,370 @@ import { create_hex_points } from "../core/coords.js";
  */
 
 /**
- * @param {CanvasRenderingContext2D} canvas_context
- * @param {WorldPoint[]} hex_points
- * @param {number} center_x
- * @param {number} center_y
+ * @typedef {{
+ *   image: HTMLImageElement,
+ *   tile_size_px: number,
+ *   home_cells: Cell[],
+ *   get_cell_world: (cell: Cell) => WorldPoint,
+ *   image_rect: Rect,
+ *   hex_orientation?: import("../core/coords.js").HexOrientation,
+ *   resolution?: number,
+ *   max_page_side_px?: number
+ * }} BakeOptions
  */
-function add_hex_clip_path(canvas_context, hex_points, center_x, center_y) {
-  canvas_context.beginPath();
-  canvas_context.moveTo(center_x + hex_points[0].x, center_y + hex_points[0].y);
-  for (let point_index = 1; point_index < hex_points.length; point_index += 1) {
-    const point = hex_points[point_index];
-    canvas_context.lineTo(center_x + point.x, center_y + point.y);
-  }
-  canvas_context.closePath();
+
+/**
+ * Tiles are baked at `resolution` device pixels per CSS pixel (default 1) so they stay
+ * sharp on high-DPI screens; the texture sources carry the same resolution, so the
+ * textures keep their CSS size.
+ *
+ * @param {BakeOptions} options
+ * @returns {{ resolution: number, tile_size_px: number, tile_worlds: WorldPoint[], image_rect: Rect }}
+ */
+function get_device_bake_input(options) {
+  const resolution = options.resolution ?? 1;
+  return {
+    resolution,
+    tile_size_px: options.tile_size_px * resolution,
+    tile_worlds: options.home_cells.map((home_cell) => {
+      const tile_world = options.get_cell_world(home_cell);
+      return { x: tile_world.x * resolution, y: tile_world.y * resolution };
+    }),
+    image_rect: {
+      x: options.image_rect.x * resolution,
+      y: options.image_rect.y * resolution,
+      width: options.image_rect.width * resolution,
+      height: options.image_rect.height * resolution
+    }
+  };
 }
 
 /**
+ * Every baked tile lives in one of a few large canvases ("pages"); `textures` holds a
+ * sub-texture per tile id. `destroy` frees the pages and their GPU copies, so a rebake
+ * must destroy the atlas it replaces once nothing shows it any more.
+ *
+ * @typedef {{
+ *   textures: Map<string, Texture>,
+ *   page_count: number,
+ *   destroy: () => void
+ * }} TileAtlas
+ */
+
+/**
+ * @typedef {{
+ *   bake: (options: BakeOptions) => Promise<TileAtlas | null>
+ * }} TileBaker
+ */
+
+// Pages plus tile sub-textures alive across all atlases; logged to spot leaks.
+let live_texture_count = 0;
+
+/**
+ * Wrap baked pages in Pixi textures: one source per page and a sub-texture framing
+ * each tile's cell. Cell origins are in device pixels; frames are in CSS pixels.
+ *
  * @param {{
- *   image: HTMLImageElement,
- *   tile_size_px: number,
- *   home_cells: Cell[],
- *   get_cell_world: (cell: Cell) => WorldPoint,
- *   image_rect: Rect
+ *   page_sources: (CanvasSource | ImageSource)[],
+ *   release_page: (page_index: number) => void,
+ *   tile_ids: string[],
+ *   cell_origins: WorldPoint[],
+ *   layout: import("./atlas_pages.js").AtlasLayout,
+ *   resolution: number,
+ *   bake_start_ms: number,
+ *   bake_path: "main" | "worker"
  * }} options
- * @returns {Map<string, Texture>}
+ * @returns {TileAtlas}
  */
-export function bake_tile_textures(options) {
-  const hex_width = Math.sqrt(3) * options.tile_size_px;
-  const hex_height = 2 * options.tile_size_px;
-  const canvas_width = Math.ceil(hex_width) + 2;
-  const canvas_height = Math.ceil(hex_height) + 2;
-  const canvas_center_x = canvas_width / 2;
-  const canvas_center_y = canvas_height / 2;
-  const hex_points = create_hex_points(options.tile_size_px);
+function create_tile_atlas(options) {
+  const { cell_width, cell_height, tiles_per_page } = options.layout;
+  const resolution = options.resolution;
   /** @type {Map<string, Texture>} */
   const textures = new Map();
+  options.tile_ids.forEach((tile_id, tile_index) => {
+    const cell_origin = options.cell_origins[tile_index];
+    textures.set(
+      tile_id,
+      new Texture({
+        source: options.page_sources[Math.floor(tile_index / tiles_per_page)],
+        frame: new Rectangle(
+          cell_origin.x / resolution,
+          cell_origin.y / resolution,
+          cell_width / resolution,
+          cell_height / resolution
+        )
+      })
+    );
+  });
+
+  live_texture_count += options.page_sources.length + textures.size;
+  console.info("[Bake] Tile atlas baked:", {
+    bake_path: options.bake_path,
+    tile_count: options.tile_ids.length,
+    resolution,
+    page_count: options.page_sources.length,
+    page_size_px: `${options.page_sources[0].pixelWidth}x${options.page_sources[0].pixelHeight}`,
+    bake_ms: Math.round((performance.now() - options.bake_start_ms) * 10) / 10,
+    live_texture_count
+  });
+
+  let is_destroyed = false;
+  return {
+    textures,
+    page_count: options.page_sources.length,
+    destroy() {
+      if (is_destroyed) {
+        return;
+      }
+      is_destroyed = true;
+      for (const texture of textures.values()) {
+        texture.destroy(false);
+      }
+      options.page_sources.forEach((page_source, page_index) => {
+        page_source.destroy();
+        options.release_page(page_index);
+      });
+      live_texture_count -= options.page_sources.length + textures.size;
+      textures.clear();
+    }
+  };
+}
 
-  for (const home_cell of options.home_cells) {
-    const tile_id = `${home_cell.q},${home_cell.r}`;
-    const tile_world = options.get_cell_world(home_cell);
+/**
+ * Bake every tile's hex-clipped slice of the image into a shared atlas on the main
+ * thread.
+ *
+ * @param {BakeOptions} options
+ * @returns {TileAtlas}
+ */
+export function bake_tile_atlas(options) {
+  const bake_start_ms = performance.now();
+  const hex_orientation = options.hex_orientation ?? "flat";
+  const device_input = get_device_bake_input(options);
+  const layout = get_atlas_layout({
+    tile_size_px: device_input.tile_size_px,
+    hex_orientation,
+    tile_count: options.home_cells.length,
+    max_page_side_px: options.max_page_side_px ?? DEFAULT_MAX_PAGE_SIDE_PX
+  });
+  /** @type {HTMLCanvasElement[]} */
+  const page_canvases = [];
+  /** @type {WorldPoint[]} */
+  const cell_origins = [];
+
+  for (let page_index = 0; page_index < layout.page_count; page_index += 1) {
+    const page_worlds = device_input.tile_worlds.slice(
+      page_index * layout.tiles_per_page,
+      (page_index + 1) * layout.tiles_per_page
+    );
+    const page_size = get_atlas_page_size(layout, page_worlds.length);
     const canvas_element = document.createElement("canvas");
-    canvas_element.width = canvas_width;
-    canvas_element.height = canvas_height;
+    canvas_element.width = page_size.width;
+    canvas_element.height = page_size.height;
     const canvas_context = canvas_element.getContext("2d");
     if (!canvas_context) {
       throw new Error("Could not get 2D context for baking.");
     }
-
-    // Clip to hex, then draw the aligned source image into local tile coordinates.
-    canvas_context.save();
-    add_hex_clip_path(canvas_context, hex_points, canvas_center_x, canvas_center_y);
-    canvas_context.clip();
-    canvas_context.drawImage(
-      options.image,
-      options.image_rect.x - tile_world.x + canvas_center_x,
-      options.image_rect.y - tile_world.y + canvas_center_y,
-      options.image_rect.width,
-      options.image_rect.height
+    cell_origins.push(
+      ...draw_atlas_page(canvas_context, {
+        image: options.image,
+        tile_size_px: device_input.tile_size_px,
+        hex_orientation,
+        tile_worlds: page_worlds,
+        image_rect: device_input.image_rect,
+        layout
+      })
     );
-    canvas_context.restore();
-
-    textures.set(tile_id, Texture.from(canvas_element));
+    page_canvases.push(canvas_element);
   }
 
-  return textures;
+  return create_tile_atlas({
+    // A CanvasSource, unlike Texture.from, is not kept in Pixi's global cache.
+    page_sources: page_canvases.map(
+      (canvas_element) => new CanvasSource({ resource: canvas_element, resolution: device_input.resolution })
+    ),
+    release_page(page_index) {
+      const canvas_element = page_canvases[page_index];
+      // Drop the pixel buffer now instead of waiting for the canvas to be collected.
+      canvas_element.width = 0;
+      canvas_element.height = 0;
+    },
+    tile_ids: options.home_cells.map((home_cell) => `${home_cell.q},${home_cell.r}`),
+    cell_origins,
+    layout,
+    resolution: device_input.resolution,
+    bake_start_ms,
+    bake_path: "main"
+  });
+}
+
+/**
+ * @returns {boolean}
+ */
+function can_bake_in_worker() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap === "function"
+  );
 }
 
+/**
+ * Bake atlases in a worker (render/bake_worker) so resizes do not block the main
+ * thread. Only the latest request wins: a request made while a bake runs replaces any
+ * request still waiting, and the superseded ones resolve to null (a finished bake that
+ * is already stale is destroyed). Without worker support, or once the worker fails,
+ * bakes run synchronously through bake_tile_atlas.
+ *
+ * @returns {TileBaker}
+ */
+export function create_tile_baker() {
+  /** @type {Worker | null} */
+  let worker = null;
+  if (can_bake_in_worker()) {
+    try {
+      worker = new Worker(new URL("./bake_worker.js", import.meta.url), { type: "module" });
+    } catch (error) {
+      console.warn("[Bake] Could not start bake worker; baking on the main thread:", error);
+    }
+  }
+  /** @type {HTMLImageElement | null} */
+  let worker_image = null;
+  let next_request_id = 1;
+  let is_baking = false;
+  /** @type {{ options: BakeOptions, resolve: (atlas: TileAtlas | null) => void, reject: (error: unknown) => void } | null} */
+  let waiting_request = null;
+
+  /**
+   * @param {BakeOptions} options
+   * @returns {Promise<TileAtlas>}
+   */
+  async function bake_in_worker(options) {
+    const active_worker = worker;
+    if (!active_worker) {
+      return bake_tile_atlas(options);
+    }
+    const bake_start_ms = performance.now();
+    const request_id = next_request_id;
+    next_request_id += 1;
+    const image_bitmap = options.image === worker_image ? null : await createImageBitmap(options.image);
+    const home_cells = options.home_cells;
+    const device_input = get_device_bake_input(options);
+    /** @type {import("./bake_worker.js").BakeResponse} */
+    const response = await new Promise((resolve, reject) => {
+      /**
+       * @param {MessageEvent<import("./bake_worker.js").BakeResponse>} message_event
+       */
+      const on_message = (message_event) => {
+        if (message_event.data.request_id !== request_id) {
+          return;
+        }
+        active_worker.removeEventListener("message", on_message);
+        active_worker.removeEventListener("error", on_error);
+        resolve(message_event.data);
+      };
+      /**
+       * @param {ErrorEvent} error_event
+       */
+      const on_error = (error_event) => {
+        active_worker.removeEventListener("message", on_message);
+        active_worker.removeEventListener("error", on_error);
+        reject(new Error(`Bake worker failed: ${error_event.message}`));
+      };
+      active_worker.addEventListener("message", on_message);
+      active_worker.addEventListener("error", on_error);
+      active_worker.postMessage(
+        {
+          request_id,
+          image_bitmap,
+          tile_size_px: device_input.tile_size_px,
+          hex_orientation: options.hex_orientation ?? "flat",
+          tile_worlds: device_input.tile_worlds,
+          image_rect: device_input.image_rect,
+          max_page_side_px: options.max_page_side_px ?? DEFAULT_MAX_PAGE_SIDE_PX
+        },
+        image_bitmap ? [image_bitmap] : []
+      );
+    });
+    worker_image = options.image;
+    if ("error" in response) {
+      throw new Error(response.error);
+    }
+    return create_tile_atlas({
+      page_sources: response.pages.map(
+        (page_bitmap) => new ImageSource({ resource: page_bitmap, resolution: device_input.resolution })
+      ),
+      release_page(page_index) {
+        response.pages[page_index].close();
+      },
+      tile_ids: home_cells.map((home_cell) => `${home_cell.q},${home_cell.r}`),
+      cell_origins: response.cell_origins,
+      layout: response.layout,
+      resolution: device_input.resolution,
+      bake_start_ms,
+      bake_path: "worker"
+    });
+  }
+
+  async function run_waiting_requests() {
+    is_baking = true;
+    while (waiting_request) {
+      const current_request = waiting_request;
+      waiting_request = null;
+      /** @type {TileAtlas} */
+      let tile_atlas;
+      try {
+        tile_atlas = await bake_in_worker(current_request.options);
+      } catch (error) {
+        if (!worker) {
+          current_request.reject(error);
+          continue;
+        }
+        console.warn("[Bake] Worker bake failed; baking on the main thread from now on:", error);
+        worker.terminate();
+        worker = null;
+        try {
+          tile_atlas = bake_tile_atlas(current_request.options);
+        } catch (fallback_error) {
+          current_request.reject(fallback_error);
+          continue;
+        }
+      }
+      if (waiting_request) {
+        console.info("[Bake] Dropped a stale bake; a newer request is waiting.");
+        tile_atlas.destroy();
+        current_request.resolve(null);
+        continue;
+      }
+      current_request.resolve(tile_atlas);
+    }
+    is_baking = false;
+  }
+
+  return {
+    /**
+     * @param {BakeOptions} options
+     * @returns {Promise<TileAtlas | null>}
+     */
+    bake(options) {
+      try {
+        // Size errors are the same on either path, so they must not count as a worker failure.
+        get_atlas_layout({
+          tile_size_px: options.tile_size_px * (options.resolution ?? 1),
+          hex_orientation: options.hex_orientation ?? "flat",
+          tile_count: options.home_cells.length,
+          max_page_side_px: options.max_page_side_px ?? DEFAULT_MAX_PAGE_SIDE_PX
+        });
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      return new Promise((resolve, reject) => {
+        waiting_request?.resolve(null);
+        waiting_request = { options, resolve, reject };
+        if (!is_baking) {
+          void run_waiting_requests();
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,105 @@
+// @ts-check
+
+import { draw_atlas_page, get_atlas_layout, get_atlas_page_size } from "./atlas_pages.js";
+
+/**
+ * Module worker behind create_tile_baker: draws atlas pages on OffscreenCanvas and
+ * sends them back as ImageBitmaps. The source image arrives once per image (as a
+ * transferred ImageBitmap) and is kept for later bakes of the same image.
+ */
+
+/**
+ * @typedef {{
+ *   request_id: number,
+ *   image_bitmap: ImageBitmap | null,
+ *   tile_size_px: number,
+ *   hex_orientation: import("../core/coords.js").HexOrientation,
+ *   tile_worlds: import("./atlas_pages.js").WorldPoint[],
+ *   image_rect: import("./atlas_pages.js").Rect,
+ *   max_page_side_px: number
+ * }} BakeRequest
+ */
+
+/**
+ * `cell_origins` follow the order of the request's `tile_worlds`.
+ *
+ * @typedef {{
+ *   request_id: number,
+ *   pages: ImageBitmap[],
+ *   cell_origins: import("./atlas_pages.js").WorldPoint[],
+ *   layout: import("./atlas_pages.js").AtlasLayout
+ * } | {
+ *   request_id: number,
+ *   error: string
+ * }} BakeResponse
+ */
+
+// The DOM lib types `self` as a Window; only these two members are used.
+const worker_scope = /** @type {{
+ *   addEventListener: (type: "message", listener: (message_event: MessageEvent<BakeRequest>) => void) => void,
+ *   postMessage: (message: BakeResponse, transfer: Transferable[]) => void
+ * }} */ (/** @type {unknown} */ (self));
+
+/** @type {ImageBitmap | null} */
+let source_bitmap = null;
+
+/**
+ * @param {BakeRequest} request
+ * @returns {BakeResponse & { pages: ImageBitmap[] }}
+ */
+function bake_pages(request) {
+  if (!source_bitmap) {
+    throw new Error("Bake worker has no source image.");
+  }
+  const layout = get_atlas_layout({
+    tile_size_px: request.tile_size_px,
+    hex_orientation: request.hex_orientation,
+    tile_count: request.tile_worlds.length,
+    max_page_side_px: request.max_page_side_px
+  });
+  /** @type {ImageBitmap[]} */
+  const pages = [];
+  /** @type {import("./atlas_pages.js").WorldPoint[]} */
+  const cell_origins = [];
+  for (let page_index = 0; page_index < layout.page_count; page_index += 1) {
+    const page_worlds = request.tile_worlds.slice(
+      page_index * layout.tiles_per_page,
+      (page_index + 1) * layout.tiles_per_page
+    );
+    const page_size = get_atlas_page_size(layout, page_worlds.length);
+    const offscreen_canvas = new OffscreenCanvas(page_size.width, page_size.height);
+    const canvas_context = offscreen_canvas.getContext("2d");
+    if (!canvas_context) {
+      throw new Error("Could not get OffscreenCanvas 2D context for baking.");
+    }
+    cell_origins.push(
+      ...draw_atlas_page(canvas_context, {
+        image: source_bitmap,
+        tile_size_px: request.tile_size_px,
+        hex_orientation: request.hex_orientation,
+        tile_worlds: page_worlds,
+        image_rect: request.image_rect,
+        layout
+      })
+    );
+    pages.push(offscreen_canvas.transferToImageBitmap());
+  }
+  return { request_id: request.request_id, pages, cell_origins, layout };
+}
+
+worker_scope.addEventListener("message", (message_event) => {
+  const request = message_event.data;
+  if (request.image_bitmap) {
+    source_bitmap?.close();
+    source_bitmap = request.image_bitmap;
+  }
+  try {
+    const response = bake_pages(request);
+    worker_scope.postMessage(response, response.pages);
+  } catch (error) {
+    worker_scope.postMessage(
+      { request_id: request.request_id, error: error instanceof Error ? error.message : String(error) },
+      []
+    );
+  }
+});
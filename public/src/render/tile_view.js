@@ -3,6 +3,7 @@
 import { Container, Graphics, Sprite, Text } from "pixi.js";
 import { cell_key, create_hex_points, parse_cell_key } from "../core/coords.js";
 import { cell_to_label } from "../core/cell_label.js";
+import { get_atlas_cell_size } from "./atlas_pages.js";
 
 /**
  * @typedef {{ q: number, r: number }} Cell
@@ -30,6 +31,10 @@ import { cell_to_label } from "../core/cell_label.js";
  * }} Grid
  */
 
+/**
+ * @typedef {import("../core/coords.js").HexOrientation} HexOrientation
+ */
+
 /**
  * @typedef {{
  *   container: Container,
@@ -37,18 +42,36 @@ import { cell_to_label } from "../core/cell_label.js";
  *   hex_fill?: Graphics,
  *   sprite?: Sprite,
  *   label_text?: Text,
- *   overline_graphics?: Graphics
+ *   overline_graphics?: Graphics,
+ *   pin_marker?: Graphics,
+ *   lift_shadow?: Graphics
  * }} TileView
  */
 
+const HOLE_FILL_COLOR = 0x000000;
+const HOLE_FILL_ALPHA = 0.7;
+const PINNED_SHADE_ALPHA = 0.35;
+const PIN_COLOR = 0xd04040;
+const PIN_RADIUS_RATIO = 0.12;
+// Pin head sits this far above the tile center, in tile sizes, clear of number labels.
+const PIN_OFFSET_Y_RATIO = -0.6;
+// A fully lifted tile grows by this fraction and casts a shadow offset down-right by
+// this many tile sizes, so tiles crossing each other during a move stay readable.
+const LIFT_SCALE_RATIO = 0.08;
+const LIFT_SHADOW_OFFSET_RATIO = 0.12;
+const LIFT_SHADOW_ALPHA = 0.45;
+const LIFTED_Z_INDEX = 20;
+const EMPHASIZED_Z_INDEX = 10;
+
 /**
  * @param {Graphics} border_graphics
  * @param {number} tile_size_px
  * @param {number} color
  * @param {number} border_thickness_px
+ * @param {HexOrientation} hex_orientation
  */
-function draw_border(border_graphics, tile_size_px, color, border_thickness_px) {
-  const hex_points = create_hex_points(tile_size_px);
+function draw_border(border_graphics, tile_size_px, color, border_thickness_px, hex_orientation) {
+  const hex_points = create_hex_points(tile_size_px, hex_orientation);
   const flattened_points = hex_points.flatMap((point) => [point.x, point.y]);
   border_graphics.clear();
   border_graphics.poly(flattened_points);
@@ -62,9 +85,10 @@ function draw_border(border_graphics, tile_size_px, color, border_thickness_px)
  * @param {number} tile_size_px
  * @param {number} fill_color
  * @param {number} alpha
+ * @param {HexOrientation} hex_orientation
  */
-function draw_hex_fill(graphics, tile_size_px, fill_color, alpha) {
-  const hex_points = create_hex_points(tile_size_px);
+function draw_hex_fill(graphics, tile_size_px, fill_color, alpha, hex_orientation) {
+  const hex_points = create_hex_points(tile_size_px, hex_orientation);
   const flattened_points = hex_points.flatMap((point) => [point.x, point.y]);
   graphics.clear();
   graphics.poly(flattened_points);
@@ -72,6 +96,55 @@ function draw_hex_fill(graphics, tile_size_px, fill_color, alpha) {
 }
 
 /**
+ * Shade a pinned tile and put a pin near its top edge.
+ *
+ * @param {Graphics} pin_marker
+ * @param {number} tile_size_px
+ * @param {HexOrientation} hex_orientation
+ */
+function draw_pin_marker(pin_marker, tile_size_px, hex_orientation) {
+  const hex_points = create_hex_points(tile_size_px, hex_orientation);
+  pin_marker.clear();
+  pin_marker.poly(hex_points.flatMap((point) => [point.x, point.y]));
+  pin_marker.fill({ color: 0x000000, alpha: PINNED_SHADE_ALPHA });
+  pin_marker.circle(0, tile_size_px * PIN_OFFSET_Y_RATIO, Math.max(2, tile_size_px * PIN_RADIUS_RATIO));
+  pin_marker.fill({ color: PIN_COLOR });
+  pin_marker.stroke({ width: 1, color: 0x000000 });
+}
+
+/**
+ * @param {Graphics} shadow_graphics
+ * @param {number} tile_size_px
+ * @param {HexOrientation} hex_orientation
+ */
+function draw_lift_shadow(shadow_graphics, tile_size_px, hex_orientation) {
+  const hex_points = create_hex_points(tile_size_px, hex_orientation);
+  shadow_graphics.clear();
+  shadow_graphics.poly(hex_points.flatMap((point) => [point.x, point.y]));
+  shadow_graphics.fill({ color: 0x000000 });
+}
+
+/**
+ * Holes hold no tile, so they are drawn as dark empty slots under the tiles.
+ *
+ * @param {Graphics} hole_graphics
+ * @param {number} tile_size_px
+ * @param {number} border_color
+ * @param {number} border_thickness_px
+ * @param {HexOrientation} hex_orientation
+ */
+function draw_hole(hole_graphics, tile_size_px, border_color, border_thickness_px, hex_orientation) {
+  const flattened_points = create_hex_points(tile_size_px, hex_orientation).flatMap((point) => [point.x, point.y]);
+  hole_graphics.clear();
+  hole_graphics.poly(flattened_points);
+  hole_graphics.fill({ color: HOLE_FILL_COLOR, alpha: HOLE_FILL_ALPHA });
+  hole_graphics.stroke({ width: border_thickness_px, color: border_color });
+}
+
+/**
+ * `hole_cells` are drawn as empty slots and tiles in `pinned_tile_ids` are marked as
+ * pinned; neither ever moves.
+ *
  * @param {{
  *   mode: "n" | "i",
  *   tile_textures: Map<string, import("pixi.js").Texture>,
@@ -81,7 +154,10 @@ function draw_hex_fill(graphics, tile_size_px, fill_color, alpha) {
  *   tile_size_px: number,
  *   border_color: number,
  *   border_thickness_px: number,
- *   number_mode_style?: { font_family: string, tile_font_size_px: number, tile_fill_color: number, tile_fill_alpha: number }
+ *   number_mode_style?: { font_family: string, tile_font_size_px: number, tile_fill_color: number, tile_fill_alpha: number },
+ *   hole_cells?: Cell[],
+ *   pinned_tile_ids?: Set<string>,
+ *   hex_orientation?: HexOrientation
  * }} options
  * @returns {{
  *   tiles_layer: Container,
@@ -93,6 +169,7 @@ function draw_hex_fill(graphics, tile_size_px, fill_color, alpha) {
  *   set_number_mode_font_size: (tile_font_size_px: number) => void,
  *   set_border_color: (tile_id: string, color: number) => void,
  *   set_emphasis: (tile_id: string, is_emphasized: boolean) => void,
+ *   set_lift: (tile_id: string, lift: number) => void,
  *   sync_all_from_state: (state: BoardState) => void
  * }}
  */
@@ -107,6 +184,30 @@ export function create_tile_views(options) {
   const overline_width_ratio = 0.6;
   /** @type {Map<string, TileView>} */
   const tile_views = new Map();
+  const hex_orientation = options.hex_orientation ?? "flat";
+  const hole_cells = options.hole_cells ?? [];
+  const pinned_tile_ids = options.pinned_tile_ids ?? new Set();
+  /** @type {Set<string>} */
+  const emphasized_tile_ids = new Set();
+  /** @type {Graphics[]} */
+  const hole_graphics_list = hole_cells.map(() => new Graphics());
+  for (const hole_graphics of hole_graphics_list) {
+    hole_graphics.zIndex = -1;
+    tiles_layer.addChild(hole_graphics);
+  }
+
+  /**
+   * A baked texture matches the tile size (and resolution) it was baked for; until a
+   * rebake lands, older textures are stretched to the current size.
+   *
+   * @param {Sprite} sprite
+   */
+  function fit_sprite(sprite) {
+    const texture_width = sprite.texture.frame.width;
+    const resolution = sprite.texture.source.resolution;
+    const fitted_width = get_atlas_cell_size(tile_size_px * resolution, hex_orientation).cell_width / resolution;
+    sprite.scale.set(texture_width > 1 ? fitted_width / texture_width : 1);
+  }
 
   if (options.mode === "n" && options.grid) {
     const style = options.number_mode_style ?? {
@@ -127,7 +228,8 @@ export function create_tile_views(options) {
         hex_fill,
         tile_size_px,
         style.tile_fill_color,
-        style.tile_fill_alpha
+        style.tile_fill_alpha,
+        hex_orientation
       );
       const label_text = new Text({
         text: display_label,
@@ -151,7 +253,8 @@ export function create_tile_views(options) {
         border,
         tile_size_px,
         options.border_color,
-        border_thickness_px
+        border_thickness_px,
+        hex_orientation
       );
 
       container.addChild(hex_fill);
@@ -172,12 +275,14 @@ export function create_tile_views(options) {
       const container = new Container();
       const sprite = new Sprite(texture);
       sprite.anchor.set(0.5, 0.5);
+      fit_sprite(sprite);
       const border = new Graphics();
       draw_border(
         border,
         tile_size_px,
         options.border_color,
-        border_thickness_px
+        border_thickness_px,
+        hex_orientation
       );
 
       container.addChild(sprite);
@@ -187,6 +292,28 @@ export function create_tile_views(options) {
     }
   }
 
+  for (const tile_id of pinned_tile_ids) {
+    const tile_view = tile_views.get(tile_id);
+    if (!tile_view) {
+      continue;
+    }
+    const pin_marker = new Graphics();
+    draw_pin_marker(pin_marker, tile_size_px, hex_orientation);
+    // Under the border so hover outlines stay visible.
+    tile_view.container.addChildAt(pin_marker, tile_view.container.getChildIndex(tile_view.border));
+    tile_view.pin_marker = pin_marker;
+  }
+
+  function redraw_holes() {
+    hole_cells.forEach((cell, hole_index) => {
+      const hole_graphics = hole_graphics_list[hole_index];
+      const world_pos = get_cell_world(cell);
+      draw_hole(hole_graphics, tile_size_px, options.border_color, border_thickness_px, hex_orientation);
+      hole_graphics.position.set(world_pos.x, world_pos.y);
+    });
+  }
+  redraw_holes();
+
   /**
    * @param {Graphics} overline_graphics
    * @param {number} tile_font_size_px
@@ -205,7 +332,16 @@ export function create_tile_views(options) {
    */
   function redraw_tile_geometry(next_tile_size_px) {
     for (const tile_view of tile_views.values()) {
-      draw_border(tile_view.border, next_tile_size_px, options.border_color, border_thickness_px);
+      if (tile_view.sprite) {
+        fit_sprite(tile_view.sprite);
+      }
+      draw_border(tile_view.border, next_tile_size_px, options.border_color, border_thickness_px, hex_orientation);
+      if (tile_view.pin_marker) {
+        draw_pin_marker(tile_view.pin_marker, next_tile_size_px, hex_orientation);
+      }
+      if (tile_view.lift_shadow) {
+        draw_lift_shadow(tile_view.lift_shadow, next_tile_size_px, hex_orientation);
+      }
       if (options.mode !== "n") {
         continue;
       }
@@ -216,7 +352,7 @@ export function create_tile_views(options) {
           tile_fill_color: 0x333333,
           tile_fill_alpha: 0.6
         };
-        draw_hex_fill(tile_view.hex_fill, next_tile_size_px, style.tile_fill_color, style.tile_fill_alpha);
+        draw_hex_fill(tile_view.hex_fill, next_tile_size_px, style.tile_fill_color, style.tile_fill_alpha, hex_orientation);
       }
     }
   }
@@ -243,6 +379,7 @@ export function create_tile_views(options) {
     tile_size_px = next_tile_size_px;
     get_cell_world = next_get_cell_world;
     redraw_tile_geometry(tile_size_px);
+    redraw_holes();
   }
 
   /**
@@ -261,6 +398,7 @@ export function create_tile_views(options) {
         continue;
       }
       tile_view.sprite.texture = next_texture;
+      fit_sprite(tile_view.sprite);
     }
   }
 
@@ -270,8 +408,9 @@ export function create_tile_views(options) {
   function set_border_thickness(next_border_thickness_px) {
     border_thickness_px = next_border_thickness_px;
     for (const tile_view of tile_views.values()) {
-      draw_border(tile_view.border, tile_size_px, options.border_color, border_thickness_px);
+      draw_border(tile_view.border, tile_size_px, options.border_color, border_thickness_px, hex_orientation);
     }
+    redraw_holes();
   }
 
   /**
@@ -299,7 +438,7 @@ export function create_tile_views(options) {
     if (!tile_view) {
       return;
     }
-    draw_border(tile_view.border, tile_size_px, color, border_thickness_px);
+    draw_border(tile_view.border, tile_size_px, color, border_thickness_px, hex_orientation);
   }
 
   /**
@@ -311,7 +450,53 @@ export function create_tile_views(options) {
     if (!tile_view) {
       return;
     }
-    tile_view.container.zIndex = is_emphasized ? 10 : 0;
+    if (is_emphasized) {
+      emphasized_tile_ids.add(tile_id);
+    } else {
+      emphasized_tile_ids.delete(tile_id);
+    }
+    if (tile_view.container.zIndex !== LIFTED_Z_INDEX) {
+      tile_view.container.zIndex = is_emphasized ? EMPHASIZED_Z_INDEX : 0;
+    }
+  }
+
+  /**
+   * Raise a tile above the board while it moves; 0 puts it back down, 1 is fully lifted.
+   * Call after setting the pose: the shadow offset is fixed on screen, not on the tile.
+   *
+   * @param {string} tile_id
+   * @param {number} lift
+   */
+  function set_lift(tile_id, lift) {
+    const tile_view = tile_views.get(tile_id);
+    if (!tile_view) {
+      return;
+    }
+    const { container } = tile_view;
+    if (lift <= 0) {
+      container.scale.set(1);
+      container.zIndex = emphasized_tile_ids.has(tile_id) ? EMPHASIZED_Z_INDEX : 0;
+      if (tile_view.lift_shadow) {
+        tile_view.lift_shadow.visible = false;
+      }
+      return;
+    }
+    if (!tile_view.lift_shadow) {
+      const lift_shadow = new Graphics();
+      draw_lift_shadow(lift_shadow, tile_size_px, hex_orientation);
+      container.addChildAt(lift_shadow, 0);
+      tile_view.lift_shadow = lift_shadow;
+    }
+    const scale = 1 + LIFT_SCALE_RATIO * lift;
+    container.scale.set(scale);
+    container.zIndex = LIFTED_Z_INDEX;
+    // Undo the container's rotation and scale so the shadow always falls down-right.
+    const offset_px = (tile_size_px * LIFT_SHADOW_OFFSET_RATIO * lift) / scale;
+    const cosine = Math.cos(container.rotation);
+    const sine = Math.sin(container.rotation);
+    tile_view.lift_shadow.position.set(offset_px * (cosine + sine), offset_px * (cosine - sine));
+    tile_view.lift_shadow.alpha = LIFT_SHADOW_ALPHA * lift;
+    tile_view.lift_shadow.visible = true;
   }
 
   /**
@@ -335,6 +520,7 @@ export function create_tile_views(options) {
     set_number_mode_font_size,
     set_border_color,
     set_emphasis,
+    set_lift,
     sync_all_from_state
   };
 }
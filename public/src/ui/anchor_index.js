@@ -0,0 +1,107 @@
+// @ts-check
+
+/**
+ * @typedef {{
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   anchor_world: { x: number, y: number },
+ *   cells: string[],
+ *   rotation_steps_cw: number
+ * }} AnchorInstance
+ */
+
+/**
+ * @typedef {{
+ *   find_nearest: (point: { x: number, y: number }, max_distance_px: number) => AnchorInstance | null,
+ *   get_bucket_count: () => number
+ * }} AnchorIndex
+ */
+
+/**
+ * Reference lookup: scan every instance. Ties keep the earliest instance.
+ *
+ * @param {AnchorInstance[]} instances
+ * @param {{ x: number, y: number }} point
+ * @param {number} max_distance_px
+ * @returns {AnchorInstance | null}
+ */
+export function find_nearest_anchor_by_scan(instances, point, max_distance_px) {
+  /** @type {{ instance: AnchorInstance, distance: number } | null} */
+  let best_anchor_match = null;
+  for (const anchor_instance of instances) {
+    const distance = Math.hypot(anchor_instance.anchor_world.x - point.x, anchor_instance.anchor_world.y - point.y);
+    if (distance > max_distance_px) {
+      continue;
+    }
+    if (!best_anchor_match || distance < best_anchor_match.distance) {
+      best_anchor_match = { instance: anchor_instance, distance };
+    }
+  }
+  return best_anchor_match ? best_anchor_match.instance : null;
+}
+
+/**
+ * @param {number} bucket_x
+ * @param {number} bucket_y
+ * @returns {string}
+ */
+function get_bucket_key(bucket_x, bucket_y) {
+  return `${bucket_x},${bucket_y}`;
+}
+
+/**
+ * Uniform bucket grid over anchor positions. A lookup visits only the buckets that the
+ * search circle overlaps and ranks their anchors by distance, then by instance order,
+ * so it returns exactly what find_nearest_anchor_by_scan would.
+ *
+ * @param {AnchorInstance[]} instances
+ * @param {number} bucket_size_px usually the tile size, so a bucket holds a few anchors
+ * @returns {AnchorIndex}
+ */
+export function create_anchor_index(instances, bucket_size_px) {
+  const bucket_size = Math.max(1, bucket_size_px);
+  /** @type {Map<string, number[]>} */
+  const instance_indices_by_bucket = new Map();
+  instances.forEach((anchor_instance, instance_index) => {
+    const bucket_key = get_bucket_key(
+      Math.floor(anchor_instance.anchor_world.x / bucket_size),
+      Math.floor(anchor_instance.anchor_world.y / bucket_size)
+    );
+    const instance_indices = instance_indices_by_bucket.get(bucket_key) ?? [];
+    instance_indices.push(instance_index);
+    instance_indices_by_bucket.set(bucket_key, instance_indices);
+  });
+
+  return {
+    find_nearest(point, max_distance_px) {
+      const min_bucket_x = Math.floor((point.x - max_distance_px) / bucket_size);
+      const max_bucket_x = Math.floor((point.x + max_distance_px) / bucket_size);
+      const min_bucket_y = Math.floor((point.y - max_distance_px) / bucket_size);
+      const max_bucket_y = Math.floor((point.y + max_distance_px) / bucket_size);
+      /** @type {{ instance_index: number, distance: number } | null} */
+      let best_anchor_match = null;
+      for (let bucket_y = min_bucket_y; bucket_y <= max_bucket_y; bucket_y += 1) {
+        for (let bucket_x = min_bucket_x; bucket_x <= max_bucket_x; bucket_x += 1) {
+          for (const instance_index of instance_indices_by_bucket.get(get_bucket_key(bucket_x, bucket_y)) ?? []) {
+            const anchor_world = instances[instance_index].anchor_world;
+            const distance = Math.hypot(anchor_world.x - point.x, anchor_world.y - point.y);
+            if (distance > max_distance_px) {
+              continue;
+            }
+            if (
+              !best_anchor_match ||
+              distance < best_anchor_match.distance ||
+              (distance === best_anchor_match.distance && instance_index < best_anchor_match.instance_index)
+            ) {
+              best_anchor_match = { instance_index, distance };
+            }
+          }
+        }
+      }
+      return best_anchor_match ? instances[best_anchor_match.instance_index] : null;
+    },
+    get_bucket_count() {
+      return instance_indices_by_bucket.size;
+    }
+  };
+}
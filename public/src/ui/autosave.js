@@ -0,0 +1,79 @@
+// @ts-check
+
+const AUTOSAVE_KEY_PREFIX = "rothex:autosave";
+
+/**
+ * @typedef {{
+ *   mode: "n" | "i",
+ *   grid_shape_key: string,
+ *   image_path: string | null,
+ *   operator_ids: string[],
+ *   goal_mode: import("../core/state.js").GoalMode
+ * }} GameConfig
+ */
+
+/**
+ * Storage key for one game configuration; every per-configuration slot (saved game,
+ * personal best) is built here so they always split configurations the same way.
+ *
+ * @param {string} key_prefix
+ * @param {GameConfig} config
+ * @returns {string}
+ */
+export function get_config_key(key_prefix, config) {
+  return [
+    key_prefix,
+    config.mode,
+    config.grid_shape_key,
+    config.image_path ?? "numbers",
+    config.operator_ids.join(","),
+    config.goal_mode
+  ].join(":");
+}
+
+/**
+ * One save slot per game configuration, so switching board size or operators
+ * never resumes a game that cannot fit.
+ *
+ * @param {GameConfig} config
+ * @returns {string}
+ */
+export function get_autosave_key(config) {
+  return get_config_key(AUTOSAVE_KEY_PREFIX, config);
+}
+
+/**
+ * @param {string} autosave_key
+ * @param {string} state_json
+ */
+export function write_autosave(autosave_key, state_json) {
+  try {
+    window.localStorage.setItem(autosave_key, state_json);
+  } catch (error) {
+    console.warn("[Autosave] Could not write saved game:", error);
+  }
+}
+
+/**
+ * @param {string} autosave_key
+ * @returns {string | null}
+ */
+export function read_autosave(autosave_key) {
+  try {
+    return window.localStorage.getItem(autosave_key);
+  } catch (error) {
+    console.warn("[Autosave] Could not read saved game:", error);
+    return null;
+  }
+}
+
+/**
+ * @param {string} autosave_key
+ */
+export function clear_autosave(autosave_key) {
+  try {
+    window.localStorage.removeItem(autosave_key);
+  } catch (error) {
+    console.warn("[Autosave] Could not clear saved game:", error);
+  }
+}
@@ -0,0 +1,176 @@
+// @ts-check
+
+import { Container, Graphics, Text } from "pixi.js";
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   on_press: () => void
+ * }} DialogButtonSpec
+ */
+
+/**
+ * @typedef {{
+ *   title: string,
+ *   message: string,
+ *   buttons: DialogButtonSpec[]
+ * }} DialogContent
+ */
+
+/**
+ * Modal-style message box with a title, a message and a row of buttons.
+ * Pressing any button hides the dialog before running its handler.
+ *
+ * @param {{
+ *   width_px: number,
+ *   margin_top_px: number,
+ *   font_family: string,
+ *   background_color: number,
+ *   border_color: number,
+ *   text_color: number,
+ *   button_color: number
+ * }} options
+ * @returns {{
+ *   container: Container,
+ *   show: (content: DialogContent) => void,
+ *   hide: () => void,
+ *   is_visible: () => boolean,
+ *   set_font_sizes: (title_font_size_px: number, body_font_size_px: number) => void,
+ *   layout: (viewport_width_px: number) => void
+ * }}
+ */
+export function create_dialog(options) {
+  const container = new Container();
+  container.visible = false;
+  const background = new Graphics();
+  const title_text = new Text({
+    text: "",
+    style: { fill: options.text_color, fontFamily: options.font_family, fontSize: 20 }
+  });
+  const message_text = new Text({
+    text: "",
+    style: {
+      fill: options.text_color,
+      fontFamily: options.font_family,
+      fontSize: 14,
+      wordWrap: true,
+      wordWrapWidth: options.width_px - 32,
+      align: "center"
+    }
+  });
+  const buttons_layer = new Container();
+  container.addChild(background);
+  container.addChild(title_text);
+  container.addChild(message_text);
+  container.addChild(buttons_layer);
+  title_text.anchor.set(0.5, 0);
+  message_text.anchor.set(0.5, 0);
+
+  let body_font_size_px = 14;
+  /** @type {DialogContent | null} */
+  let current_content = null;
+
+  function redraw() {
+    for (const child of buttons_layer.removeChildren()) {
+      child.destroy({ children: true });
+    }
+    if (!current_content) {
+      return;
+    }
+    const padding_px = 14;
+    title_text.text = current_content.title;
+    message_text.text = current_content.message;
+    title_text.position.set(options.width_px / 2, padding_px);
+    const message_top_px = padding_px + title_text.height + 10;
+    message_text.position.set(options.width_px / 2, message_top_px);
+
+    const button_height_px = Math.round(body_font_size_px * 2.2);
+    const button_gap_px = 12;
+    const buttons_top_px = message_top_px + message_text.height + 16;
+    /** @type {{ container: Container, width_px: number }[]} */
+    const button_views = current_content.buttons.map((button_spec) => {
+      const button_container = new Container();
+      const button_background = new Graphics();
+      const button_label = new Text({
+        text: button_spec.label,
+        style: {
+          fill: options.text_color,
+          fontFamily: options.font_family,
+          fontSize: body_font_size_px
+        }
+      });
+      const width_px = Math.ceil(button_label.width) + 2 * Math.round(body_font_size_px);
+      button_background.roundRect(0, 0, width_px, button_height_px, 8);
+      button_background.fill({ color: options.button_color, alpha: 1 });
+      button_background.stroke({ color: options.text_color, width: 1 });
+      button_label.anchor.set(0.5, 0.5);
+      button_label.position.set(width_px / 2, button_height_px / 2);
+      button_container.addChild(button_background);
+      button_container.addChild(button_label);
+      button_container.eventMode = "static";
+      button_container.cursor = "pointer";
+      button_container.on("pointertap", () => {
+        hide();
+        button_spec.on_press();
+      });
+      return { container: button_container, width_px };
+    });
+    const total_buttons_width_px =
+      button_views.reduce((sum, view) => sum + view.width_px, 0) +
+      button_gap_px * Math.max(0, button_views.length - 1);
+    let button_x_px = (options.width_px - total_buttons_width_px) / 2;
+    for (const button_view of button_views) {
+      button_view.container.position.set(button_x_px, buttons_top_px);
+      buttons_layer.addChild(button_view.container);
+      button_x_px += button_view.width_px + button_gap_px;
+    }
+
+    const height_px = buttons_top_px + button_height_px + padding_px;
+    background.clear();
+    background.roundRect(0, 0, options.width_px, height_px, 12);
+    background.fill({ color: options.background_color, alpha: 0.95 });
+    background.stroke({ color: options.border_color, width: 2 });
+  }
+
+  function hide() {
+    container.visible = false;
+  }
+
+  return {
+    container,
+    /**
+     * @param {DialogContent} content
+     */
+    show(content) {
+      current_content = content;
+      redraw();
+      container.visible = true;
+    },
+    hide,
+    /**
+     * @returns {boolean}
+     */
+    is_visible() {
+      return container.visible;
+    },
+    /**
+     * @param {number} title_font_size_px
+     * @param {number} next_body_font_size_px
+     */
+    set_font_sizes(title_font_size_px, next_body_font_size_px) {
+      body_font_size_px = next_body_font_size_px;
+      title_text.style.fontSize = title_font_size_px;
+      message_text.style.fontSize = body_font_size_px;
+      redraw();
+    },
+    /**
+     * @param {number} viewport_width_px
+     */
+    layout(viewport_width_px) {
+      container.position.set(
+        Math.round((viewport_width_px - options.width_px) / 2),
+        options.margin_top_px
+      );
+    }
+  };
+}
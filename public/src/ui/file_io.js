@@ -0,0 +1,74 @@
+// @ts-check
+
+/**
+ * Save text as a file through a temporary download link.
+ *
+ * @param {string} file_name
+ * @param {string} text
+ * @param {string} mime_type
+ */
+export function download_text_file(file_name, text, mime_type) {
+  const blob = new Blob([text], { type: mime_type });
+  const object_url = URL.createObjectURL(blob);
+  const link_element = document.createElement("a");
+  link_element.href = object_url;
+  link_element.download = file_name;
+  document.body.appendChild(link_element);
+  link_element.click();
+  link_element.remove();
+  URL.revokeObjectURL(object_url);
+}
+
+/**
+ * Open the browser file picker; resolves null when the user cancels.
+ *
+ * @param {string} accept
+ * @returns {Promise<File | null>}
+ */
+export function pick_file(accept) {
+  return new Promise((resolve) => {
+    const input_element = document.createElement("input");
+    input_element.type = "file";
+    input_element.accept = accept;
+    input_element.addEventListener("change", () => {
+      resolve(input_element.files?.[0] ?? null);
+    });
+    input_element.addEventListener("cancel", () => {
+      resolve(null);
+    });
+    input_element.click();
+  });
+}
+
+/**
+ * @param {string} accept
+ * @returns {Promise<string | null>}
+ */
+export async function pick_text_file(accept) {
+  const file = await pick_file(accept);
+  return file ? file.text() : null;
+}
+
+/**
+ * Call `on_file` with the first file dropped onto `target_element`.
+ *
+ * @param {HTMLElement} target_element
+ * @param {(file: File) => void} on_file
+ */
+export function listen_for_dropped_file(target_element, on_file) {
+  target_element.addEventListener("dragover", (drag_event) => {
+    if (!drag_event.dataTransfer?.types.includes("Files")) {
+      return;
+    }
+    drag_event.preventDefault();
+    drag_event.dataTransfer.dropEffect = "copy";
+  });
+  target_element.addEventListener("drop", (drag_event) => {
+    const file = drag_event.dataTransfer?.files[0];
+    if (!file) {
+      return;
+    }
+    drag_event.preventDefault();
+    on_file(file);
+  });
+}
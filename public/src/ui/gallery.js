@@ -0,0 +1,217 @@
+// @ts-check
+
+import { Container, Graphics, Sprite, Text } from "pixi.js";
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   title: string,
+ *   artist: string,
+ *   texture: import("pixi.js").Texture
+ * }} GalleryEntry
+ */
+
+/**
+ * Overlay listing paintings as a grid of thumbnails with their title and artist.
+ * Picking one hides the overlay before calling `on_pick`; the current painting is
+ * outlined. A dimmed backdrop covers the viewport while it is open.
+ *
+ * @param {{
+ *   margin_top_px: number,
+ *   thumbnail_size_px: number,
+ *   font_family: string,
+ *   background_color: number,
+ *   border_color: number,
+ *   text_color: number,
+ *   highlight_color: number,
+ *   on_pick: (painting_id: string) => void
+ * }} options
+ * @returns {{
+ *   container: Container,
+ *   show: (entries: GalleryEntry[], current_id: string | null) => void,
+ *   hide: () => void,
+ *   is_visible: () => boolean,
+ *   set_font_size: (font_size_px: number) => void,
+ *   layout: (viewport_width_px: number, viewport_height_px: number) => void
+ * }}
+ */
+export function create_gallery(options) {
+  const container = new Container();
+  container.visible = false;
+  const backdrop = new Graphics();
+  backdrop.eventMode = "static";
+  const panel = new Container();
+  const panel_background = new Graphics();
+  const title_text = new Text({
+    text: "Gallery",
+    style: { fill: options.text_color, fontFamily: options.font_family, fontSize: 20 }
+  });
+  title_text.anchor.set(0.5, 0);
+  const entries_layer = new Container();
+  const close_button = new Container();
+  const close_background = new Graphics();
+  const close_label = new Text({
+    text: "Close",
+    style: { fill: options.text_color, fontFamily: options.font_family, fontSize: 14 }
+  });
+  close_label.anchor.set(0.5, 0.5);
+  close_button.addChild(close_background);
+  close_button.addChild(close_label);
+  close_button.eventMode = "static";
+  close_button.cursor = "pointer";
+  close_button.on("pointertap", () => {
+    hide();
+  });
+  panel.addChild(panel_background);
+  panel.addChild(title_text);
+  panel.addChild(entries_layer);
+  panel.addChild(close_button);
+  container.addChild(backdrop);
+  container.addChild(panel);
+
+  let font_size_px = 14;
+  let viewport_width_px = 1;
+  let viewport_height_px = 1;
+  /** @type {GalleryEntry[]} */
+  let current_entries = [];
+  /** @type {string | null} */
+  let current_id = null;
+
+  function redraw() {
+    for (const child of entries_layer.removeChildren()) {
+      child.destroy({ children: true });
+    }
+    const padding_px = 16;
+    const gap_px = 12;
+    const cell_width_px = options.thumbnail_size_px;
+    const max_columns = Math.max(
+      1,
+      Math.floor((viewport_width_px - 2 * padding_px - 24 + gap_px) / (cell_width_px + gap_px))
+    );
+    const column_count = Math.min(max_columns, Math.max(1, current_entries.length));
+    const panel_width_px = column_count * cell_width_px + (column_count - 1) * gap_px + 2 * padding_px;
+
+    title_text.style.fontSize = Math.round(font_size_px * 1.4);
+    title_text.position.set(panel_width_px / 2, padding_px);
+    const entries_top_px = padding_px + title_text.height + 12;
+
+    let row_top_px = entries_top_px;
+    let row_height_px = 0;
+    current_entries.forEach((entry, entry_index) => {
+      const column_index = entry_index % column_count;
+      if (column_index === 0 && entry_index > 0) {
+        row_top_px += row_height_px + gap_px;
+        row_height_px = 0;
+      }
+      const entry_container = new Container();
+      const frame = new Graphics();
+      const thumbnail = new Sprite(entry.texture);
+      const fit_scale = options.thumbnail_size_px / Math.max(entry.texture.width, entry.texture.height, 1);
+      thumbnail.scale.set(fit_scale);
+      thumbnail.position.set(
+        (options.thumbnail_size_px - entry.texture.width * fit_scale) / 2,
+        (options.thumbnail_size_px - entry.texture.height * fit_scale) / 2
+      );
+      const caption_text = new Text({
+        text: `${entry.title}\n${entry.artist}`,
+        style: {
+          fill: options.text_color,
+          fontFamily: options.font_family,
+          fontSize: Math.round(font_size_px * 0.85),
+          wordWrap: true,
+          wordWrapWidth: cell_width_px,
+          align: "center"
+        }
+      });
+      caption_text.anchor.set(0.5, 0);
+      caption_text.position.set(cell_width_px / 2, options.thumbnail_size_px + 6);
+      const entry_height_px = options.thumbnail_size_px + 6 + caption_text.height;
+      const is_current = entry.id === current_id;
+      frame.rect(-3, -3, cell_width_px + 6, options.thumbnail_size_px + 6);
+      frame.fill({ color: 0x000000, alpha: 0.5 });
+      frame.stroke({
+        color: is_current ? options.highlight_color : options.border_color,
+        width: is_current ? 3 : 1
+      });
+      entry_container.addChild(frame);
+      entry_container.addChild(thumbnail);
+      entry_container.addChild(caption_text);
+      entry_container.eventMode = "static";
+      entry_container.cursor = "pointer";
+      entry_container.on("pointertap", () => {
+        hide();
+        options.on_pick(entry.id);
+      });
+      entry_container.position.set(padding_px + column_index * (cell_width_px + gap_px), row_top_px);
+      entries_layer.addChild(entry_container);
+      row_height_px = Math.max(row_height_px, entry_height_px);
+    });
+
+    close_label.style.fontSize = font_size_px;
+    const button_height_px = Math.round(font_size_px * 2.2);
+    const button_width_px = Math.ceil(close_label.width) + 2 * font_size_px;
+    const button_top_px = row_top_px + row_height_px + 16;
+    close_background.clear();
+    close_background.roundRect(0, 0, button_width_px, button_height_px, 8);
+    close_background.fill({ color: options.background_color, alpha: 1 });
+    close_background.stroke({ color: options.text_color, width: 1 });
+    close_label.position.set(button_width_px / 2, button_height_px / 2);
+    close_button.position.set((panel_width_px - button_width_px) / 2, button_top_px);
+
+    const panel_height_px = button_top_px + button_height_px + padding_px;
+    panel_background.clear();
+    panel_background.roundRect(0, 0, panel_width_px, panel_height_px, 12);
+    panel_background.fill({ color: options.background_color, alpha: 0.95 });
+    panel_background.stroke({ color: options.border_color, width: 2 });
+    panel.position.set(Math.round((viewport_width_px - panel_width_px) / 2), options.margin_top_px);
+
+    backdrop.clear();
+    backdrop.rect(0, 0, viewport_width_px, viewport_height_px);
+    backdrop.fill({ color: 0x000000, alpha: 0.6 });
+  }
+
+  function hide() {
+    container.visible = false;
+  }
+
+  return {
+    container,
+    /**
+     * @param {GalleryEntry[]} entries
+     * @param {string | null} next_current_id
+     */
+    show(entries, next_current_id) {
+      current_entries = entries;
+      current_id = next_current_id;
+      redraw();
+      container.visible = true;
+    },
+    hide,
+    /**
+     * @returns {boolean}
+     */
+    is_visible() {
+      return container.visible;
+    },
+    /**
+     * @param {number} next_font_size_px
+     */
+    set_font_size(next_font_size_px) {
+      font_size_px = next_font_size_px;
+      if (container.visible) {
+        redraw();
+      }
+    },
+    /**
+     * @param {number} next_viewport_width_px
+     * @param {number} next_viewport_height_px
+     */
+    layout(next_viewport_width_px, next_viewport_height_px) {
+      viewport_width_px = Math.max(1, next_viewport_width_px);
+      viewport_height_px = Math.max(1, next_viewport_height_px);
+      if (container.visible) {
+        redraw();
+      }
+    }
+  };
+}
@@ -0,0 +1,72 @@
+// @ts-check
+
+import { create_seeded_random } from "../core/random.js";
+import { create_anchor_index, find_nearest_anchor_by_scan } from "./anchor_index.js";
+
+/**
+ * @typedef {import("./anchor_index.js").AnchorInstance} AnchorInstance
+ */
+
+/**
+ * @typedef {{
+ *   instance_count: number,
+ *   bucket_count: number,
+ *   sample_count: number,
+ *   build_ms: number,
+ *   scan_us_per_lookup: number,
+ *   index_us_per_lookup: number,
+ *   mismatch_count: number
+ * }} HoverBenchmarkResult
+ */
+
+/**
+ * Time hover lookups at random points over the anchors' bounds, once by scanning every
+ * instance and once through the spatial index, and count lookups where they disagree.
+ *
+ * @param {{
+ *   instances: AnchorInstance[],
+ *   bucket_size_px: number,
+ *   max_distance_px: number,
+ *   sample_count: number,
+ *   seed: number
+ * }} options
+ * @returns {HoverBenchmarkResult}
+ */
+export function run_hover_benchmark(options) {
+  const random = create_seeded_random(options.seed);
+  const anchor_xs = options.instances.map((anchor_instance) => anchor_instance.anchor_world.x);
+  const anchor_ys = options.instances.map((anchor_instance) => anchor_instance.anchor_world.y);
+  const min_x = Math.min(...anchor_xs) - options.max_distance_px;
+  const max_x = Math.max(...anchor_xs) + options.max_distance_px;
+  const min_y = Math.min(...anchor_ys) - options.max_distance_px;
+  const max_y = Math.max(...anchor_ys) + options.max_distance_px;
+  const sample_points = Array.from({ length: options.sample_count }, () => ({
+    x: min_x + random.next_float() * (max_x - min_x),
+    y: min_y + random.next_float() * (max_y - min_y)
+  }));
+
+  const build_started_at_ms = performance.now();
+  const anchor_index = create_anchor_index(options.instances, options.bucket_size_px);
+  const build_ms = performance.now() - build_started_at_ms;
+
+  const scan_started_at_ms = performance.now();
+  const scan_matches = sample_points.map((point) =>
+    find_nearest_anchor_by_scan(options.instances, point, options.max_distance_px)
+  );
+  const scan_ms = performance.now() - scan_started_at_ms;
+
+  const index_started_at_ms = performance.now();
+  const index_matches = sample_points.map((point) => anchor_index.find_nearest(point, options.max_distance_px));
+  const index_ms = performance.now() - index_started_at_ms;
+
+  return {
+    instance_count: options.instances.length,
+    bucket_count: anchor_index.get_bucket_count(),
+    sample_count: options.sample_count,
+    build_ms,
+    scan_us_per_lookup: (scan_ms * 1000) / Math.max(1, options.sample_count),
+    index_us_per_lookup: (index_ms * 1000) / Math.max(1, options.sample_count),
+    mismatch_count: scan_matches.filter((scan_match, sample_index) => scan_match !== index_matches[sample_index])
+      .length
+  };
+}
@@ -1,5 +1,7 @@
 // @ts-check
 
+import { create_anchor_index } from "./anchor_index.js";
+
 /**
  * @typedef {{
  *   operator_id: string,
@@ -18,18 +20,18 @@
  *   initial_operator_id: string,
  *   on_operator_change: (operator_id: string) => void,
  *   on_hover_change: (hover_instance: AnchorInstance | null) => void,
- *   on_move_request: (direction_sign: 1 | -1, hover_instance: AnchorInstance) => void
+ *   on_move_request: (direction_sign: 1 | -1, hover_instance: AnchorInstance) => void,
+ *   is_over_controls: (pointer_world: { x: number, y: number }) => boolean
  * }} options
  * @returns {{
- *   set_instances: (instances: AnchorInstance[]) => void,
+ *   set_instances: (instances: AnchorInstance[], bucket_size_px: number) => void,
  *   set_interaction_locked: (is_locked: boolean) => void,
  *   set_pivot_hit_radius: (pivot_hit_radius_px: number) => void,
  *   get_selected_operator_id: () => string
  * }}
  */
 export function create_input_controller(options) {
-  /** @type {AnchorInstance[]} */
-  let active_instances = [];
+  let anchor_index = create_anchor_index([], 1);
   /** @type {AnchorInstance | null} */
   let hover_instance = null;
   /** @type {{ x: number, y: number } | null} */
@@ -55,20 +57,7 @@ export function create_input_controller(options) {
    * @returns {AnchorInstance | null}
    */
   function find_nearest_anchor(pointer_world) {
-    /** @type {{ instance: AnchorInstance, distance: number } | null} */
-    let best_anchor_match = null;
-    for (const anchor_instance of active_instances) {
-      const delta_x = anchor_instance.anchor_world.x - pointer_world.x;
-      const delta_y = anchor_instance.anchor_world.y - pointer_world.y;
-      const distance = Math.hypot(delta_x, delta_y);
-      if (distance > pivot_hit_radius_px) {
-        continue;
-      }
-      if (!best_anchor_match || distance < best_anchor_match.distance) {
-        best_anchor_match = { instance: anchor_instance, distance };
-      }
-    }
-    return best_anchor_match ? best_anchor_match.instance : null;
+    return anchor_index.find_nearest(pointer_world, pivot_hit_radius_px);
   }
 
   /**
@@ -83,7 +72,7 @@ export function create_input_controller(options) {
   }
 
   function recompute_hover_from_last_pointer() {
-    if (interaction_locked || !last_pointer_world) {
+    if (interaction_locked || !last_pointer_world || options.is_over_controls(last_pointer_world)) {
       set_hover_instance(null);
       return;
     }
@@ -100,13 +89,21 @@ export function create_input_controller(options) {
   });
 
   options.canvas_element.addEventListener("pointerdown", (pointer_event) => {
-    if (interaction_locked || !hover_instance) {
+    // Buttons drawn over the board take their own clicks.
+    const pointer_world = get_pointer_world(pointer_event);
+    if (options.is_over_controls(pointer_world)) {
+      return;
+    }
+    // While a move animates there is no hover highlight, but the pivot under the
+    // pointer is still reported so the click can be queued.
+    const target_instance = interaction_locked ? find_nearest_anchor(pointer_world) : hover_instance;
+    if (!target_instance) {
       return;
     }
     if (pointer_event.button === 0) {
-      options.on_move_request(-1, hover_instance);
+      options.on_move_request(-1, target_instance);
     } else if (pointer_event.button === 2) {
-      options.on_move_request(1, hover_instance);
+      options.on_move_request(1, target_instance);
     }
   });
 
@@ -146,9 +143,10 @@ export function create_input_controller(options) {
   return {
     /**
      * @param {AnchorInstance[]} instances
+     * @param {number} bucket_size_px spatial index bucket size, normally the tile size
      */
-    set_instances(instances) {
-      active_instances = instances;
+    set_instances(instances, bucket_size_px) {
+      anchor_index = create_anchor_index(instances, bucket_size_px);
       recompute_hover_from_last_pointer();
     },
     /**
@@ -0,0 +1,85 @@
+// @ts-check
+
+/**
+ * A move waiting its turn. It names the pivot rather than holding the AnchorInstance,
+ * because instances are rebuilt on resize; run_move resolves it when it is played.
+ *
+ * @typedef {{
+ *   operator_id: string,
+ *   anchor_id: string,
+ *   direction_sign: 1 | -1
+ * }} QueuedMove
+ */
+
+/**
+ * Play moves strictly one after another. A move requested while another is animating
+ * waits in the queue (at most `get_max_depth()` waiting; further requests are dropped)
+ * and `run_move` is told how many are still waiting, so it can animate faster.
+ *
+ * @param {{
+ *   get_max_depth: () => number,
+ *   run_move: (queued_move: QueuedMove, waiting_count: number) => Promise<void>,
+ *   on_change: (waiting_count: number) => void
+ * }} options
+ * @returns {{
+ *   enqueue: (queued_move: QueuedMove) => boolean,
+ *   clear: () => number,
+ *   get_waiting_count: () => number
+ * }}
+ */
+export function create_move_queue(options) {
+  /** @type {QueuedMove[]} */
+  let waiting_moves = [];
+  let is_move_running = false;
+
+  async function run_waiting_moves() {
+    is_move_running = true;
+    try {
+      while (waiting_moves.length > 0) {
+        const queued_move = /** @type {QueuedMove} */ (waiting_moves.shift());
+        options.on_change(waiting_moves.length);
+        await options.run_move(queued_move, waiting_moves.length);
+      }
+    } finally {
+      is_move_running = false;
+    }
+  }
+
+  return {
+    /**
+     * @param {QueuedMove} queued_move
+     * @returns {boolean} false when the queue was full and the move was dropped
+     */
+    enqueue(queued_move) {
+      if (is_move_running && waiting_moves.length >= options.get_max_depth()) {
+        return false;
+      }
+      waiting_moves.push(queued_move);
+      options.on_change(waiting_moves.length);
+      if (!is_move_running) {
+        run_waiting_moves().catch((error) => {
+          waiting_moves = [];
+          options.on_change(0);
+          console.error("[Move queue] Move failed; cleared the queue:", error);
+        });
+      }
+      return true;
+    },
+    /**
+     * Drop every waiting move; the one animating still finishes.
+     *
+     * @returns {number} how many moves were dropped
+     */
+    clear() {
+      const dropped_count = waiting_moves.length;
+      waiting_moves = [];
+      if (dropped_count > 0) {
+        options.on_change(0);
+      }
+      return dropped_count;
+    },
+    get_waiting_count() {
+      return waiting_moves.length;
+    }
+  };
+}
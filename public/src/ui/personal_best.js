@@ -0,0 +1,102 @@
+// @ts-check
+
+import { get_config_key } from "./autosave.js";
+
+const PERSONAL_BEST_KEY_PREFIX = "rothex:best";
+
+/**
+ * Fewest moves and shortest time are kept separately; they may come from different games.
+ *
+ * @typedef {{
+ *   move_count: number,
+ *   elapsed_ms: number,
+ *   solve_count: number
+ * }} PersonalBest
+ */
+
+/**
+ * @typedef {{
+ *   personal_best: PersonalBest,
+ *   is_new_move_record: boolean,
+ *   is_new_time_record: boolean
+ * }} PersonalBestUpdate
+ */
+
+/**
+ * One record per game configuration, built from the same parts as the autosave slot.
+ *
+ * @param {import("./autosave.js").GameConfig} config
+ * @returns {string}
+ */
+export function get_personal_best_key(config) {
+  return get_config_key(PERSONAL_BEST_KEY_PREFIX, config);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is number}
+ */
+function is_non_negative_number(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * @param {string} personal_best_key
+ * @returns {PersonalBest | null}
+ */
+export function read_personal_best(personal_best_key) {
+  /** @type {string | null} */
+  let saved_json;
+  try {
+    saved_json = window.localStorage.getItem(personal_best_key);
+  } catch (error) {
+    console.warn("[Personal best] Could not read record:", error);
+    return null;
+  }
+  if (saved_json === null) {
+    return null;
+  }
+  try {
+    const saved_record = JSON.parse(saved_json);
+    if (
+      !is_non_negative_number(saved_record?.move_count) ||
+      !is_non_negative_number(saved_record?.elapsed_ms) ||
+      !is_non_negative_number(saved_record?.solve_count)
+    ) {
+      throw new Error("Record must have non-negative move_count, elapsed_ms and solve_count.");
+    }
+    return {
+      move_count: saved_record.move_count,
+      elapsed_ms: saved_record.elapsed_ms,
+      solve_count: saved_record.solve_count
+    };
+  } catch (error) {
+    console.warn("[Personal best] Ignoring unreadable record:", error);
+    return null;
+  }
+}
+
+/**
+ * Merge a finished game into the stored record and save it.
+ *
+ * @param {string} personal_best_key
+ * @param {{ move_count: number, elapsed_ms: number }} result
+ * @returns {PersonalBestUpdate}
+ */
+export function record_personal_best(personal_best_key, result) {
+  const previous_best = read_personal_best(personal_best_key);
+  const is_new_move_record = !previous_best || result.move_count < previous_best.move_count;
+  const is_new_time_record = !previous_best || result.elapsed_ms < previous_best.elapsed_ms;
+  /** @type {PersonalBest} */
+  const personal_best = {
+    move_count: Math.min(result.move_count, previous_best?.move_count ?? Infinity),
+    elapsed_ms: Math.min(result.elapsed_ms, previous_best?.elapsed_ms ?? Infinity),
+    solve_count: (previous_best?.solve_count ?? 0) + 1
+  };
+  try {
+    window.localStorage.setItem(personal_best_key, JSON.stringify(personal_best));
+  } catch (error) {
+    console.warn("[Personal best] Could not write record:", error);
+  }
+  return { personal_best, is_new_move_record, is_new_time_record };
+}
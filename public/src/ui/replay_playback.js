@@ -0,0 +1,163 @@
+// @ts-check
+
+/**
+ * @typedef {{
+ *   position: number,
+ *   move_count: number,
+ *   is_playing: boolean,
+ *   speed: number
+ * }} ReplayStatus
+ */
+
+/**
+ * @typedef {{
+ *   play: () => void,
+ *   pause: () => void,
+ *   step_forward: () => Promise<void>,
+ *   step_back: () => Promise<void>,
+ *   seek: (position: number) => void,
+ *   set_speed: (speed: number) => void,
+ *   get_status: () => ReplayStatus
+ * }} ReplayPlayback
+ */
+
+/**
+ * Drive a recorded session back and forth. `position` counts the moves applied so far.
+ * Playing waits the recorded gap before each move (shortened by the speed and capped
+ * at `max_wait_ms`), then animates it. Seeking jumps without animation; a seek made
+ * while a move is animating is applied once that move finishes.
+ *
+ * @param {{
+ *   move_count: number,
+ *   get_gap_ms: (move_index: number) => number,
+ *   max_wait_ms: number,
+ *   run_step: (move_index: number, direction_sign: 1 | -1, speed: number) => Promise<void>,
+ *   jump_to: (position: number) => void,
+ *   on_change: (status: ReplayStatus) => void
+ * }} options
+ * @returns {ReplayPlayback}
+ */
+export function create_replay_playback(options) {
+  let position = 0;
+  let is_playing = false;
+  let is_step_running = false;
+  let speed = 1;
+  /** @type {number | null} */
+  let pending_seek_position = null;
+  // Bumped on pause/seek so a waiting play loop exits instead of running a stale move.
+  let generation = 0;
+
+  /**
+   * @returns {ReplayStatus}
+   */
+  function get_status() {
+    return { position, move_count: options.move_count, is_playing, speed };
+  }
+
+  /**
+   * @param {number} next_position
+   */
+  function apply_seek(next_position) {
+    position = Math.max(0, Math.min(options.move_count, Math.round(next_position)));
+    options.jump_to(position);
+    options.on_change(get_status());
+  }
+
+  /**
+   * @param {1 | -1} direction_sign 1 applies the next move, -1 undoes the previous one
+   * @returns {Promise<boolean>} false when nothing ran
+   */
+  async function run_step(direction_sign) {
+    const move_index = direction_sign === 1 ? position : position - 1;
+    if (is_step_running || move_index < 0 || move_index >= options.move_count) {
+      return false;
+    }
+    is_step_running = true;
+    try {
+      await options.run_step(move_index, direction_sign, speed);
+      position += direction_sign;
+    } finally {
+      is_step_running = false;
+    }
+    if (pending_seek_position !== null) {
+      const next_position = pending_seek_position;
+      pending_seek_position = null;
+      apply_seek(next_position);
+      return false;
+    }
+    if (position >= options.move_count) {
+      is_playing = false;
+    }
+    options.on_change(get_status());
+    return true;
+  }
+
+  async function play_loop() {
+    const loop_generation = generation;
+    while (is_playing && loop_generation === generation && position < options.move_count) {
+      const wait_ms = Math.min(options.max_wait_ms, options.get_gap_ms(position) / speed);
+      await new Promise((resolve) => {
+        setTimeout(resolve, wait_ms);
+      });
+      if (!is_playing || loop_generation !== generation || !(await run_step(1))) {
+        return;
+      }
+    }
+  }
+
+  return {
+    play() {
+      if (is_playing) {
+        return;
+      }
+      if (position >= options.move_count) {
+        apply_seek(0);
+      }
+      generation += 1;
+      is_playing = true;
+      options.on_change(get_status());
+      void play_loop();
+    },
+    pause() {
+      if (!is_playing) {
+        return;
+      }
+      generation += 1;
+      is_playing = false;
+      options.on_change(get_status());
+    },
+    async step_forward() {
+      if (is_playing) {
+        return;
+      }
+      await run_step(1);
+    },
+    async step_back() {
+      if (is_playing) {
+        return;
+      }
+      await run_step(-1);
+    },
+    /**
+     * @param {number} next_position
+     */
+    seek(next_position) {
+      generation += 1;
+      is_playing = false;
+      if (is_step_running) {
+        pending_seek_position = next_position;
+        options.on_change(get_status());
+        return;
+      }
+      apply_seek(next_position);
+    },
+    /**
+     * @param {number} next_speed
+     */
+    set_speed(next_speed) {
+      speed = next_speed;
+      options.on_change(get_status());
+    },
+    get_status
+  };
+}
@@ -0,0 +1,98 @@
+// @ts-check
+
+import { Container, Graphics } from "pixi.js";
+
+/**
+ * Horizontal timeline bar with a draggable handle. Dragging or clicking reports the
+ * nearest step in [0, step_count].
+ *
+ * @param {{
+ *   track_color: number,
+ *   fill_color: number,
+ *   handle_color: number,
+ *   on_seek: (step_index: number) => void
+ * }} options
+ * @returns {{
+ *   container: Container,
+ *   layout: (x: number, y: number, width_px: number, height_px: number) => void,
+ *   set_progress: (step_index: number, step_count: number) => void
+ * }}
+ */
+export function create_scrubber(options) {
+  const container = new Container();
+  const track_graphics = new Graphics();
+  container.addChild(track_graphics);
+  container.eventMode = "static";
+  container.cursor = "pointer";
+  let width_px = 1;
+  let height_px = 1;
+  let step_index = 0;
+  let step_count = 0;
+  let is_dragging = false;
+
+  function redraw() {
+    const fraction = step_count > 0 ? step_index / step_count : 0;
+    const track_height_px = Math.max(2, height_px / 3);
+    const track_y = (height_px - track_height_px) / 2;
+    track_graphics.clear();
+    // Transparent full-height rect so the whole strip takes pointer events.
+    track_graphics.rect(0, 0, width_px, height_px);
+    track_graphics.fill({ color: options.track_color, alpha: 0 });
+    track_graphics.roundRect(0, track_y, width_px, track_height_px, track_height_px / 2);
+    track_graphics.fill({ color: options.track_color, alpha: 0.9 });
+    track_graphics.roundRect(0, track_y, width_px * fraction, track_height_px, track_height_px / 2);
+    track_graphics.fill({ color: options.fill_color, alpha: 1 });
+    track_graphics.circle(width_px * fraction, height_px / 2, height_px / 2);
+    track_graphics.fill({ color: options.handle_color, alpha: 1 });
+  }
+
+  /**
+   * @param {import("pixi.js").FederatedPointerEvent} pointer_event
+   */
+  function seek_to_pointer(pointer_event) {
+    const local_point = container.toLocal(pointer_event.global);
+    const fraction = Math.max(0, Math.min(1, local_point.x / width_px));
+    options.on_seek(Math.round(fraction * step_count));
+  }
+
+  container.on("pointerdown", (pointer_event) => {
+    is_dragging = true;
+    seek_to_pointer(pointer_event);
+  });
+  container.on("globalpointermove", (pointer_event) => {
+    if (is_dragging) {
+      seek_to_pointer(pointer_event);
+    }
+  });
+  container.on("pointerup", () => {
+    is_dragging = false;
+  });
+  container.on("pointerupoutside", () => {
+    is_dragging = false;
+  });
+
+  return {
+    container,
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} next_width_px
+     * @param {number} next_height_px
+     */
+    layout(x, y, next_width_px, next_height_px) {
+      container.position.set(x, y);
+      width_px = Math.max(1, next_width_px);
+      height_px = Math.max(1, next_height_px);
+      redraw();
+    },
+    /**
+     * @param {number} next_step_index
+     * @param {number} next_step_count
+     */
+    set_progress(next_step_index, next_step_count) {
+      step_index = next_step_index;
+      step_count = next_step_count;
+      redraw();
+    }
+  };
+}
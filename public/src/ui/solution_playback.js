@@ -0,0 +1,133 @@
+// @ts-check
+
+/**
+ * @typedef {import("../core/history.js").MoveRecord} MoveRecord
+ */
+
+/**
+ * @typedef {{
+ *   is_active: boolean,
+ *   is_playing: boolean,
+ *   next_index: number,
+ *   move_count: number
+ * }} PlaybackStatus
+ */
+
+/**
+ * Step through a solution one move at a time, either continuously or on demand.
+ * Only one move runs at a time; pausing lets the current move finish.
+ *
+ * @param {{
+ *   run_step: (move_record: MoveRecord) => Promise<void>,
+ *   on_change: (status: PlaybackStatus) => void
+ * }} options
+ * @returns {{
+ *   start: (move_records: MoveRecord[]) => void,
+ *   pause: () => void,
+ *   resume: () => void,
+ *   step: () => Promise<void>,
+ *   stop: () => void,
+ *   get_status: () => PlaybackStatus
+ * }}
+ */
+export function create_solution_playback(options) {
+  /** @type {MoveRecord[]} */
+  let move_records = [];
+  let next_index = 0;
+  let is_playing = false;
+  let is_step_running = false;
+  // Bumped on start/stop so a loop from an earlier solution exits after its current move.
+  let generation = 0;
+
+  /**
+   * @returns {PlaybackStatus}
+   */
+  function get_status() {
+    return {
+      is_active: next_index < move_records.length,
+      is_playing,
+      next_index,
+      move_count: move_records.length
+    };
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when there was nothing to run
+   */
+  async function run_next_step() {
+    if (is_step_running || next_index >= move_records.length) {
+      return false;
+    }
+    const step_generation = generation;
+    is_step_running = true;
+    try {
+      await options.run_step(move_records[next_index]);
+    } finally {
+      is_step_running = false;
+    }
+    if (step_generation !== generation) {
+      return false;
+    }
+    next_index += 1;
+    if (next_index >= move_records.length) {
+      is_playing = false;
+    }
+    options.on_change(get_status());
+    return true;
+  }
+
+  async function play_loop() {
+    const loop_generation = generation;
+    while (is_playing && loop_generation === generation) {
+      if (!(await run_next_step())) {
+        return;
+      }
+    }
+  }
+
+  return {
+    /**
+     * @param {MoveRecord[]} next_move_records
+     */
+    start(next_move_records) {
+      generation += 1;
+      move_records = next_move_records;
+      next_index = 0;
+      is_playing = move_records.length > 0;
+      options.on_change(get_status());
+      void play_loop();
+    },
+    pause() {
+      if (!is_playing) {
+        return;
+      }
+      is_playing = false;
+      options.on_change(get_status());
+    },
+    resume() {
+      if (is_playing || next_index >= move_records.length) {
+        return;
+      }
+      is_playing = true;
+      options.on_change(get_status());
+      void play_loop();
+    },
+    async step() {
+      if (is_playing) {
+        return;
+      }
+      await run_next_step();
+    },
+    stop() {
+      if (move_records.length === 0) {
+        return;
+      }
+      generation += 1;
+      move_records = [];
+      next_index = 0;
+      is_playing = false;
+      options.on_change(get_status());
+    },
+    get_status
+  };
+}
@@ -0,0 +1,180 @@
+// @ts-check
+
+import { Container, Graphics, Text } from "pixi.js";
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   label: string,
+ *   on_press: () => void
+ * }} ToolbarButtonSpec
+ */
+
+/**
+ * @typedef {{
+ *   container: Container,
+ *   background: Graphics,
+ *   label_text: Text,
+ *   is_visible: boolean
+ * }} ToolbarButtonView
+ */
+
+/**
+ * @typedef {{ x: number, y: number, width: number, height: number }} Rect
+ */
+
+/**
+ * Text buttons pinned to the top-right corner of the viewport. Buttons that do not fit
+ * in one row wrap onto further rows below it.
+ *
+ * @param {{
+ *   buttons: ToolbarButtonSpec[],
+ *   font_family: string,
+ *   font_size_px: number,
+ *   button_color: number,
+ *   text_color: number,
+ *   margin_px: number
+ * }} options
+ * @returns {{
+ *   container: Container,
+ *   layout: (viewport_width_px: number) => void,
+ *   set_font_size: (font_size_px: number) => void,
+ *   set_button_label: (button_id: string, label: string) => void,
+ *   set_button_visible: (button_id: string, is_visible: boolean) => void,
+ *   is_point_over_button: (point: { x: number, y: number }) => boolean
+ * }}
+ */
+export function create_toolbar(options) {
+  const container = new Container();
+  const button_gap_px = 8;
+  const corner_radius_px = 6;
+  let font_size_px = options.font_size_px;
+  let last_viewport_width_px = 0;
+  /** @type {Rect[]} */
+  let button_rects = [];
+  /** @type {Map<string, ToolbarButtonView>} */
+  const button_views = new Map();
+
+  for (const button_spec of options.buttons) {
+    const button_container = new Container();
+    const background = new Graphics();
+    const label_text = new Text({
+      text: button_spec.label,
+      style: {
+        fill: options.text_color,
+        fontFamily: options.font_family,
+        fontSize: font_size_px
+      }
+    });
+    label_text.anchor.set(0.5, 0.5);
+    button_container.addChild(background);
+    button_container.addChild(label_text);
+    button_container.eventMode = "static";
+    button_container.cursor = "pointer";
+    button_container.on("pointertap", () => {
+      button_spec.on_press();
+    });
+    container.addChild(button_container);
+    button_views.set(button_spec.id, {
+      container: button_container,
+      background,
+      label_text,
+      is_visible: true
+    });
+  }
+
+  /**
+   * @param {number} viewport_width_px
+   */
+  function layout(viewport_width_px) {
+    last_viewport_width_px = viewport_width_px;
+    const padding_x_px = Math.round(font_size_px * 0.7);
+    const button_height_px = Math.round(font_size_px * 2);
+    const max_row_width_px = viewport_width_px - 2 * options.margin_px;
+    /** @type {{ button_view: ToolbarButtonView, button_width_px: number }[][]} */
+    const rows = [];
+    let row_width_px = 0;
+    for (const button_view of button_views.values()) {
+      button_view.container.visible = button_view.is_visible;
+      if (!button_view.is_visible) {
+        continue;
+      }
+      button_view.label_text.style.fontSize = font_size_px;
+      const button_width_px = Math.ceil(button_view.label_text.width) + 2 * padding_x_px;
+      button_view.background.clear();
+      button_view.background.roundRect(0, 0, button_width_px, button_height_px, corner_radius_px);
+      button_view.background.fill({ color: options.button_color, alpha: 0.9 });
+      button_view.background.stroke({ color: options.text_color, width: 1 });
+      button_view.label_text.position.set(button_width_px / 2, button_height_px / 2);
+      const current_row = rows[rows.length - 1];
+      if (current_row && row_width_px + button_gap_px + button_width_px <= max_row_width_px) {
+        current_row.push({ button_view, button_width_px });
+        row_width_px += button_gap_px + button_width_px;
+      } else {
+        rows.push([{ button_view, button_width_px }]);
+        row_width_px = button_width_px;
+      }
+    }
+    button_rects = [];
+    rows.forEach((row, row_index) => {
+      const top_px = options.margin_px + row_index * (button_height_px + button_gap_px);
+      let right_edge_px = viewport_width_px - options.margin_px;
+      // Each row is right-aligned; lay it out right-to-left so the order reads left to right.
+      for (const { button_view, button_width_px } of [...row].reverse()) {
+        right_edge_px -= button_width_px;
+        button_view.container.position.set(right_edge_px, top_px);
+        button_rects.push({ x: right_edge_px, y: top_px, width: button_width_px, height: button_height_px });
+        right_edge_px -= button_gap_px;
+      }
+    });
+  }
+
+  return {
+    container,
+    layout,
+    /**
+     * @param {number} next_font_size_px
+     */
+    set_font_size(next_font_size_px) {
+      font_size_px = next_font_size_px;
+      layout(last_viewport_width_px);
+    },
+    /**
+     * @param {string} button_id
+     * @param {string} label
+     */
+    set_button_label(button_id, label) {
+      const button_view = button_views.get(button_id);
+      if (!button_view) {
+        return;
+      }
+      button_view.label_text.text = label;
+      layout(last_viewport_width_px);
+    },
+    /**
+     * @param {string} button_id
+     * @param {boolean} is_visible
+     */
+    set_button_visible(button_id, is_visible) {
+      const button_view = button_views.get(button_id);
+      if (!button_view) {
+        return;
+      }
+      button_view.is_visible = is_visible;
+      layout(last_viewport_width_px);
+    },
+    /**
+     * @param {{ x: number, y: number }} point
+     * @returns {boolean}
+     */
+    is_point_over_button(point) {
+      return button_rects.some(
+        (rect) =>
+          point.x >= rect.x &&
+          point.x <= rect.x + rect.width &&
+          point.y >= rect.y &&
+          point.y <= rect.y + rect.height
+      );
+    }
+  };
+}